@@ -1,5 +1,6 @@
 require("dotenv").config();
 const express = require("express");
+const HttpError = require("./src/utils/httpError");
 const app = express();
 const port = process.env.PORT || 3000;
 
@@ -11,12 +12,34 @@ const categoriesRouter = require("./src/routes/categories");
 const productsRouter = require("./src/routes/products");
 const salesRouter = require("./src/routes/sales");
 const inventoryRouter = require("./src/routes/inventory");
+const locationsRouter = require("./src/routes/locations");
+const ordersRouter = require("./src/routes/orders");
+const suppliersRouter = require("./src/routes/suppliers");
+const purchaseOrdersRouter = require("./src/routes/purchaseOrders");
+const promotionsRouter = require("./src/routes/promotions");
+const taxRatesRouter = require("./src/routes/taxRates");
+const exchangeRatesRouter = require("./src/routes/exchangeRates");
+const usersRouter = require("./src/routes/users");
+const auditRouter = require("./src/routes/audit");
+const { authenticate } = require("./src/middleware/auth");
+
+// Every /api route needs an API key (see src/middleware/auth.js)
+app.use("/api", authenticate);
 
 // Base path for each domain
 app.use("/api/categories", categoriesRouter);
 app.use("/api/products", productsRouter);
 app.use("/api/sales", salesRouter);
 app.use("/api/inventory", inventoryRouter);
+app.use("/api/locations", locationsRouter);
+app.use("/api/orders", ordersRouter);
+app.use("/api/suppliers", suppliersRouter);
+app.use("/api/purchase-orders", purchaseOrdersRouter);
+app.use("/api/promotions", promotionsRouter);
+app.use("/api/tax-rates", taxRatesRouter);
+app.use("/api/exchange-rates", exchangeRatesRouter);
+app.use("/api/users", usersRouter);
+app.use("/api/audit", auditRouter);
 
 // A root health check
 app.get("/", (_req, res) => {
@@ -30,10 +53,26 @@ app.use((_req, res) => {
 
 // Global error handler
 app.use((err, _req, res, _next) => {
+  // Errors raised on purpose (e.g. to roll back a transaction) carry a status
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ error: err.message, ...err.details });
+  }
+  // Malformed JSON bodies get the same 400 shape as schema validation
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({
+      error: "Validation failed.",
+      details: [{ in: "body", field: "", message: "must be valid JSON." }],
+    });
+  }
   console.error(err.stack);
   res.status(500).json({ error: "Internal Server Error" });
 });
 
-app.listen(port, () => {
-  console.log(`Server is listening on http://localhost:${port}`);
-});
+// Listen when run directly; tests mount the app themselves (see test/helpers.js)
+if (require.main === module) {
+  app.listen(port, () => {
+    console.log(`Server is listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = app;
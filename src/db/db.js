@@ -17,7 +17,39 @@ pool.on("error", (err) => {
   process.exit(-1);
 });
 
+/**
+ * Runs `work(client)` inside a single transaction on a dedicated client.
+ * Commits if the callback resolves, rolls back (and rethrows) if it throws.
+ * Whatever the callback resolves to is returned to the caller.
+ *
+ * Usage:
+ *   const row = await db.withTransaction(async (client) => {
+ *     await client.query("...");
+ *     return (await client.query("...")).rows[0];
+ *   });
+ */
+async function withTransaction(work) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await work(client);
+    await client.query("COMMIT");
+    client.release();
+    return result;
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+      client.release();
+    } catch (rollbackErr) {
+      // The connection is in an unknown state; drop it instead of reusing it.
+      client.release(rollbackErr);
+    }
+    throw err;
+  }
+}
+
 module.exports = {
   query: (text, params) => pool.query(text, params),
+  withTransaction,
   pool,
 };
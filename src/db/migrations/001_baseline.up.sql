@@ -0,0 +1,152 @@
+-- Baseline: the schema as it stood before versioned migrations.
+-- Every statement is idempotent, so databases created from the old
+-- src/db/schema.sql can run it too and simply get it recorded as applied.
+
+-- 1. Categories table
+CREATE TABLE IF NOT EXISTS categories (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 2. Products table
+CREATE TABLE IF NOT EXISTS products (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(150) NOT NULL,
+  description TEXT,
+  price NUMERIC(12,2) NOT NULL CHECK (price >= 0),
+  category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+-- Full-text search document for GET /api/products/search (name weighted above description)
+ALTER TABLE products ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+  ) STORED;
+CREATE INDEX IF NOT EXISTS idx_products_search_vector ON products USING GIN(search_vector);
+
+-- 3. Inventory table (tracks current stock)
+CREATE TABLE IF NOT EXISTS inventory (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity >= 0),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+-- Index on product_id for quick lookups
+CREATE INDEX IF NOT EXISTS idx_inventory_product_id ON inventory(product_id);
+
+-- 4. Inventory history (tracks every change over time)
+CREATE TABLE IF NOT EXISTS inventory_history (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  change_qty INTEGER NOT NULL,     -- positive for restock, negative for sale/adjustment
+  previous_qty INTEGER NOT NULL,   -- quantity before change
+  new_qty INTEGER NOT NULL,        -- quantity after change
+  stock_outcome VARCHAR(20),       -- for sales: fulfilled | backordered | clamped
+  shortfall_qty INTEGER NOT NULL DEFAULT 0 CHECK (shortfall_qty >= 0), -- units sold beyond available stock
+  changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+-- Columns added after the first release (no-ops on fresh databases)
+ALTER TABLE inventory_history ADD COLUMN IF NOT EXISTS stock_outcome VARCHAR(20);
+ALTER TABLE inventory_history ADD COLUMN IF NOT EXISTS shortfall_qty INTEGER NOT NULL DEFAULT 0 CHECK (shortfall_qty >= 0);
+-- Index on product_id for quick history queries
+CREATE INDEX IF NOT EXISTS idx_inventory_history_product_id ON inventory_history(product_id);
+
+-- 5. Orders table (one row per customer basket)
+CREATE TABLE IF NOT EXISTS orders (
+  id SERIAL PRIMARY KEY,
+  order_date TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  total_price NUMERIC(14,2) NOT NULL DEFAULT 0 CHECK (total_price >= 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+-- We’ll index order_date for range queries/aggregations
+CREATE INDEX IF NOT EXISTS idx_orders_order_date ON orders(order_date);
+
+-- 6. Order items (one row per product line, priced at order time)
+CREATE TABLE IF NOT EXISTS order_items (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE RESTRICT,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  unit_price NUMERIC(12,2) NOT NULL CHECK (unit_price >= 0),
+  total_price NUMERIC(14,2) NOT NULL CHECK (total_price >= 0),
+  backorder_qty INTEGER NOT NULL DEFAULT 0 CHECK (backorder_qty >= 0) -- units sold while out of stock
+);
+-- Column added after the first release (no-op on fresh databases)
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS backorder_qty INTEGER NOT NULL DEFAULT 0 CHECK (backorder_qty >= 0);
+CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_items_product_id ON order_items(product_id);
+
+-- Databases created before orders existed have a standalone `sales` table.
+-- Move each legacy sale into a single-line order (keeping its id) and drop it,
+-- so the `sales` view below can take its place.
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.tables
+    WHERE table_schema = current_schema()
+      AND table_name = 'sales'
+      AND table_type = 'BASE TABLE'
+  ) THEN
+    INSERT INTO orders(id, order_date, total_price)
+      SELECT id, sale_date, total_price FROM sales;
+    INSERT INTO order_items(id, order_id, product_id, quantity, unit_price, total_price)
+      SELECT id, id, product_id, quantity, ROUND(total_price / quantity, 2), total_price
+      FROM sales;
+    PERFORM setval(pg_get_serial_sequence('orders', 'id'), COALESCE((SELECT MAX(id) FROM orders), 0) + 1, false);
+    PERFORM setval(pg_get_serial_sequence('order_items', 'id'), COALESCE((SELECT MAX(id) FROM order_items), 0) + 1, false);
+    DROP TABLE sales;
+  END IF;
+END $$;
+
+-- 7. Sales view (one row per order line; what the reporting endpoints read)
+CREATE OR REPLACE VIEW sales AS
+  SELECT
+    oi.id,
+    oi.order_id,
+    oi.product_id,
+    oi.quantity,
+    oi.total_price,
+    o.order_date AS sale_date,
+    oi.backorder_qty
+  FROM order_items oi
+  JOIN orders o ON oi.order_id = o.id;
+
+-- 8. Users (people or integrations calling the API)
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('viewer', 'clerk', 'admin')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 9. API keys (only a SHA-256 hash of each key is stored)
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  key_prefix VARCHAR(16) NOT NULL,      -- first characters of the key, to tell keys apart
+  key_hash CHAR(64) NOT NULL UNIQUE,
+  label VARCHAR(100),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE
+);
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+
+-- 10. Audit log (who changed what, with before/after snapshots)
+CREATE TABLE IF NOT EXISTS audit_log (
+  id SERIAL PRIMARY KEY,
+  actor_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  actor_api_key_id INTEGER REFERENCES api_keys(id) ON DELETE SET NULL,
+  entity VARCHAR(50) NOT NULL,     -- category | product | inventory | order | user | api_key
+  entity_id INTEGER,
+  action VARCHAR(20) NOT NULL,     -- create | update | delete
+  before JSONB,                    -- NULL for create
+  after JSONB,                     -- NULL for delete
+  reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
@@ -0,0 +1,2 @@
+-- PUT /api/products/:id stamps updated_at, which the baseline never created.
+ALTER TABLE products ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
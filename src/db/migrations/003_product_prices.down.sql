@@ -0,0 +1,7 @@
+-- Put each product's current price back on the products table (history is lost)
+ALTER TABLE products ADD COLUMN price NUMERIC(12,2) CHECK (price >= 0);
+UPDATE products SET price = COALESCE(product_price_at(id, NOW()), 0);
+ALTER TABLE products ALTER COLUMN price SET NOT NULL;
+
+DROP FUNCTION product_price_at(INTEGER, TIMESTAMP WITH TIME ZONE);
+DROP TABLE product_prices;
@@ -0,0 +1,31 @@
+-- Price history: each row is a product's price from effective_from onwards,
+-- so rows dated in the future are scheduled price changes.
+CREATE TABLE product_prices (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  price NUMERIC(12,2) NOT NULL CHECK (price >= 0),
+  effective_from TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (product_id, effective_from) -- also serves the price lookups below
+);
+
+-- Start every product's history with its current price, effective from its creation
+INSERT INTO product_prices(product_id, price, effective_from)
+  SELECT id, price, COALESCE(created_at, NOW()) FROM products;
+
+-- The history is now the only source of prices
+ALTER TABLE products DROP COLUMN price;
+
+-- Price of a product at a point in time: the latest row effective by then,
+-- or the earliest row for times before the product's first price.
+CREATE FUNCTION product_price_at(p_product_id INTEGER, p_at TIMESTAMP WITH TIME ZONE)
+RETURNS NUMERIC AS $$
+  SELECT COALESCE(
+    (SELECT price FROM product_prices
+     WHERE product_id = p_product_id AND effective_from <= p_at
+     ORDER BY effective_from DESC LIMIT 1),
+    (SELECT price FROM product_prices
+     WHERE product_id = p_product_id
+     ORDER BY effective_from LIMIT 1)
+  );
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,15 @@
+DROP VIEW sales;
+CREATE VIEW sales AS
+  SELECT
+    oi.id,
+    oi.order_id,
+    oi.product_id,
+    oi.quantity,
+    oi.total_price,
+    o.order_date AS sale_date,
+    oi.backorder_qty
+  FROM order_items oi
+  JOIN orders o ON oi.order_id = o.id;
+
+ALTER TABLE inventory_history DROP COLUMN refund_id;
+DROP TABLE refunds;
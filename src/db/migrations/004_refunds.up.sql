@@ -0,0 +1,33 @@
+-- Refunds against a sale (order line); a line can be refunded in several parts
+CREATE TABLE refunds (
+  id SERIAL PRIMARY KEY,
+  sale_id INTEGER NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  amount NUMERIC(14,2) NOT NULL CHECK (amount >= 0),
+  restocked BOOLEAN NOT NULL DEFAULT FALSE, -- units went back into inventory
+  refund_date TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+CREATE INDEX idx_refunds_sale_id ON refunds(sale_id);
+
+-- Restocks are tagged with the refund that caused them
+ALTER TABLE inventory_history ADD COLUMN refund_id INTEGER REFERENCES refunds(id) ON DELETE SET NULL;
+
+-- The sales view gains refunded totals per line, so reports can net them out
+CREATE OR REPLACE VIEW sales AS
+  SELECT
+    oi.id,
+    oi.order_id,
+    oi.product_id,
+    oi.quantity,
+    oi.total_price,
+    o.order_date AS sale_date,
+    oi.backorder_qty,
+    COALESCE(r.quantity, 0)::int AS refunded_qty,
+    COALESCE(r.amount, 0)::NUMERIC(14,2) AS refunded_amount
+  FROM order_items oi
+  JOIN orders o ON oi.order_id = o.id
+  LEFT JOIN (
+    SELECT sale_id, SUM(quantity) AS quantity, SUM(amount) AS amount
+    FROM refunds
+    GROUP BY sale_id
+  ) r ON r.sale_id = oi.id;
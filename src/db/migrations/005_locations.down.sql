@@ -0,0 +1,35 @@
+-- Folds every location's stock back into a single row per product
+DROP VIEW sales;
+CREATE VIEW sales AS
+  SELECT
+    oi.id,
+    oi.order_id,
+    oi.product_id,
+    oi.quantity,
+    oi.total_price,
+    o.order_date AS sale_date,
+    oi.backorder_qty,
+    COALESCE(r.quantity, 0)::int AS refunded_qty,
+    COALESCE(r.amount, 0)::NUMERIC(14,2) AS refunded_amount
+  FROM order_items oi
+  JOIN orders o ON oi.order_id = o.id
+  LEFT JOIN (
+    SELECT sale_id, SUM(quantity) AS quantity, SUM(amount) AS amount
+    FROM refunds
+    GROUP BY sale_id
+  ) r ON r.sale_id = oi.id;
+DROP VIEW product_stock;
+
+ALTER TABLE order_items DROP COLUMN location_id;
+ALTER TABLE inventory_history DROP COLUMN transfer_id;
+ALTER TABLE inventory_history DROP COLUMN location_id;
+DROP TABLE stock_transfers;
+
+CREATE TEMP TABLE inventory_totals AS
+  SELECT product_id, SUM(quantity)::int AS quantity FROM inventory GROUP BY product_id;
+DELETE FROM inventory;
+ALTER TABLE inventory DROP COLUMN location_id;
+INSERT INTO inventory(product_id, quantity) SELECT product_id, quantity FROM inventory_totals;
+DROP TABLE inventory_totals;
+
+DROP TABLE locations;
@@ -0,0 +1,63 @@
+-- Stock locations (warehouses). Exactly one is the default, used whenever a
+-- request does not name a location.
+CREATE TABLE locations (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE UNIQUE INDEX idx_locations_one_default ON locations(is_default) WHERE is_default;
+INSERT INTO locations(name, is_default) VALUES('Main warehouse', TRUE);
+
+-- Inventory becomes one row per product per location; existing stock is in the default location
+ALTER TABLE inventory ADD COLUMN location_id INTEGER REFERENCES locations(id) ON DELETE RESTRICT;
+UPDATE inventory SET location_id = (SELECT id FROM locations WHERE is_default);
+ALTER TABLE inventory ALTER COLUMN location_id SET NOT NULL;
+ALTER TABLE inventory ADD CONSTRAINT inventory_product_location_key UNIQUE (product_id, location_id);
+
+-- Stock moved from one location to another; each transfer writes a pair of history rows
+CREATE TABLE stock_transfers (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  from_location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE RESTRICT,
+  to_location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE RESTRICT,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  CHECK (from_location_id <> to_location_id)
+);
+
+ALTER TABLE inventory_history ADD COLUMN location_id INTEGER REFERENCES locations(id) ON DELETE RESTRICT;
+UPDATE inventory_history SET location_id = (SELECT id FROM locations WHERE is_default);
+ALTER TABLE inventory_history ALTER COLUMN location_id SET NOT NULL;
+ALTER TABLE inventory_history ADD COLUMN transfer_id INTEGER REFERENCES stock_transfers(id) ON DELETE SET NULL;
+
+-- Where each order line's stock was taken from (refund restocks go back there)
+ALTER TABLE order_items ADD COLUMN location_id INTEGER REFERENCES locations(id) ON DELETE RESTRICT;
+UPDATE order_items SET location_id = (SELECT id FROM locations WHERE is_default);
+ALTER TABLE order_items ALTER COLUMN location_id SET NOT NULL;
+
+-- Total stock per product across all locations
+CREATE VIEW product_stock AS
+  SELECT product_id, SUM(quantity)::int AS quantity
+  FROM inventory
+  GROUP BY product_id;
+
+CREATE OR REPLACE VIEW sales AS
+  SELECT
+    oi.id,
+    oi.order_id,
+    oi.product_id,
+    oi.quantity,
+    oi.total_price,
+    o.order_date AS sale_date,
+    oi.backorder_qty,
+    COALESCE(r.quantity, 0)::int AS refunded_qty,
+    COALESCE(r.amount, 0)::NUMERIC(14,2) AS refunded_amount,
+    oi.location_id
+  FROM order_items oi
+  JOIN orders o ON oi.order_id = o.id
+  LEFT JOIN (
+    SELECT sale_id, SUM(quantity) AS quantity, SUM(amount) AS amount
+    FROM refunds
+    GROUP BY sale_id
+  ) r ON r.sale_id = oi.id;
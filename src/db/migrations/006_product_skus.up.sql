@@ -0,0 +1,3 @@
+-- Optional stock-keeping unit, unique when set; CSV imports match on it
+ALTER TABLE products ADD COLUMN sku VARCHAR(64);
+CREATE UNIQUE INDEX idx_products_sku ON products(sku);
@@ -0,0 +1,6 @@
+ALTER TABLE inventory_history DROP COLUMN purchase_order_id;
+DROP TABLE purchase_order_items;
+DROP TABLE purchase_orders;
+DROP TABLE suppliers;
+ALTER TABLE products DROP COLUMN reorder_quantity;
+ALTER TABLE products DROP COLUMN reorder_point;
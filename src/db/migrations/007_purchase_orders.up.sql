@@ -0,0 +1,43 @@
+-- Per-product reorder point (stock level that should trigger a purchase) and
+-- the quantity to order when it is reached; NULL means not tracked
+ALTER TABLE products ADD COLUMN reorder_point INTEGER CHECK (reorder_point >= 0);
+ALTER TABLE products ADD COLUMN reorder_quantity INTEGER CHECK (reorder_quantity > 0);
+
+CREATE TABLE suppliers (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(150) NOT NULL UNIQUE,
+  email VARCHAR(255),
+  phone VARCHAR(50),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Purchase orders move draft → sent → partially_received → received;
+-- stock arrives at location_id
+CREATE TABLE purchase_orders (
+  id SERIAL PRIMARY KEY,
+  supplier_id INTEGER NOT NULL REFERENCES suppliers(id) ON DELETE RESTRICT,
+  location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE RESTRICT,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'sent', 'partially_received', 'received')),
+  notes TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  sent_at TIMESTAMP WITH TIME ZONE,
+  received_at TIMESTAMP WITH TIME ZONE      -- when the last units arrived
+);
+CREATE INDEX idx_purchase_orders_supplier_id ON purchase_orders(supplier_id);
+CREATE INDEX idx_purchase_orders_status ON purchase_orders(status);
+
+CREATE TABLE purchase_order_items (
+  id SERIAL PRIMARY KEY,
+  purchase_order_id INTEGER NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE RESTRICT,
+  quantity_ordered INTEGER NOT NULL CHECK (quantity_ordered > 0),
+  quantity_received INTEGER NOT NULL DEFAULT 0
+    CHECK (quantity_received >= 0 AND quantity_received <= quantity_ordered),
+  unit_cost NUMERIC(10,2) CHECK (unit_cost >= 0),
+  UNIQUE (purchase_order_id, product_id)
+);
+CREATE INDEX idx_purchase_order_items_product_id ON purchase_order_items(product_id);
+
+-- Receipts are tagged with the purchase order they came in on
+ALTER TABLE inventory_history ADD COLUMN purchase_order_id INTEGER REFERENCES purchase_orders(id) ON DELETE SET NULL;
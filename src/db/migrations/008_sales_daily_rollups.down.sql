@@ -0,0 +1,2 @@
+DROP TABLE sales_rollup_settings;
+DROP TABLE sales_daily_rollups;
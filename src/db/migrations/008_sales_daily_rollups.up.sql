@@ -0,0 +1,33 @@
+-- Net sales per product per calendar day, kept up to date by every sale and
+-- refund so the reports need not scan every order line (see services/salesRollup.js).
+-- Refunds count against the day of the sale they reverse, as in the sales view.
+CREATE TABLE sales_daily_rollups (
+  sale_day DATE NOT NULL,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL DEFAULT 0,
+  gross_revenue NUMERIC(14,2) NOT NULL DEFAULT 0,
+  refunded_qty INTEGER NOT NULL DEFAULT 0,
+  refunded_amount NUMERIC(14,2) NOT NULL DEFAULT 0,
+  PRIMARY KEY (sale_day, product_id)
+);
+CREATE INDEX idx_sales_daily_rollups_product_id ON sales_daily_rollups(product_id, sale_day);
+
+-- The time zone whose calendar days sale_day is in (a single row); change it
+-- by rebuilding the rollups (`npm run rebuild-sales-rollups`)
+CREATE TABLE sales_rollup_settings (
+  id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+  timezone TEXT NOT NULL
+);
+INSERT INTO sales_rollup_settings(timezone) VALUES('UTC');
+
+-- Backfill from existing sales
+INSERT INTO sales_daily_rollups(sale_day, product_id, quantity, gross_revenue, refunded_qty, refunded_amount)
+  SELECT
+    (sale_date AT TIME ZONE 'UTC')::date,
+    product_id,
+    SUM(quantity),
+    SUM(total_price),
+    SUM(refunded_qty),
+    SUM(refunded_amount)
+  FROM sales
+  GROUP BY 1, 2;
@@ -0,0 +1,53 @@
+-- Folds variant stock and purchase order lines back into one per product
+DROP VIEW sales;
+CREATE VIEW sales AS
+  SELECT
+    oi.id,
+    oi.order_id,
+    oi.product_id,
+    oi.quantity,
+    oi.total_price,
+    o.order_date AS sale_date,
+    oi.backorder_qty,
+    COALESCE(r.quantity, 0)::int AS refunded_qty,
+    COALESCE(r.amount, 0)::NUMERIC(14,2) AS refunded_amount,
+    oi.location_id
+  FROM order_items oi
+  JOIN orders o ON oi.order_id = o.id
+  LEFT JOIN (
+    SELECT sale_id, SUM(quantity) AS quantity, SUM(amount) AS amount
+    FROM refunds
+    GROUP BY sale_id
+  ) r ON r.sale_id = oi.id;
+
+CREATE TEMP TABLE purchase_order_totals AS
+  SELECT MIN(id) AS id, SUM(quantity_ordered)::int AS quantity_ordered,
+         SUM(quantity_received)::int AS quantity_received
+  FROM purchase_order_items GROUP BY purchase_order_id, product_id;
+DELETE FROM purchase_order_items WHERE id NOT IN (SELECT id FROM purchase_order_totals);
+UPDATE purchase_order_items poi
+  SET quantity_ordered = t.quantity_ordered, quantity_received = t.quantity_received
+  FROM purchase_order_totals t WHERE poi.id = t.id;
+DROP TABLE purchase_order_totals;
+DROP INDEX purchase_order_items_order_product_variant_key;
+ALTER TABLE purchase_order_items DROP COLUMN variant_id;
+ALTER TABLE purchase_order_items ADD CONSTRAINT purchase_order_items_purchase_order_id_product_id_key
+  UNIQUE (purchase_order_id, product_id);
+
+ALTER TABLE order_items DROP COLUMN variant_id;
+ALTER TABLE stock_transfers DROP COLUMN variant_id;
+ALTER TABLE inventory_history DROP COLUMN variant_id;
+
+CREATE TEMP TABLE inventory_totals AS
+  SELECT MIN(id) AS id, SUM(quantity)::int AS quantity
+  FROM inventory GROUP BY product_id, location_id;
+DELETE FROM inventory WHERE id NOT IN (SELECT id FROM inventory_totals);
+UPDATE inventory i SET quantity = t.quantity FROM inventory_totals t WHERE i.id = t.id;
+DROP TABLE inventory_totals;
+DROP INDEX inventory_product_location_variant_key;
+ALTER TABLE inventory DROP COLUMN variant_id;
+ALTER TABLE inventory ADD CONSTRAINT inventory_product_location_key UNIQUE (product_id, location_id);
+
+DROP FUNCTION variant_price_at(INTEGER, TIMESTAMP WITH TIME ZONE);
+DROP TABLE product_variant_prices;
+DROP TABLE product_variants;
@@ -0,0 +1,81 @@
+-- Variants of a product (e.g. sizes and colours), each with its own SKU and
+-- stock
+CREATE TABLE product_variants (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  sku VARCHAR(64) NOT NULL UNIQUE,
+  options JSONB NOT NULL DEFAULT '{}',   -- e.g. {"size": "M", "colour": "Red"}
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (product_id, options)
+);
+
+-- Price history of a variant, like product_prices: each row overrides the
+-- product's price from effective_from onwards, or stops overriding it when
+-- price is NULL.
+CREATE TABLE product_variant_prices (
+  id SERIAL PRIMARY KEY,
+  variant_id INTEGER NOT NULL REFERENCES product_variants(id) ON DELETE CASCADE,
+  price NUMERIC(12,2) CHECK (price >= 0),
+  effective_from TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (variant_id, effective_from) -- also serves the price lookups below
+);
+
+-- Price override of a variant at a point in time (NULL for none), chosen the
+-- way product_price_at chooses a product's price: the latest row effective by
+-- then, or the earliest row for times before that. Rows can hold NULL, so
+-- COALESCE cannot pick between the two.
+CREATE FUNCTION variant_price_at(p_variant_id INTEGER, p_at TIMESTAMP WITH TIME ZONE)
+RETURNS NUMERIC AS $$
+  SELECT price FROM (
+    (SELECT price, 1 AS pick FROM product_variant_prices
+     WHERE variant_id = p_variant_id AND effective_from <= p_at
+     ORDER BY effective_from DESC LIMIT 1)
+    UNION ALL
+    (SELECT price, 2 AS pick FROM product_variant_prices
+     WHERE variant_id = p_variant_id
+     ORDER BY effective_from LIMIT 1)
+  ) candidates
+  ORDER BY pick LIMIT 1;
+$$ LANGUAGE sql STABLE;
+
+-- Stock of a product with variants is held per variant; variant_id is NULL
+-- for products without variants
+ALTER TABLE inventory ADD COLUMN variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE;
+ALTER TABLE inventory DROP CONSTRAINT inventory_product_location_key;
+CREATE UNIQUE INDEX inventory_product_location_variant_key
+  ON inventory(product_id, location_id, (COALESCE(variant_id, 0)));
+CREATE INDEX idx_inventory_variant_id ON inventory(variant_id);
+
+ALTER TABLE inventory_history ADD COLUMN variant_id INTEGER REFERENCES product_variants(id) ON DELETE SET NULL;
+ALTER TABLE stock_transfers ADD COLUMN variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE;
+ALTER TABLE order_items ADD COLUMN variant_id INTEGER REFERENCES product_variants(id) ON DELETE RESTRICT;
+CREATE INDEX idx_order_items_variant_id ON order_items(variant_id);
+
+-- A purchase order has one line per product, or per variant of a product with variants
+ALTER TABLE purchase_order_items ADD COLUMN variant_id INTEGER REFERENCES product_variants(id) ON DELETE RESTRICT;
+ALTER TABLE purchase_order_items DROP CONSTRAINT purchase_order_items_purchase_order_id_product_id_key;
+CREATE UNIQUE INDEX purchase_order_items_order_product_variant_key
+  ON purchase_order_items(purchase_order_id, product_id, (COALESCE(variant_id, 0)));
+
+CREATE OR REPLACE VIEW sales AS
+  SELECT
+    oi.id,
+    oi.order_id,
+    oi.product_id,
+    oi.quantity,
+    oi.total_price,
+    o.order_date AS sale_date,
+    oi.backorder_qty,
+    COALESCE(r.quantity, 0)::int AS refunded_qty,
+    COALESCE(r.amount, 0)::NUMERIC(14,2) AS refunded_amount,
+    oi.location_id,
+    oi.variant_id
+  FROM order_items oi
+  JOIN orders o ON oi.order_id = o.id
+  LEFT JOIN (
+    SELECT sale_id, SUM(quantity) AS quantity, SUM(amount) AS amount
+    FROM refunds
+    GROUP BY sale_id
+  ) r ON r.sale_id = oi.id;
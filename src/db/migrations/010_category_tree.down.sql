@@ -0,0 +1,6 @@
+DROP FUNCTION category_subtree(INTEGER);
+DROP INDEX idx_categories_parent_id;
+ALTER TABLE categories
+  DROP CONSTRAINT categories_not_own_parent,
+  DROP COLUMN position,
+  DROP COLUMN parent_id;
@@ -0,0 +1,23 @@
+-- Categories form a tree: parent_id is NULL for top-level categories, and
+-- position orders the children of one parent (0, 1, 2, …)
+ALTER TABLE categories
+  ADD COLUMN parent_id INTEGER REFERENCES categories(id) ON DELETE RESTRICT,
+  ADD COLUMN position INTEGER NOT NULL DEFAULT 0,
+  ADD CONSTRAINT categories_not_own_parent CHECK (parent_id <> id);
+CREATE INDEX idx_categories_parent_id ON categories(parent_id, position);
+
+-- Existing categories become top-level, in name order
+UPDATE categories c SET position = r.position
+  FROM (SELECT id, ROW_NUMBER() OVER (ORDER BY name)::int - 1 AS position FROM categories) r
+  WHERE c.id = r.id;
+
+-- A category and every category below it
+CREATE FUNCTION category_subtree(p_category_id INTEGER)
+RETURNS SETOF INTEGER AS $$
+  WITH RECURSIVE subtree(id) AS (
+    SELECT id FROM categories WHERE id = p_category_id
+    UNION
+    SELECT c.id FROM categories c JOIN subtree s ON c.parent_id = s.id
+  )
+  SELECT id FROM subtree;
+$$ LANGUAGE sql STABLE;
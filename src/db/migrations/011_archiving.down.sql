@@ -0,0 +1,3 @@
+DROP INDEX idx_products_active;
+ALTER TABLE categories DROP COLUMN archived_at;
+ALTER TABLE products DROP COLUMN archived_at;
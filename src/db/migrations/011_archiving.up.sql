@@ -0,0 +1,5 @@
+-- Archived (discontinued) products and categories stay in the database, with
+-- their sales and stock history, but are hidden from listings by default
+ALTER TABLE products ADD COLUMN archived_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE categories ADD COLUMN archived_at TIMESTAMP WITH TIME ZONE;
+CREATE INDEX idx_products_active ON products(category_id) WHERE archived_at IS NULL;
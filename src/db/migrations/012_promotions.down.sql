@@ -0,0 +1,30 @@
+-- gross_revenue goes back to what was paid; discounts already taken stay
+-- taken in order_items.total_price
+UPDATE sales_daily_rollups SET gross_revenue = gross_revenue - discount_amount;
+ALTER TABLE sales_daily_rollups DROP COLUMN discount_amount;
+
+DROP VIEW sales;
+CREATE VIEW sales AS
+  SELECT
+    oi.id,
+    oi.order_id,
+    oi.product_id,
+    oi.quantity,
+    oi.total_price,
+    o.order_date AS sale_date,
+    oi.backorder_qty,
+    COALESCE(r.quantity, 0)::int AS refunded_qty,
+    COALESCE(r.amount, 0)::NUMERIC(14,2) AS refunded_amount,
+    oi.location_id,
+    oi.variant_id
+  FROM order_items oi
+  JOIN orders o ON oi.order_id = o.id
+  LEFT JOIN (
+    SELECT sale_id, SUM(quantity) AS quantity, SUM(amount) AS amount
+    FROM refunds
+    GROUP BY sale_id
+  ) r ON r.sale_id = oi.id;
+
+ALTER TABLE order_items DROP COLUMN discount_amount;
+ALTER TABLE order_items DROP COLUMN promotion_id;
+DROP TABLE promotions;
@@ -0,0 +1,73 @@
+-- Promotions lower the price of sale lines when a sale is recorded:
+--   percentage   value percent off the line
+--   fixed        value off each unit (at most the unit price)
+--   buy_x_get_y  of every buy_quantity + get_quantity units, get_quantity are
+--                value percent off (free when value is NULL)
+-- A promotion applies to one product, every product in a category subtree,
+-- or (with neither) every product, between starts_at and ends_at when given.
+-- With a coupon_code it only applies to sales that quote the code, at most
+-- usage_limit times (times_used counts the orders it was applied to).
+CREATE TABLE promotions (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(150) NOT NULL,
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('percentage', 'fixed', 'buy_x_get_y')),
+  value NUMERIC(10,2) CHECK (value > 0),
+  buy_quantity INTEGER CHECK (buy_quantity > 0),
+  get_quantity INTEGER CHECK (get_quantity > 0),
+  product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+  category_id INTEGER REFERENCES categories(id) ON DELETE RESTRICT,
+  starts_at TIMESTAMP WITH TIME ZONE,
+  ends_at TIMESTAMP WITH TIME ZONE,
+  coupon_code VARCHAR(50) UNIQUE,
+  usage_limit INTEGER CHECK (usage_limit > 0),
+  times_used INTEGER NOT NULL DEFAULT 0,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT promotions_kind_fields_check CHECK (
+    CASE kind
+      WHEN 'percentage' THEN value IS NOT NULL AND value <= 100
+      WHEN 'fixed' THEN value IS NOT NULL
+      ELSE buy_quantity IS NOT NULL AND get_quantity IS NOT NULL
+        AND (value IS NULL OR value <= 100)
+    END
+  ),
+  CONSTRAINT promotions_scope_check CHECK (product_id IS NULL OR category_id IS NULL),
+  CONSTRAINT promotions_dates_check CHECK (ends_at > starts_at),
+  CONSTRAINT promotions_coupon_limit_check CHECK (usage_limit IS NULL OR coupon_code IS NOT NULL)
+);
+CREATE INDEX idx_promotions_product_id ON promotions(product_id);
+CREATE INDEX idx_promotions_category_id ON promotions(category_id);
+
+-- The promotion applied to a sale line and what it took off; total_price is
+-- what the customer paid, unit_price * quantity - discount_amount
+ALTER TABLE order_items ADD COLUMN promotion_id INTEGER REFERENCES promotions(id) ON DELETE RESTRICT;
+ALTER TABLE order_items ADD COLUMN discount_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+CREATE INDEX idx_order_items_promotion_id ON order_items(promotion_id);
+
+CREATE OR REPLACE VIEW sales AS
+  SELECT
+    oi.id,
+    oi.order_id,
+    oi.product_id,
+    oi.quantity,
+    oi.total_price,
+    o.order_date AS sale_date,
+    oi.backorder_qty,
+    COALESCE(r.quantity, 0)::int AS refunded_qty,
+    COALESCE(r.amount, 0)::NUMERIC(14,2) AS refunded_amount,
+    oi.location_id,
+    oi.variant_id,
+    oi.promotion_id,
+    oi.discount_amount
+  FROM order_items oi
+  JOIN orders o ON oi.order_id = o.id
+  LEFT JOIN (
+    SELECT sale_id, SUM(quantity) AS quantity, SUM(amount) AS amount
+    FROM refunds
+    GROUP BY sale_id
+  ) r ON r.sale_id = oi.id;
+
+-- The rollups' gross_revenue is now before discounts (total_price +
+-- discount_amount); no sale had a discount yet, so it needs no backfill
+ALTER TABLE sales_daily_rollups ADD COLUMN discount_amount NUMERIC(14,2) NOT NULL DEFAULT 0;
@@ -0,0 +1,55 @@
+-- Folds the rollups back into one row per day and product, and drops the
+-- tax and currency of every sale (amounts stay as recorded)
+CREATE TEMP TABLE rollup_totals AS
+  SELECT sale_day, product_id, SUM(quantity)::int AS quantity,
+         SUM(gross_revenue) AS gross_revenue, SUM(discount_amount) AS discount_amount,
+         SUM(refunded_qty)::int AS refunded_qty, SUM(refunded_amount) AS refunded_amount
+  FROM sales_daily_rollups GROUP BY sale_day, product_id;
+DELETE FROM sales_daily_rollups;
+ALTER TABLE sales_daily_rollups DROP CONSTRAINT sales_daily_rollups_pkey;
+ALTER TABLE sales_daily_rollups DROP COLUMN currency;
+ALTER TABLE sales_daily_rollups ADD PRIMARY KEY (sale_day, product_id);
+INSERT INTO sales_daily_rollups(sale_day, product_id, quantity, gross_revenue, discount_amount, refunded_qty, refunded_amount)
+  SELECT sale_day, product_id, quantity, gross_revenue, discount_amount, refunded_qty, refunded_amount
+  FROM rollup_totals;
+DROP TABLE rollup_totals;
+
+DROP VIEW sales;
+CREATE VIEW sales AS
+  SELECT
+    oi.id,
+    oi.order_id,
+    oi.product_id,
+    oi.quantity,
+    oi.total_price,
+    o.order_date AS sale_date,
+    oi.backorder_qty,
+    COALESCE(r.quantity, 0)::int AS refunded_qty,
+    COALESCE(r.amount, 0)::NUMERIC(14,2) AS refunded_amount,
+    oi.location_id,
+    oi.variant_id,
+    oi.promotion_id,
+    oi.discount_amount
+  FROM order_items oi
+  JOIN orders o ON oi.order_id = o.id
+  LEFT JOIN (
+    SELECT sale_id, SUM(quantity) AS quantity, SUM(amount) AS amount
+    FROM refunds
+    GROUP BY sale_id
+  ) r ON r.sale_id = oi.id;
+
+ALTER TABLE refunds DROP COLUMN tax_amount;
+ALTER TABLE order_items DROP COLUMN total_incl_tax;
+ALTER TABLE order_items DROP COLUMN tax_amount;
+ALTER TABLE order_items DROP COLUMN tax_rate;
+ALTER TABLE order_items DROP COLUMN tax_region;
+ALTER TABLE order_items DROP COLUMN currency;
+ALTER TABLE orders DROP COLUMN total_incl_tax;
+ALTER TABLE orders DROP COLUMN tax_amount;
+ALTER TABLE orders DROP COLUMN currency;
+
+DROP FUNCTION exchange_rate_at(CHAR(3), CHAR(3), DATE);
+DROP TABLE exchange_rates;
+ALTER TABLE locations DROP COLUMN tax_region;
+DROP TABLE tax_rates;
+ALTER TABLE products DROP COLUMN currency;
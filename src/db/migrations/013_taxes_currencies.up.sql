@@ -0,0 +1,112 @@
+-- Prices are in their product's currency (ISO 4217 code). Products and sales
+-- recorded before this migration are taken to be in USD; new ones get
+-- DEFAULT_CURRENCY from the API.
+ALTER TABLE products ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'USD';
+ALTER TABLE products ALTER COLUMN currency DROP DEFAULT;
+
+-- Tax rates (percent) per region, e.g. 'US-NY' or 'DE'. A product is taxed
+-- at the rate for its category or the nearest category above it, else the
+-- region's rate without category_id, else not at all.
+CREATE TABLE tax_rates (
+  id SERIAL PRIMARY KEY,
+  region VARCHAR(20) NOT NULL,
+  category_id INTEGER REFERENCES categories(id) ON DELETE RESTRICT,
+  rate NUMERIC(6,3) NOT NULL CHECK (rate >= 0 AND rate <= 100),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE UNIQUE INDEX tax_rates_region_category_key
+  ON tax_rates(region, (COALESCE(category_id, 0)));
+
+-- The region sales fulfilled from a location are taxed in, unless the sale
+-- names one
+ALTER TABLE locations ADD COLUMN tax_region VARCHAR(20);
+
+-- 1 base_currency = rate quote_currency from effective_date on (until the
+-- next rate for the pair); the reports read rates both ways
+CREATE TABLE exchange_rates (
+  id SERIAL PRIMARY KEY,
+  base_currency CHAR(3) NOT NULL,
+  quote_currency CHAR(3) NOT NULL,
+  rate NUMERIC(18,8) NOT NULL CHECK (rate > 0),
+  effective_date DATE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (base_currency, quote_currency, effective_date),
+  CHECK (base_currency <> quote_currency)
+);
+
+-- What one unit of p_from was worth in p_to on p_day: 1 for the same
+-- currency, else the latest rate for the pair (or its inverse) effective on
+-- that day, or NULL if there is none
+CREATE FUNCTION exchange_rate_at(p_from CHAR(3), p_to CHAR(3), p_day DATE)
+RETURNS NUMERIC AS $$
+  SELECT CASE WHEN p_from = p_to THEN 1::numeric ELSE (
+    SELECT r.rate FROM (
+      SELECT rate, effective_date FROM exchange_rates
+      WHERE base_currency = p_from AND quote_currency = p_to AND effective_date <= p_day
+      UNION ALL
+      SELECT 1 / rate, effective_date FROM exchange_rates
+      WHERE base_currency = p_to AND quote_currency = p_from AND effective_date <= p_day
+    ) r
+    ORDER BY r.effective_date DESC
+    LIMIT 1
+  ) END;
+$$ LANGUAGE sql STABLE;
+
+-- Sale lines keep their currency and tax: total_price is net of tax,
+-- total_incl_tax = total_price + tax_amount is what the customer paid
+ALTER TABLE orders ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'USD';
+ALTER TABLE orders ALTER COLUMN currency DROP DEFAULT;
+ALTER TABLE orders ADD COLUMN tax_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN total_incl_tax NUMERIC(12,2);
+UPDATE orders SET total_incl_tax = total_price;
+ALTER TABLE orders ALTER COLUMN total_incl_tax SET NOT NULL;
+
+ALTER TABLE order_items ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'USD';
+ALTER TABLE order_items ALTER COLUMN currency DROP DEFAULT;
+ALTER TABLE order_items ADD COLUMN tax_region VARCHAR(20);
+ALTER TABLE order_items ADD COLUMN tax_rate NUMERIC(6,3) NOT NULL DEFAULT 0;
+ALTER TABLE order_items ADD COLUMN tax_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE order_items ADD COLUMN total_incl_tax NUMERIC(12,2);
+UPDATE order_items SET total_incl_tax = total_price;
+ALTER TABLE order_items ALTER COLUMN total_incl_tax SET NOT NULL;
+
+-- A refund returns its share of the line's tax too; amount stays net of tax
+ALTER TABLE refunds ADD COLUMN tax_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+
+CREATE OR REPLACE VIEW sales AS
+  SELECT
+    oi.id,
+    oi.order_id,
+    oi.product_id,
+    oi.quantity,
+    oi.total_price,
+    o.order_date AS sale_date,
+    oi.backorder_qty,
+    COALESCE(r.quantity, 0)::int AS refunded_qty,
+    COALESCE(r.amount, 0)::NUMERIC(14,2) AS refunded_amount,
+    oi.location_id,
+    oi.variant_id,
+    oi.promotion_id,
+    oi.discount_amount,
+    oi.currency,
+    oi.tax_region,
+    oi.tax_rate,
+    oi.tax_amount,
+    oi.total_incl_tax,
+    COALESCE(r.tax_amount, 0)::NUMERIC(14,2) AS refunded_tax
+  FROM order_items oi
+  JOIN orders o ON oi.order_id = o.id
+  LEFT JOIN (
+    SELECT sale_id, SUM(quantity) AS quantity, SUM(amount) AS amount,
+           SUM(tax_amount) AS tax_amount
+    FROM refunds
+    GROUP BY sale_id
+  ) r ON r.sale_id = oi.id;
+
+-- The rollups keep one row per day, product and currency, since a product's
+-- currency can change
+ALTER TABLE sales_daily_rollups ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'USD';
+ALTER TABLE sales_daily_rollups ALTER COLUMN currency DROP DEFAULT;
+ALTER TABLE sales_daily_rollups DROP CONSTRAINT sales_daily_rollups_pkey;
+ALTER TABLE sales_daily_rollups ADD PRIMARY KEY (sale_day, product_id, currency);
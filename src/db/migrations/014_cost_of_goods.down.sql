@@ -0,0 +1,38 @@
+ALTER TABLE sales_daily_rollups DROP COLUMN refunded_cost;
+ALTER TABLE sales_daily_rollups DROP COLUMN cost_amount;
+
+DROP VIEW sales;
+CREATE VIEW sales AS
+  SELECT
+    oi.id,
+    oi.order_id,
+    oi.product_id,
+    oi.quantity,
+    oi.total_price,
+    o.order_date AS sale_date,
+    oi.backorder_qty,
+    COALESCE(r.quantity, 0)::int AS refunded_qty,
+    COALESCE(r.amount, 0)::NUMERIC(14,2) AS refunded_amount,
+    oi.location_id,
+    oi.variant_id,
+    oi.promotion_id,
+    oi.discount_amount,
+    oi.currency,
+    oi.tax_region,
+    oi.tax_rate,
+    oi.tax_amount,
+    oi.total_incl_tax,
+    COALESCE(r.tax_amount, 0)::NUMERIC(14,2) AS refunded_tax
+  FROM order_items oi
+  JOIN orders o ON oi.order_id = o.id
+  LEFT JOIN (
+    SELECT sale_id, SUM(quantity) AS quantity, SUM(amount) AS amount,
+           SUM(tax_amount) AS tax_amount
+    FROM refunds
+    GROUP BY sale_id
+  ) r ON r.sale_id = oi.id;
+
+DROP FUNCTION product_cost_at(INTEGER, TIMESTAMP WITH TIME ZONE);
+ALTER TABLE order_items DROP COLUMN unit_cost;
+ALTER TABLE inventory_history DROP COLUMN unit_cost;
+ALTER TABLE products DROP COLUMN unit_cost;
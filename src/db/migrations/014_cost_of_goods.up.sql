@@ -0,0 +1,100 @@
+-- Unit costs are weighted averages in the product's currency: stock added at
+-- a cost (restocks, purchase order receipts) moves a product's unit_cost
+-- towards that cost, and each sale line keeps the unit_cost of its product
+-- when it was sold. NULL means the cost is not known.
+ALTER TABLE products ADD COLUMN unit_cost NUMERIC(12,4) CHECK (unit_cost >= 0);
+
+-- The cost each stock increase came in at
+ALTER TABLE inventory_history ADD COLUMN unit_cost NUMERIC(12,4);
+
+ALTER TABLE order_items ADD COLUMN unit_cost NUMERIC(12,4);
+
+-- Unit cost of a product at a point in time: its unit_cost if no stock has
+-- come in at a cost since, otherwise the cost of the latest stock that came
+-- in by then (or its unit_cost if none had). The averages themselves are not
+-- kept, so a backdated sale is costed at what its stock last cost.
+CREATE FUNCTION product_cost_at(p_product_id INTEGER, p_at TIMESTAMP WITH TIME ZONE)
+RETURNS NUMERIC AS $$
+  SELECT CASE
+    WHEN EXISTS (
+      SELECT 1 FROM inventory_history
+      WHERE product_id = p_product_id AND unit_cost IS NOT NULL
+        AND changed_at > p_at
+    ) THEN COALESCE(
+      (SELECT unit_cost FROM inventory_history
+       WHERE product_id = p_product_id AND unit_cost IS NOT NULL
+         AND changed_at <= p_at
+       ORDER BY changed_at DESC, id DESC LIMIT 1),
+      p.unit_cost
+    )
+    ELSE p.unit_cost
+  END
+  FROM products p WHERE p.id = p_product_id;
+$$ LANGUAGE sql STABLE;
+
+-- Existing products and their past sales start at the average cost of what
+-- purchase orders delivered, where known
+UPDATE products p SET unit_cost = po.unit_cost
+FROM (
+  SELECT product_id,
+         ROUND(SUM(quantity_received * unit_cost) / SUM(quantity_received), 4) AS unit_cost
+  FROM purchase_order_items
+  WHERE unit_cost IS NOT NULL AND quantity_received > 0
+  GROUP BY product_id
+) po
+WHERE po.product_id = p.id;
+UPDATE order_items oi SET unit_cost = p.unit_cost
+FROM products p
+WHERE p.id = oi.product_id AND p.unit_cost IS NOT NULL;
+
+CREATE OR REPLACE VIEW sales AS
+  SELECT
+    oi.id,
+    oi.order_id,
+    oi.product_id,
+    oi.quantity,
+    oi.total_price,
+    o.order_date AS sale_date,
+    oi.backorder_qty,
+    COALESCE(r.quantity, 0)::int AS refunded_qty,
+    COALESCE(r.amount, 0)::NUMERIC(14,2) AS refunded_amount,
+    oi.location_id,
+    oi.variant_id,
+    oi.promotion_id,
+    oi.discount_amount,
+    oi.currency,
+    oi.tax_region,
+    oi.tax_rate,
+    oi.tax_amount,
+    oi.total_incl_tax,
+    COALESCE(r.tax_amount, 0)::NUMERIC(14,2) AS refunded_tax,
+    oi.unit_cost,
+    COALESCE(r.restocked_quantity, 0)::int AS restocked_qty
+  FROM order_items oi
+  JOIN orders o ON oi.order_id = o.id
+  LEFT JOIN (
+    SELECT sale_id, SUM(quantity) AS quantity, SUM(amount) AS amount,
+           SUM(tax_amount) AS tax_amount,
+           SUM(quantity) FILTER (WHERE restocked) AS restocked_quantity
+    FROM refunds
+    GROUP BY sale_id
+  ) r ON r.sale_id = oi.id;
+
+-- Cost of the units sold and of the refunded units that went back into stock
+-- (sales without a unit_cost count as costing nothing); refunded goods that
+-- were not restocked stay a cost
+ALTER TABLE sales_daily_rollups ADD COLUMN cost_amount NUMERIC(16,4) NOT NULL DEFAULT 0;
+ALTER TABLE sales_daily_rollups ADD COLUMN refunded_cost NUMERIC(16,4) NOT NULL DEFAULT 0;
+UPDATE sales_daily_rollups r
+SET cost_amount = c.cost_amount, refunded_cost = c.refunded_cost
+FROM (
+  SELECT (s.sale_date AT TIME ZONE st.timezone)::date AS sale_day,
+         s.product_id, s.currency,
+         SUM(COALESCE(s.unit_cost, 0) * s.quantity) AS cost_amount,
+         SUM(COALESCE(s.unit_cost, 0) * s.restocked_qty) AS refunded_cost
+  FROM sales s
+  CROSS JOIN sales_rollup_settings st
+  GROUP BY 1, 2, 3
+) c
+WHERE c.sale_day = r.sale_day AND c.product_id = r.product_id
+  AND c.currency = r.currency;
@@ -0,0 +1,185 @@
+/**
+ * Versioned schema migrations.
+ *
+ * Each migration is a pair of SQL files in src/db/migrations:
+ *   NNN_description.up.sql    applied by `npm run migrate up`
+ *   NNN_description.down.sql  applied by `npm run migrate down`
+ *
+ * Applied versions are recorded in the `migrations` table. Every migration
+ * runs in its own transaction together with its bookkeeping row, so a failing
+ * file leaves the database at the previous version.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const db = require("./db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Arbitrary key for pg_advisory_lock, so two runners never migrate at once
+const LOCK_KEY = 727001;
+
+/**
+ * Reads the migrations directory.
+ * Returns [{ version, name, up, down }] sorted by version, where up/down are
+ * file paths (down may be null for irreversible migrations).
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(dir)) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+    const [, digits, name, direction] = match;
+    const version = parseInt(digits, 10);
+    const migration = byVersion.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new Error(
+        `Migration ${version} has two names: ${migration.name}, ${name}`
+      );
+    }
+    migration[direction] = path.join(dir, file);
+    byVersion.set(version, migration);
+  }
+  const migrations = [...byVersion.values()].sort(
+    (a, b) => a.version - b.version
+  );
+  for (const m of migrations) {
+    if (!m.up)
+      throw new Error(`Migration ${m.version}_${m.name} has no .up.sql file`);
+    m.down = m.down || null;
+  }
+  return migrations;
+}
+
+/**
+ * Checks out a client, takes the migration lock and makes sure the
+ * `migrations` table exists, then runs `work(client)`.
+ */
+async function withMigrationLock(work) {
+  const client = await db.pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1);", [LOCK_KEY]);
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS migrations (
+          version INTEGER PRIMARY KEY,
+          name VARCHAR(200) NOT NULL,
+          applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        );
+      `);
+      return await work(client);
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1);", [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function appliedVersions(client) {
+  const result = await client.query(
+    "SELECT version, name, applied_at FROM migrations ORDER BY version;"
+  );
+  return result.rows;
+}
+
+/**
+ * Runs one SQL file and its bookkeeping statement in a transaction.
+ */
+async function runFile(client, file, bookkeeping) {
+  const sql = fs.readFileSync(file, "utf8");
+  try {
+    await client.query("BEGIN");
+    await client.query(sql);
+    await client.query(bookkeeping.text, bookkeeping.values);
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    err.message = `${path.basename(file)}: ${err.message}`;
+    throw err;
+  }
+}
+
+/**
+ * Applies every pending migration (or those up to and including `to`).
+ * Returns the migrations that were applied.
+ */
+async function up({ to } = {}) {
+  const migrations = loadMigrations();
+  return withMigrationLock(async (client) => {
+    const applied = new Set(
+      (await appliedVersions(client)).map((r) => r.version)
+    );
+    const done = [];
+    for (const m of migrations) {
+      if (applied.has(m.version)) continue;
+      if (to != null && m.version > to) break;
+      await runFile(client, m.up, {
+        text: "INSERT INTO migrations(version, name) VALUES($1, $2);",
+        values: [m.version, m.name],
+      });
+      done.push(m);
+    }
+    return done;
+  });
+}
+
+/**
+ * Reverts the most recently applied migrations (`steps`, default 1).
+ * Returns the migrations that were reverted.
+ */
+async function down({ steps = 1 } = {}) {
+  const migrations = new Map(loadMigrations().map((m) => [m.version, m]));
+  return withMigrationLock(async (client) => {
+    const applied = (await appliedVersions(client)).reverse().slice(0, steps);
+    const done = [];
+    for (const row of applied) {
+      const m = migrations.get(row.version);
+      if (!m) {
+        throw new Error(
+          `Migration ${row.version}_${row.name} is applied but its files are missing`
+        );
+      }
+      if (!m.down) {
+        throw new Error(
+          `Migration ${m.version}_${m.name} cannot be reverted (no .down.sql file)`
+        );
+      }
+      await runFile(client, m.down, {
+        text: "DELETE FROM migrations WHERE version = $1;",
+        values: [m.version],
+      });
+      done.push(m);
+    }
+    return done;
+  });
+}
+
+/**
+ * Lists every known migration with its applied_at (null while pending).
+ * Versions recorded in the database but missing on disk are flagged `missing`.
+ */
+async function status() {
+  const migrations = loadMigrations();
+  return withMigrationLock(async (client) => {
+    const applied = new Map(
+      (await appliedVersions(client)).map((r) => [r.version, r])
+    );
+    const rows = migrations.map((m) => ({
+      version: m.version,
+      name: m.name,
+      applied_at: applied.has(m.version)
+        ? applied.get(m.version).applied_at
+        : null,
+    }));
+    for (const [version, row] of applied) {
+      if (!migrations.some((m) => m.version === version)) {
+        rows.push({ ...row, missing: true });
+      }
+    }
+    return rows.sort((a, b) => a.version - b.version);
+  });
+}
+
+module.exports = { loadMigrations, up, down, status };
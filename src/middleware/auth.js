@@ -0,0 +1,77 @@
+const db = require("../db/db");
+const { hashApiKey } = require("../services/apiKeys");
+
+// Each role can do everything the roles before it can
+const ROLES = ["viewer", "clerk", "admin"];
+
+/**
+ * Resolves the API key sent as `Authorization: Bearer <key>` (or `X-API-Key`)
+ * to its user and sets req.user = { id, name, email, role, api_key_id }.
+ * Responds 401 if the key is missing, unknown or revoked.
+ */
+async function authenticate(req, res, next) {
+  const header = req.get("authorization") || "";
+  const key = header.startsWith("Bearer ")
+    ? header.slice(7).trim()
+    : req.get("x-api-key");
+  if (!key) {
+    return res.status(401).json({ error: "API key required." });
+  }
+  try {
+    const result = await db.query(
+      `
+      UPDATE api_keys k
+      SET last_used_at = NOW()
+      FROM users u
+      WHERE k.user_id = u.id
+        AND k.key_hash = $1
+        AND k.revoked_at IS NULL
+      RETURNING u.id, u.name, u.email, u.role, k.id AS api_key_id;
+      `,
+      [hashApiKey(key)]
+    );
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: "Invalid API key." });
+    }
+    req.user = result.rows[0];
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Guard that lets the request through if req.user has at least `minRole`.
+ * Usage: router.use(requireRole("admin")) or as per-route middleware.
+ */
+function requireRole(minRole) {
+  const minLevel = ROLES.indexOf(minRole);
+  if (minLevel === -1) throw new Error(`Unknown role: ${minRole}`);
+  return (req, res, next) => {
+    if (!req.user || ROLES.indexOf(req.user.role) < minLevel) {
+      return res
+        .status(403)
+        .json({ error: `This action requires the ${minRole} role.` });
+    }
+    next();
+  };
+}
+
+/**
+ * Router-level guard mapping each HTTP method to the minimum role it needs,
+ * e.g. router.use(requireRoleByMethod({ GET: "viewer", PUT: "clerk" })).
+ * HEAD follows GET; methods missing from the map are admin-only.
+ */
+function requireRoleByMethod(rolesByMethod) {
+  const guards = {};
+  for (const [method, role] of Object.entries(rolesByMethod)) {
+    guards[method] = requireRole(role);
+  }
+  const adminOnly = requireRole("admin");
+  return (req, res, next) => {
+    const method = req.method === "HEAD" ? "GET" : req.method;
+    (guards[method] || adminOnly)(req, res, next);
+  };
+}
+
+module.exports = { ROLES, authenticate, requireRole, requireRoleByMethod };
@@ -0,0 +1,286 @@
+/**
+ * Declarative request validation.
+ *
+ *   router.put("/:id", validate({ params, query, body }), handler)
+ *
+ * Each part maps field names to a spec:
+ *   type       integer | number | string | boolean | date | datetime | timezone | currency |
+ *              array | object
+ *   required   field must be present (null, and "" in params/query, count as absent)
+ *   min, max   numeric bounds (integer/number)
+ *   minLength, maxLength   string length / array size
+ *   enum       allowed values
+ *   items      spec for each array element
+ *   properties field specs for an object (unknown keys are rejected)
+ *   values     spec for every value of an object with free-form keys
+ *              (maxLength then limits the number of keys)
+ *
+ * Values are parsed strictly ("12abc" is not an integer) and written back
+ * to req.params / req.query / req.body in their typed form: integers and
+ * numbers become JS numbers, strings are trimmed, booleans accept
+ * true/false, `date` must be a real day as YYYY-MM-DD (kept as a string),
+ * `datetime` is anything Date can parse (converted to a Date) and `timezone`
+ * is an IANA name such as Europe/Paris (converted to its canonical spelling)
+ * and `currency` a three-letter ISO 4217 code (converted to upper case).
+ *
+ * POST/PUT bodies may not contain fields missing from the schema, except
+ * `reason`, which every write accepts for the audit log.
+ *
+ * On failure responds 400 with every problem at once:
+ *   { error: "Validation failed.", details: [{ in, field, message }, …] }
+ */
+
+const HttpError = require("../utils/httpError");
+const { canonicalTimeZone } = require("../utils/dates");
+const { canonicalCurrency } = require("../utils/currency");
+
+const INTEGER_RE = /^[+-]?\d+$/;
+const NUMBER_RE = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Fields every write body may carry without declaring them
+const COMMON_BODY_FIELDS = {
+  reason: { type: "string", maxLength: 500 },
+};
+
+function describeBounds(spec) {
+  if (spec.min != null && spec.max != null)
+    return ` between ${spec.min} and ${spec.max}`;
+  if (spec.min != null) return ` >= ${spec.min}`;
+  if (spec.max != null) return ` <= ${spec.max}`;
+  return "";
+}
+
+/**
+ * Checks one value against its spec. Returns { value } with the parsed value
+ * or { errors: [{ field, message }] }.
+ */
+function checkValue(value, spec, field) {
+  const fail = (message) => ({ errors: [{ field, message }] });
+
+  switch (spec.type) {
+    case "integer":
+    case "number": {
+      const re = spec.type === "integer" ? INTEGER_RE : NUMBER_RE;
+      let n = value;
+      if (typeof value === "string" && re.test(value.trim())) n = Number(value);
+      const ok =
+        typeof n === "number" &&
+        Number.isFinite(n) &&
+        (spec.type === "number" || Number.isInteger(n)) &&
+        (spec.min == null || n >= spec.min) &&
+        (spec.max == null || n <= spec.max);
+      if (!ok) {
+        const what = spec.type === "integer" ? "an integer" : "a number";
+        return fail(`must be ${what}${describeBounds(spec)}.`);
+      }
+      value = n;
+      break;
+    }
+    case "string": {
+      if (typeof value !== "string") return fail("must be a string.");
+      value = value.trim();
+      if (spec.minLength != null && value.length < spec.minLength) {
+        return fail(
+          spec.minLength === 1
+            ? "must not be empty."
+            : `must be at least ${spec.minLength} characters.`
+        );
+      }
+      if (spec.maxLength != null && value.length > spec.maxLength)
+        return fail(`must be at most ${spec.maxLength} characters.`);
+      break;
+    }
+    case "boolean": {
+      if (value === "true") value = true;
+      if (value === "false") value = false;
+      if (typeof value !== "boolean") return fail("must be true or false.");
+      break;
+    }
+    case "date": {
+      // Date rolls impossible days over (2024-02-30 is Mar 1), so the day
+      // must survive the round trip
+      const d = typeof value === "string" ? new Date(value) : null;
+      const ok =
+        d !== null &&
+        DATE_RE.test(value) &&
+        !isNaN(d.getTime()) &&
+        d.toISOString().slice(0, 10) === value;
+      if (!ok) return fail("must be a valid date (YYYY-MM-DD).");
+      break;
+    }
+    case "datetime": {
+      const d =
+        typeof value === "string" || typeof value === "number"
+          ? new Date(value)
+          : null;
+      if (!d || isNaN(d.getTime()))
+        return fail("must be a valid date/time (ISO 8601).");
+      value = d;
+      break;
+    }
+    case "timezone": {
+      const tz = canonicalTimeZone(value);
+      if (!tz)
+        return fail("must be an IANA time zone name (e.g. Europe/London).");
+      value = tz;
+      break;
+    }
+    case "currency": {
+      const code = canonicalCurrency(value);
+      if (!code)
+        return fail("must be a three-letter currency code (e.g. EUR).");
+      value = code;
+      break;
+    }
+    case "array": {
+      if (!Array.isArray(value)) return fail("must be an array.");
+      if (spec.minLength != null && value.length < spec.minLength)
+        return fail(`must contain at least ${spec.minLength} item(s).`);
+      if (spec.maxLength != null && value.length > spec.maxLength)
+        return fail(`must contain at most ${spec.maxLength} item(s).`);
+      if (spec.items) {
+        const errors = [];
+        value = value.map((item, i) => {
+          const r = checkValue(item, spec.items, `${field}[${i}]`);
+          if (r.errors) errors.push(...r.errors);
+          return r.value;
+        });
+        if (errors.length > 0) return { errors };
+      }
+      break;
+    }
+    case "object": {
+      if (!value || typeof value !== "object" || Array.isArray(value))
+        return fail("must be an object.");
+      if (spec.values) {
+        const keys = Object.keys(value);
+        if (spec.maxLength != null && keys.length > spec.maxLength)
+          return fail(`must contain at most ${spec.maxLength} key(s).`);
+        const errors = [];
+        const parsed = {};
+        for (const key of keys) {
+          const r = checkValue(value[key], spec.values, `${field}.${key}`);
+          if (r.errors) errors.push(...r.errors);
+          else parsed[key] = r.value;
+        }
+        if (errors.length > 0) return { errors };
+        value = parsed;
+        break;
+      }
+      const r = checkFields(value, spec.properties || {}, {
+        prefix: `${field}.`,
+        rejectUnknown: true,
+      });
+      if (r.errors.length > 0) return { errors: r.errors };
+      value = r.value;
+      break;
+    }
+    default:
+      throw new Error(`Unknown schema type "${spec.type}" for ${field}`);
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    return fail(`must be one of: ${spec.enum.join(", ")}.`);
+  }
+  return { value };
+}
+
+/**
+ * Checks every field of `input` against `specs`.
+ * Returns { value, errors } where value holds the parsed fields plus any
+ * undeclared ones (when they are allowed). Also used directly for input that
+ * does not arrive as JSON (e.g. CSV rows in services/productImport.js).
+ */
+function checkFields(
+  input,
+  specs,
+  { prefix = "", rejectUnknown = false, emptyIsAbsent = false }
+) {
+  const value = {};
+  const errors = [];
+
+  for (const [name, spec] of Object.entries(specs)) {
+    const raw = input[name];
+    if (raw === undefined || raw === null || (emptyIsAbsent && raw === "")) {
+      if (spec.required) {
+        errors.push({ field: prefix + name, message: "is required." });
+      }
+      continue;
+    }
+    const r = checkValue(raw, spec, prefix + name);
+    if (r.errors) errors.push(...r.errors);
+    else value[name] = r.value;
+  }
+
+  for (const name of Object.keys(input)) {
+    if (name in specs) continue;
+    if (rejectUnknown) {
+      errors.push({ field: prefix + name, message: "is not allowed." });
+    } else {
+      value[name] = input[name];
+    }
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Builds the same 400 error the middleware sends, for checks that can only
+ * run inside a handler (e.g. cursor decoding). Throw it or pass it to next().
+ */
+function validationError(details) {
+  return new HttpError(400, "Validation failed.", { details });
+}
+
+function validate(schema) {
+  return (req, res, next) => {
+    const details = [];
+    const parsed = {};
+
+    for (const part of ["params", "query", "body"]) {
+      if (!schema[part]) continue;
+      let input = req[part];
+      if (part === "body") {
+        if (input == null) input = {};
+        if (typeof input !== "object" || Array.isArray(input)) {
+          details.push({
+            in: "body",
+            field: "",
+            message: "must be a JSON object.",
+          });
+          continue;
+        }
+      }
+      const isWrite = part === "body" && ["POST", "PUT"].includes(req.method);
+      const specs =
+        part === "body"
+          ? { ...COMMON_BODY_FIELDS, ...schema[part] }
+          : schema[part];
+      const r = checkFields(input || {}, specs, {
+        rejectUnknown: isWrite,
+        // ?category_id= means "no filter", but "" in a JSON body is a value
+        emptyIsAbsent: part !== "body",
+      });
+      for (const e of r.errors) details.push({ in: part, ...e });
+      parsed[part] = r.value;
+    }
+
+    if (details.length > 0) return next(validationError(details));
+    const { query, ...rest } = parsed;
+    Object.assign(req, rest);
+    // Express 5 makes req.query a getter that re-parses the URL each time, so
+    // the parsed values are defined on the request itself
+    if (query) {
+      Object.defineProperty(req, "query", {
+        value: query,
+        writable: true,
+        configurable: true,
+        enumerable: true,
+      });
+    }
+    next();
+  };
+}
+
+module.exports = { validate, validationError, checkFields };
@@ -0,0 +1,161 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db/db");
+const { requireRole } = require("../middleware/auth");
+const { parseListParams } = require("../utils/pagination");
+const { validate } = require("../middleware/validate");
+const { DEFAULT_TIMEZONE, localMidnightSql } = require("../utils/dates");
+
+// Columns a client may select with ?fields= on GET /api/audit
+const AUDIT_FIELDS = [
+  "id",
+  "actor_user_id",
+  "actor_name",
+  "actor_api_key_id",
+  "entity",
+  "entity_id",
+  "action",
+  "before",
+  "after",
+  "reason",
+  "created_at",
+];
+
+// Request schemas (see middleware/validate.js)
+const validateList = validate({
+  query: {
+    entity: {
+      type: "string",
+      enum: [
+        "category",
+        "product",
+        "product_price",
+        "product_variant",
+        "inventory",
+        "location",
+        "transfer",
+        "order",
+        "refund",
+        "supplier",
+        "purchase_order",
+        "promotion",
+        "tax_rate",
+        "exchange_rate",
+        "user",
+        "api_key",
+      ],
+    },
+    entity_id: { type: "integer", min: 1 },
+    action: { type: "string", enum: ["create", "update", "delete"] },
+    actor_user_id: { type: "integer", min: 1 },
+    startDate: { type: "date" },
+    endDate: { type: "date" },
+    tz: { type: "timezone" },
+  },
+});
+
+// The audit trail is admin-only
+router.use(requireRole("admin"));
+
+/**
+ * GET /api/audit
+ * Query params (all optional):
+ *   - entity (category | product | product_price | product_variant | inventory | location | transfer |
+ *             order | refund | supplier | purchase_order | promotion | tax_rate | exchange_rate |
+ *             user | api_key)
+ *   - entity_id
+ *   - action (create | update | delete)
+ *   - actor_user_id
+ *   - startDate, endDate (YYYY-MM-DD, inclusive)
+ *   - tz (IANA time zone name; the days startDate/endDate cover, default BUSINESS_TIMEZONE)
+ *   - limit, cursor                 (keyset pagination)
+ *   - sort = created_at | id        (prefix - for descending; default -created_at)
+ *   - fields = comma-separated subset of the audit columns
+ *
+ * Returns { data: [audit_log rows with actor name…], next_cursor }.
+ */
+router.get("/", validateList, async (req, res, next) => {
+  const {
+    entity,
+    entity_id,
+    action,
+    actor_user_id,
+    startDate,
+    endDate,
+    tz = DEFAULT_TIMEZONE,
+  } = req.query;
+  try {
+    const list = parseListParams(req.query, {
+      sorts: {
+        created_at: { expr: "a.created_at", type: "timestamptz" },
+        id: { expr: "a.id", type: "int" },
+      },
+      defaultSort: "-created_at",
+      idExpr: "a.id",
+      fields: AUDIT_FIELDS,
+    });
+
+    const filters = [];
+    const values = [];
+
+    if (entity) {
+      values.push(entity);
+      filters.push(`a.entity = $${values.length}`);
+    }
+    if (action) {
+      values.push(action);
+      filters.push(`a.action = $${values.length}`);
+    }
+    for (const [param, column] of [
+      [entity_id, "a.entity_id"],
+      [actor_user_id, "a.actor_user_id"],
+    ]) {
+      if (param == null) continue;
+      values.push(param);
+      filters.push(`${column} = $${values.length}`);
+    }
+    // Days run from local midnight in tz, as in the sales reports
+    if (startDate || endDate) values.push(tz);
+    const tzParam = `$${values.length}`;
+    if (startDate) {
+      values.push(startDate);
+      const start = localMidnightSql(`$${values.length}::date`, tzParam);
+      filters.push(`a.created_at >= ${start}`);
+    }
+    if (endDate) {
+      // up to the midnight after endDate, to include the entire endDate
+      values.push(endDate);
+      const end = localMidnightSql(`$${values.length}::date + 1`, tzParam);
+      filters.push(`a.created_at < ${end}`);
+    }
+    list.applyCursor(filters, values);
+
+    let queryText = `
+      SELECT
+        a.id,
+        a.actor_user_id,
+        u.name AS actor_name,
+        a.actor_api_key_id,
+        a.entity,
+        a.entity_id,
+        a.action,
+        a.before,
+        a.after,
+        a.reason,
+        a.created_at,
+        ${list.selectCursor()}
+      FROM audit_log a
+      LEFT JOIN users u ON a.actor_user_id = u.id
+    `;
+    if (filters.length > 0) {
+      queryText += " WHERE " + filters.join(" AND ");
+    }
+    queryText += list.orderBy() + ";";
+    const result = await db.query(queryText, values);
+    res.json(list.page(result.rows));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,58 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../db/db");
+const { requireRoleByMethod } = require("../middleware/auth");
+const HttpError = require("../utils/httpError");
+const { validate } = require("../middleware/validate");
+const { recordAudit } = require("../services/audit");
+const {
+  CATEGORY_COLUMNS,
+  insertCategory,
+  moveCategory,
+  deleteCategory,
+  buildCategoryTree,
+} = require("../services/categories");
+
+// Request schemas (see middleware/validate.js)
+const idParams = { id: { type: "integer", required: true, min: 1 } };
+const categoryBody = {
+  name: { type: "string", required: true, minLength: 1, maxLength: 100 },
+};
+const parentField = { type: "integer", min: 1 };
+const validateCreate = validate({
+  body: { ...categoryBody, parent_id: parentField },
+});
+const validateUpdate = validate({ params: idParams, body: categoryBody });
+const validateMove = validate({
+  params: idParams,
+  body: { parent_id: parentField, position: { type: "integer", min: 0 } },
+});
+const validateDelete = validate({ params: idParams });
+const validateList = validate({
+  query: { include_archived: { type: "boolean" } },
+});
+const validateArchive = validate({ params: idParams, body: {} });
+
+// Anyone with a key can read categories; only admins change them
+router.use(
+  requireRoleByMethod({
+    GET: "viewer",
+    POST: "admin",
+    PUT: "admin",
+    DELETE: "admin",
+  })
+);
 
 /**
  * GET /api/categories
- * Retrieves all categories.
+ * Retrieves all categories (a flat list by name; see /tree for the hierarchy).
+ * Archived categories are left out unless include_archived=true.
  */
-router.get("/", async (_req, res, next) => {
+router.get("/", validateList, async (req, res, next) => {
   try {
+    const where = req.query.include_archived ? "" : "WHERE archived_at IS NULL";
     const result = await db.query(
-      "SELECT id, name, created_at FROM categories ORDER BY name;"
+      `SELECT ${CATEGORY_COLUMNS} FROM categories ${where} ORDER BY name;`
     );
     res.json(result.rows);
   } catch (err) {
@@ -18,23 +61,56 @@ router.get("/", async (_req, res, next) => {
 });
 
 /**
- * POST /api/categories
- * Creates a new category.
- * Body: { name: 'Some Category' }
+ * GET /api/categories/tree
+ * Returns the category hierarchy: the top-level categories, each with its
+ * `children` (recursively), siblings in position order:
+ *   [{ id, name, parent_id, position, product_count, created_at, archived_at, children: [...] }…]
+ * product_count counts the products directly in the category. Archived
+ * categories and products are left out unless include_archived=true.
  */
-router.post("/", async (req, res, next) => {
-  const { name } = req.body;
-  if (!name || typeof name !== "string") {
-    return res
-      .status(400)
-      .json({ error: "Category name is required and must be a string." });
-  }
+router.get("/tree", validateList, async (req, res, next) => {
+  const includeArchived = req.query.include_archived === true;
   try {
-    const insert = await db.query(
-      "INSERT INTO categories(name) VALUES($1) RETURNING id, name, created_at;",
-      [name.trim()]
+    const result = await db.query(
+      `SELECT
+         c.id,
+         c.name,
+         c.parent_id,
+         c.position,
+         (SELECT COUNT(*) FROM products p
+          WHERE p.category_id = c.id AND ($1 OR p.archived_at IS NULL))::int AS product_count,
+         c.created_at,
+         c.archived_at
+       FROM categories c
+       WHERE $1 OR c.archived_at IS NULL
+       ORDER BY c.position, c.id;`,
+      [includeArchived]
     );
-    res.status(201).json(insert.rows[0]);
+    res.json(buildCategoryTree(result.rows));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/categories
+ * Creates a new category, last among its siblings.
+ * Body: { name: 'Some Category', parent_id (optional, top level otherwise) }
+ */
+router.post("/", validateCreate, async (req, res, next) => {
+  const { name, parent_id: parentId = null } = req.body;
+  try {
+    const created = await db.withTransaction(async (client) => {
+      const category = await insertCategory(client, name, parentId);
+      await recordAudit(client, req, {
+        entity: "category",
+        entityId: category.id,
+        action: "create",
+        after: category,
+      });
+      return category;
+    });
+    res.status(201).json(created);
   } catch (err) {
     // if unique violation
     if (err.code === "23505") {
@@ -49,23 +125,31 @@ router.post("/", async (req, res, next) => {
  * Updates a category name
  * Body: { name: 'New Name' }
  */
-router.put("/:id", async (req, res, next) => {
-  const id = parseInt(req.params.id, 10);
+router.put("/:id", validateUpdate, async (req, res, next) => {
+  const { id } = req.params;
   const { name } = req.body;
-  if (isNaN(id)) return res.status(400).json({ error: "Invalid category ID." });
-  if (!name || typeof name !== "string") {
-    return res
-      .status(400)
-      .json({ error: "Category name is required and must be a string." });
-  }
   try {
-    const upd = await db.query(
-      "UPDATE categories SET name = $1 WHERE id = $2 RETURNING id, name, created_at;",
-      [name.trim(), id]
-    );
-    if (upd.rows.length === 0)
-      return res.status(404).json({ error: "Category not found." });
-    res.json(upd.rows[0]);
+    const updated = await db.withTransaction(async (client) => {
+      const before = await client.query(
+        `SELECT ${CATEGORY_COLUMNS} FROM categories WHERE id = $1 FOR UPDATE;`,
+        [id]
+      );
+      if (before.rows.length === 0) return null;
+      const upd = await client.query(
+        `UPDATE categories SET name = $1 WHERE id = $2 RETURNING ${CATEGORY_COLUMNS};`,
+        [name, id]
+      );
+      await recordAudit(client, req, {
+        entity: "category",
+        entityId: id,
+        action: "update",
+        before: before.rows[0],
+        after: upd.rows[0],
+      });
+      return upd.rows[0];
+    });
+    if (!updated) return res.status(404).json({ error: "Category not found." });
+    res.json(updated);
   } catch (err) {
     if (err.code === "23505") {
       return res.status(409).json({ error: "Category name already exists." });
@@ -75,32 +159,203 @@ router.put("/:id", async (req, res, next) => {
 });
 
 /**
- * DELETE /api/categories/:id
- * Deletes a category IF no products reference it.
+ * POST /api/categories/:id/move
+ * Moves a category (with everything below it) in the tree, or reorders it
+ * among its siblings. Body:
+ *   { parent_id (optional, the top level otherwise),
+ *     position (optional, 0 = first; last by default) }
+ * Responds 409 if parent_id is the category itself or one of its descendants.
  */
-router.delete("/:id", async (req, res, next) => {
-  const id = parseInt(req.params.id, 10);
-  if (isNaN(id)) return res.status(400).json({ error: "Invalid category ID." });
+router.post("/:id/move", validateMove, async (req, res, next) => {
+  const { id } = req.params;
+  const { parent_id: parentId = null, position = null } = req.body;
   try {
-    // Check if any product references this category
-    const chk = await db.query(
-      "SELECT COUNT(*) FROM products WHERE category_id = $1;",
+    const moved = await db.withTransaction(async (client) => {
+      const change = await moveCategory(client, id, parentId, position);
+      if (!change) return null;
+      await recordAudit(client, req, {
+        entity: "category",
+        entityId: id,
+        action: "update",
+        ...change,
+      });
+      return change.after;
+    });
+    if (!moved) return res.status(404).json({ error: "Category not found." });
+    res.json(moved);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Helper: archives (archived = true) or restores a category, using the given
+ * transaction client. Returns the category after the change, null if it does
+ * not exist, or false if it already was in that state. Throws HttpError(409)
+ * when archiving a category that still has active products or
+ * subcategories, or restoring one whose parent is archived.
+ */
+async function setCategoryArchived(client, req, id, archived) {
+  const cat = await client.query(
+    `SELECT ${CATEGORY_COLUMNS} FROM categories WHERE id = $1 FOR UPDATE;`,
+    [id]
+  );
+  if (cat.rows.length === 0) return null;
+  const before = cat.rows[0];
+  if ((before.archived_at != null) === archived) return false;
+
+  if (archived) {
+    const chk = await client.query(
+      `SELECT
+         EXISTS (SELECT 1 FROM products
+                 WHERE category_id = $1 AND archived_at IS NULL) AS has_products,
+         EXISTS (SELECT 1 FROM categories
+                 WHERE parent_id = $1 AND archived_at IS NULL) AS has_children;`,
       [id]
     );
-    if (parseInt(chk.rows[0].count, 10) > 0) {
-      return res
-        .status(409)
-        .json({
-          error: "Cannot delete: one or more products belong to this category.",
-        });
+    if (chk.rows[0].has_products || chk.rows[0].has_children) {
+      throw new HttpError(
+        409,
+        "Cannot archive: archive the category's products and subcategories first.",
+        chk.rows[0]
+      );
     }
-    const del = await db.query(
-      "DELETE FROM categories WHERE id = $1 RETURNING id, name;",
-      [id]
+  } else if (before.parent_id != null) {
+    const parent = await client.query(
+      "SELECT archived_at FROM categories WHERE id = $1;",
+      [before.parent_id]
+    );
+    if (parent.rows[0].archived_at) {
+      throw new HttpError(
+        409,
+        "The parent category is archived; restore it first.",
+        { parent_id: before.parent_id }
+      );
+    }
+  }
+
+  const upd = await client.query(
+    `UPDATE categories SET archived_at = CASE WHEN $1 THEN NOW() END
+     WHERE id = $2 RETURNING ${CATEGORY_COLUMNS};`,
+    [archived, id]
+  );
+  await recordAudit(client, req, {
+    entity: "category",
+    entityId: id,
+    action: "update",
+    before,
+    after: upd.rows[0],
+  });
+  return upd.rows[0];
+}
+
+/**
+ * POST /api/categories/:id/archive
+ * Archives a category whose products and subcategories are all archived:
+ * it is hidden from the category listings and takes no new products or
+ * subcategories. Responds 409 if already archived.
+ */
+router.post("/:id/archive", validateArchive, async (req, res, next) => {
+  try {
+    const category = await db.withTransaction((client) =>
+      setCategoryArchived(client, req, req.params.id, true)
     );
-    if (del.rows.length === 0)
+    if (category === null)
       return res.status(404).json({ error: "Category not found." });
-    res.json({ message: `Deleted category ${del.rows[0].name}.` });
+    if (category === false)
+      return res.status(409).json({ error: "Category is already archived." });
+    res.json(category);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/categories/:id/restore
+ * Brings an archived category back (its products stay archived until they
+ * are restored). Responds 409 if it is not archived, or its parent is.
+ */
+router.post("/:id/restore", validateArchive, async (req, res, next) => {
+  try {
+    const category = await db.withTransaction((client) =>
+      setCategoryArchived(client, req, req.params.id, false)
+    );
+    if (category === null)
+      return res.status(404).json({ error: "Category not found." });
+    if (category === false)
+      return res.status(409).json({ error: "Category is not archived." });
+    res.json(category);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/categories/:id
+ * Deletes a category IF no products, subcategories, promotions or tax rates
+ * reference it.
+ */
+router.delete("/:id", validateDelete, async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    // Returns the deleted row, null if not found, or "products" /
+    // "subcategories" / "promotions" / "tax_rates" for what blocks it
+    const deleted = await db.withTransaction(async (client) => {
+      // Lock the category so no product can be attached to it mid-delete
+      const cat = await client.query(
+        `SELECT ${CATEGORY_COLUMNS} FROM categories WHERE id = $1 FOR UPDATE;`,
+        [id]
+      );
+      if (cat.rows.length === 0) return null;
+
+      // Check if any product, subcategory, promotion or tax rate references
+      // this category
+      const chk = await client.query(
+        `SELECT
+           EXISTS (SELECT 1 FROM products WHERE category_id = $1) AS has_products,
+           EXISTS (SELECT 1 FROM categories WHERE parent_id = $1) AS has_children,
+           EXISTS (SELECT 1 FROM promotions WHERE category_id = $1) AS has_promotions,
+           EXISTS (SELECT 1 FROM tax_rates WHERE category_id = $1) AS has_tax_rates;`,
+        [id]
+      );
+      if (chk.rows[0].has_products) return "products";
+      if (chk.rows[0].has_children) return "subcategories";
+      if (chk.rows[0].has_promotions) return "promotions";
+      if (chk.rows[0].has_tax_rates) return "tax_rates";
+
+      await deleteCategory(client, cat.rows[0]);
+      await recordAudit(client, req, {
+        entity: "category",
+        entityId: id,
+        action: "delete",
+        before: cat.rows[0],
+      });
+      return cat.rows[0];
+    });
+
+    if (deleted === null)
+      return res.status(404).json({ error: "Category not found." });
+    if (deleted === "products") {
+      return res.status(409).json({
+        error: "Cannot delete: one or more products belong to this category.",
+      });
+    }
+    if (deleted === "subcategories") {
+      return res.status(409).json({
+        error: "Cannot delete: the category has subcategories.",
+      });
+    }
+    if (deleted === "promotions") {
+      return res.status(409).json({
+        error: "Cannot delete: promotions are set up for this category.",
+      });
+    }
+    if (deleted === "tax_rates") {
+      return res.status(409).json({
+        error: "Cannot delete: tax rates are set for this category.",
+      });
+    }
+    res.json({ message: `Deleted category ${deleted.name}.` });
   } catch (err) {
     next(err);
   }
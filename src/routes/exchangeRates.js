@@ -0,0 +1,184 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db/db");
+const { requireRoleByMethod } = require("../middleware/auth");
+const { validate, validationError } = require("../middleware/validate");
+const { recordAudit } = require("../services/audit");
+
+// Columns returned for an exchange rate (see migration 013), with
+// effective_date as YYYY-MM-DD
+const EXCHANGE_RATE_COLUMNS = `id, base_currency, quote_currency, rate,
+  TO_CHAR(effective_date, 'YYYY-MM-DD') AS effective_date, created_at`;
+
+// Request schemas (see middleware/validate.js)
+const idParams = { id: { type: "integer", required: true, min: 1 } };
+const rate = {
+  type: "number",
+  required: true,
+  min: 0.00000001,
+  max: 9999999999,
+};
+const validateList = validate({ query: { currency: { type: "currency" } } });
+const validateCreate = validate({
+  body: {
+    base_currency: { type: "currency", required: true },
+    quote_currency: { type: "currency", required: true },
+    rate,
+    effective_date: { type: "date" },
+  },
+});
+const validateUpdate = validate({ params: idParams, body: { rate } });
+const validateDelete = validate({ params: idParams });
+
+// Anyone with a key can read exchange rates; only admins change them
+router.use(
+  requireRoleByMethod({
+    GET: "viewer",
+    POST: "admin",
+    PUT: "admin",
+    DELETE: "admin",
+  })
+);
+
+/**
+ * GET /api/exchange-rates
+ * Retrieves exchange rates by currency pair, newest first within a pair.
+ * Query params (optional): currency (only pairs that include it)
+ */
+router.get("/", validateList, async (req, res, next) => {
+  const values = [];
+  let where = "";
+  if (req.query.currency != null) {
+    values.push(req.query.currency);
+    where = " WHERE base_currency = $1 OR quote_currency = $1";
+  }
+  try {
+    const result = await db.query(
+      `SELECT ${EXCHANGE_RATE_COLUMNS} FROM exchange_rates${where}
+       ORDER BY base_currency, quote_currency, effective_date DESC;`,
+      values
+    );
+    res.json(result.rows);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/exchange-rates
+ * Adds a rate: 1 base_currency = rate quote_currency from effective_date
+ * (default today) until the pair's next rate. Reports also use it the other
+ * way round (1 / rate). Body:
+ *   { base_currency, quote_currency, rate, effective_date (optional) }
+ */
+router.post("/", validateCreate, async (req, res, next) => {
+  const {
+    base_currency: base,
+    quote_currency: quote,
+    rate: newRate,
+    effective_date: effectiveDate = null,
+  } = req.body;
+  if (base === quote) {
+    return next(
+      validationError([
+        {
+          in: "body",
+          field: "quote_currency",
+          message: "must differ from base_currency.",
+        },
+      ])
+    );
+  }
+  try {
+    const created = await db.withTransaction(async (client) => {
+      const ins = await client.query(
+        `INSERT INTO exchange_rates(base_currency, quote_currency, rate, effective_date)
+         VALUES($1, $2, $3, COALESCE($4::date, CURRENT_DATE))
+         RETURNING ${EXCHANGE_RATE_COLUMNS};`,
+        [base, quote, newRate, effectiveDate]
+      );
+      await recordAudit(client, req, {
+        entity: "exchange_rate",
+        entityId: ins.rows[0].id,
+        action: "create",
+        after: ins.rows[0],
+      });
+      return ins.rows[0];
+    });
+    res.status(201).json(created);
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(409).json({
+        error: "A rate for this currency pair and date already exists.",
+      });
+    }
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/exchange-rates/:id
+ * Corrects a rate. Body: { rate }
+ */
+router.put("/:id", validateUpdate, async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const updated = await db.withTransaction(async (client) => {
+      const before = await client.query(
+        `SELECT ${EXCHANGE_RATE_COLUMNS} FROM exchange_rates WHERE id = $1 FOR UPDATE;`,
+        [id]
+      );
+      if (before.rows.length === 0) return null;
+      const after = await client.query(
+        `UPDATE exchange_rates SET rate = $1 WHERE id = $2
+         RETURNING ${EXCHANGE_RATE_COLUMNS};`,
+        [req.body.rate, id]
+      );
+      await recordAudit(client, req, {
+        entity: "exchange_rate",
+        entityId: id,
+        action: "update",
+        before: before.rows[0],
+        after: after.rows[0],
+      });
+      return after.rows[0];
+    });
+    if (!updated)
+      return res.status(404).json({ error: "Exchange rate not found." });
+    res.json(updated);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/exchange-rates/:id
+ * Deletes a rate; reports then use the pair's previous rate for its days.
+ */
+router.delete("/:id", validateDelete, async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const deleted = await db.withTransaction(async (client) => {
+      const del = await client.query(
+        `DELETE FROM exchange_rates WHERE id = $1
+         RETURNING ${EXCHANGE_RATE_COLUMNS};`,
+        [id]
+      );
+      if (del.rows.length === 0) return null;
+      await recordAudit(client, req, {
+        entity: "exchange_rate",
+        entityId: id,
+        action: "delete",
+        before: del.rows[0],
+      });
+      return del.rows[0];
+    });
+    if (!deleted)
+      return res.status(404).json({ error: "Exchange rate not found." });
+    res.json({ message: `Deleted exchange rate ${deleted.id}.` });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,136 +1,635 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../db/db");
+const { requireRoleByMethod } = require("../middleware/auth");
+const HttpError = require("../utils/httpError");
+const { validate, validationError } = require("../middleware/validate");
+const { recordAudit } = require("../services/audit");
+const {
+  resolveLocations,
+  resolveVariants,
+  setStock,
+  addStockCost,
+} = require("../services/inventory");
+const { forecastStock } = require("../services/forecast");
+const { streamCsv } = require("../utils/csv");
+const {
+  parseListParams,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+} = require("../utils/pagination");
+
+// Columns a client may select with ?fields= on the list endpoints below
+const INVENTORY_FIELDS = [
+  "product_id",
+  "product_name",
+  "category_id",
+  "category_name",
+  "location_id",
+  "quantity",
+  "reorder_point",
+  "reorder_quantity",
+  "on_order",
+];
+const HISTORY_FIELDS = [
+  "id",
+  "product_id",
+  "variant_id",
+  "location_id",
+  "change_qty",
+  "previous_qty",
+  "new_qty",
+  "stock_outcome",
+  "shortfall_qty",
+  "unit_cost",
+  "refund_id",
+  "transfer_id",
+  "purchase_order_id",
+  "changed_at",
+];
+// Columns written by GET /api/inventory/export, one row per product (or
+// variant) and location
+const EXPORT_COLUMNS = [
+  "product_id",
+  "sku",
+  "product_name",
+  "variant_id",
+  "variant_sku",
+  "location_id",
+  "location_name",
+  "quantity",
+  "updated_at",
+];
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * SQL for the units of product p still to arrive on sent purchase orders,
+ * only those to the location in `locationParam` (e.g. "$1") when given.
+ */
+function onOrderSql(locationParam) {
+  return `(
+    SELECT COALESCE(SUM(poi.quantity_ordered - poi.quantity_received), 0)::int
+    FROM purchase_order_items poi
+    JOIN purchase_orders po ON po.id = poi.purchase_order_id
+    WHERE poi.product_id = p.id
+      AND po.status IN ('sent', 'partially_received')
+      ${locationParam ? `AND po.location_id = ${locationParam}` : ""}
+  )`;
+}
+
+/**
+ * SQL joining each product p to its stock (summed over its variants) at the
+ * location in `locationParam` (e.g. "$1") as `i`.
+ */
+function locationStockJoin(locationParam) {
+  return `LEFT JOIN (
+    SELECT product_id, SUM(quantity)::int AS quantity
+    FROM inventory
+    WHERE location_id = ${locationParam}
+    GROUP BY product_id
+  ) i ON p.id = i.product_id`;
+}
+
+// Request schemas (see middleware/validate.js)
+const productIdParams = {
+  product_id: { type: "integer", required: true, min: 1 },
+};
+const locationField = { type: "integer", min: 1 };
+const variantField = { type: "integer", min: 1 };
+const validateList = validate({
+  query: {
+    low_stock_threshold: { type: "integer", min: 0 },
+    below_reorder_point: { type: "boolean" },
+    location_id: locationField,
+    include_archived: { type: "boolean" },
+  },
+});
+const validateUpdate = validate({
+  params: productIdParams,
+  body: {
+    new_quantity: { type: "integer", required: true, min: 0 },
+    location_id: locationField,
+    variant_id: variantField,
+    unit_cost: { type: "number", min: 0, max: 99999999.9999 },
+  },
+});
+const validateExport = validate({
+  query: { location_id: locationField, include_archived: { type: "boolean" } },
+});
+const validateForecast = validate({
+  query: {
+    category_id: { type: "integer", min: 1 },
+    product_id: { type: "integer", min: 1 },
+    location_id: locationField,
+    window_days: { type: "integer", min: 7, max: 180 },
+    lead_time_days: { type: "integer", min: 0, max: 180 },
+    cover_days: { type: "integer", min: 1, max: 365 },
+    limit: { type: "integer", min: 1, max: MAX_LIMIT },
+    include_archived: { type: "boolean" },
+  },
+});
+const validateHistory = validate({
+  params: productIdParams,
+  query: { location_id: locationField, variant_id: variantField },
+});
+const validateTransfer = validate({
+  body: {
+    product_id: { type: "integer", required: true, min: 1 },
+    variant_id: variantField,
+    from_location_id: { ...locationField, required: true },
+    to_location_id: { ...locationField, required: true },
+    quantity: { type: "integer", required: true, min: 1 },
+  },
+});
+
+// Anyone with a key can read stock; clerks and admins adjust and move it
+router.use(requireRoleByMethod({ GET: "viewer", PUT: "clerk", POST: "clerk" }));
 
 /**
  * GET /api/inventory
- * Optional query param:
+ * Optional query params:
  *   − low_stock_threshold=<integer>
+ *   − below_reorder_point=true   only products at or below their own reorder_point
+ *   − location_id=<integer>   stock at that location (default: totals over all locations)
+ *   − include_archived=true   also archived products, hidden by default
+ *   − limit, cursor                                   (keyset pagination)
+ *   − sort = quantity | product_name | product_id      (prefix - for descending; default quantity)
+ *   − fields = comma-separated subset of the columns below
  *
- * Returns list of products with: id, name, category_id, category_name, quantity.
+ * Returns { data, next_cursor } where each row has: product_id, product_name, category_id, category_name,
+ * location_id (null for totals), quantity, reorder_point, reorder_quantity and on_order
+ * (units outstanding on sent purchase orders, to that location when location_id is given).
  * If low_stock_threshold is provided, only returns products whose quantity <= threshold.
- * By default, returns all products ordered by quantity ASC (low first).
+ * By default, rows are ordered by quantity ASC (low first).
  */
-router.get("/", async (req, res, next) => {
-  let { low_stock_threshold } = req.query;
+router.get("/", validateList, async (req, res, next) => {
+  const {
+    low_stock_threshold,
+    below_reorder_point,
+    location_id,
+    include_archived,
+  } = req.query;
   try {
-    const params = [];
-    let idx = 1;
-    let whereClause = "";
+    const list = parseListParams(req.query, {
+      sorts: {
+        quantity: { expr: "COALESCE(i.quantity, 0)", type: "int" },
+        product_name: { expr: "p.name", type: "text" },
+        product_id: { expr: "p.id", type: "int" },
+      },
+      defaultSort: "quantity",
+      idExpr: "p.id",
+      fields: INVENTORY_FIELDS,
+    });
 
-    if (low_stock_threshold != null) {
-      const thr = parseInt(low_stock_threshold, 10);
-      if (isNaN(thr) || thr < 0) {
-        return res
-          .status(400)
-          .json({
-            error: "low_stock_threshold must be a non-negative integer.",
-          });
+    const filters = include_archived ? [] : ["p.archived_at IS NULL"];
+    const values = [];
+
+    // One location's rows, or the per-product totals across all of them
+    let stockJoin = "LEFT JOIN product_stock i ON p.id = i.product_id";
+    if (location_id != null) {
+      const loc = await db.query("SELECT id FROM locations WHERE id = $1;", [
+        location_id,
+      ]);
+      if (loc.rows.length === 0) {
+        return res.status(404).json({ error: "Location not found." });
       }
-      whereClause = ` WHERE COALESCE(i.quantity,0) <= $${idx}`;
-      params.push(thr);
-      idx++;
+      values.push(location_id);
+      stockJoin = locationStockJoin(`$${values.length}`);
     }
 
-    const queryText = `
+    if (low_stock_threshold != null) {
+      values.push(low_stock_threshold);
+      filters.push(`COALESCE(i.quantity,0) <= $${values.length}`);
+    }
+    if (below_reorder_point) {
+      filters.push("COALESCE(i.quantity,0) <= p.reorder_point");
+    }
+    list.applyCursor(filters, values);
+
+    let queryText = `
       SELECT
         p.id AS product_id,
         p.name AS product_name,
         p.category_id,
         c.name AS category_name,
-        COALESCE(i.quantity, 0) AS quantity
+        ${location_id != null ? "$1::int" : "NULL::int"} AS location_id,
+        COALESCE(i.quantity, 0) AS quantity,
+        p.reorder_point,
+        p.reorder_quantity,
+        ${onOrderSql(location_id != null && "$1")} AS on_order,
+        ${list.selectCursor()}
       FROM products p
       LEFT JOIN categories c ON p.category_id = c.id
-      LEFT JOIN inventory i ON p.id = i.product_id
-      ${whereClause}
-      ORDER BY quantity ASC;
+      ${stockJoin}
     `;
-    const result = await db.query(queryText, params);
-    res.json(result.rows);
+    if (filters.length > 0) {
+      queryText += " WHERE " + filters.join(" AND ");
+    }
+    queryText += list.orderBy() + ";";
+    const result = await db.query(queryText, values);
+    res.json(list.page(result.rows));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/inventory/forecast
+ * Optional query params:
+ *   − category_id, product_id     only those products
+ *   − location_id=<integer>       stock at, sales from and orders to that location (default: all)
+ *   − window_days=<7-180>         trailing window for the moving average (default 28)
+ *   − lead_time_days=<0-180>      days a purchase order takes to arrive (default 7)
+ *   − cover_days=<1-365>          days of sales a reorder should cover after it arrives (default 30)
+ *   − limit=<1-200>               how many products to return (default 50)
+ *   − include_archived=true       also archived products, hidden by default
+ *
+ * Projects each product's stock from its trailing sales velocity (net of
+ * refunds) adjusted by last year's seasonality (see services/forecast.js).
+ * Returns { as_of, window_days, lead_time_days, cover_days, data } where data
+ * rows have the product, category, quantity, on_order, reorder_point,
+ * reorder_quantity and the forecast fields (avg_daily_units, seasonal_factor,
+ * forecast_daily_units, days_of_cover, stockout_date, reorder_by_date,
+ * suggested_reorder_qty, needs_reorder), soonest stock-out first (products
+ * not selling last).
+ */
+router.get("/forecast", validateForecast, async (req, res, next) => {
+  const {
+    category_id,
+    product_id,
+    location_id,
+    window_days: windowDays = 28,
+    lead_time_days: leadTimeDays = 7,
+    cover_days: coverDays = 30,
+    limit = DEFAULT_LIMIT,
+    include_archived,
+  } = req.query;
+  try {
+    const values = [windowDays, leadTimeDays + coverDays];
+    const filters = include_archived ? [] : ["p.archived_at IS NULL"];
+
+    let stockJoin = "LEFT JOIN product_stock i ON p.id = i.product_id";
+    let salesFilter = "";
+    let onOrder = onOrderSql(null);
+    if (location_id != null) {
+      const loc = await db.query("SELECT id FROM locations WHERE id = $1;", [
+        location_id,
+      ]);
+      if (loc.rows.length === 0) {
+        return res.status(404).json({ error: "Location not found." });
+      }
+      values.push(location_id);
+      const param = `$${values.length}`;
+      stockJoin = locationStockJoin(param);
+      salesFilter = `AND s.location_id = ${param}`;
+      onOrder = onOrderSql(param);
+    }
+    if (category_id != null) {
+      values.push(category_id);
+      filters.push(`p.category_id = $${values.length}`);
+    }
+    if (product_id != null) {
+      values.push(product_id);
+      filters.push(`p.id = $${values.length}`);
+    }
+
+    // Net units sold in the trailing window, and in the same trailing window
+    // and the following horizon one year earlier (for the seasonal factor)
+    const units = "s.quantity - s.refunded_qty";
+    const result = await db.query(
+      `
+      WITH demand AS (
+        SELECT
+          s.product_id,
+          SUM(${units}) FILTER (
+            WHERE s.sale_date >= NOW() - make_interval(days => $1)
+          ) AS recent_units,
+          SUM(${units}) FILTER (
+            WHERE s.sale_date >= NOW() - INTERVAL '1 year' - make_interval(days => $1)
+              AND s.sale_date < NOW() - INTERVAL '1 year'
+          ) AS last_year_trailing_units,
+          SUM(${units}) FILTER (
+            WHERE s.sale_date >= NOW() - INTERVAL '1 year'
+              AND s.sale_date < NOW() - INTERVAL '1 year' + make_interval(days => $2)
+          ) AS last_year_ahead_units
+        FROM sales s
+        WHERE s.sale_date >= NOW() - INTERVAL '1 year' - make_interval(days => $1)
+          ${salesFilter}
+        GROUP BY s.product_id
+      )
+      SELECT
+        p.id AS product_id,
+        p.sku,
+        p.name AS product_name,
+        p.category_id,
+        c.name AS category_name,
+        COALESCE(i.quantity, 0) AS quantity,
+        ${onOrder} AS on_order,
+        p.reorder_point,
+        p.reorder_quantity,
+        COALESCE(d.recent_units, 0)::int AS recent_units,
+        COALESCE(d.last_year_trailing_units, 0)::int AS last_year_trailing_units,
+        COALESCE(d.last_year_ahead_units, 0)::int AS last_year_ahead_units
+      FROM products p
+      LEFT JOIN categories c ON p.category_id = c.id
+      ${stockJoin}
+      LEFT JOIN demand d ON d.product_id = p.id
+      ${filters.length > 0 ? "WHERE " + filters.join(" AND ") : ""};
+      `,
+      values
+    );
+
+    const today = new Date();
+    const rows = result.rows.map((r) => {
+      const forecast = forecastStock(r, {
+        windowDays,
+        leadTimeDays,
+        coverDays,
+        today,
+      });
+      return {
+        product_id: r.product_id,
+        sku: r.sku,
+        product_name: r.product_name,
+        category_id: r.category_id,
+        category_name: r.category_name,
+        quantity: r.quantity,
+        on_order: r.on_order,
+        reorder_point: r.reorder_point,
+        reorder_quantity: r.reorder_quantity,
+        ...forecast,
+      };
+    });
+    // Soonest stock-out first; products that are not selling go last
+    const cover = (r) => r.days_of_cover ?? Infinity;
+    rows.sort((a, b) => cover(a) - cover(b) || a.product_id - b.product_id);
+
+    res.json({
+      as_of: today.toISOString(),
+      window_days: windowDays,
+      lead_time_days: leadTimeDays,
+      cover_days: coverDays,
+      data: rows.slice(0, limit),
+    });
   } catch (err) {
     next(err);
   }
 });
 
+/**
+ * GET /api/inventory/export
+ * Optional query params:
+ *   − location_id=<integer>   only stock held at that location
+ *   − include_archived=true   also archived products, left out by default
+ *
+ * Streams stock levels as CSV (text/csv attachment), one row per product (or
+ * variant) and location, with the columns product_id, sku, product_name,
+ * variant_id, variant_sku, location_id, location_name, quantity, updated_at. Rows are read in batches, so memory
+ * use does not grow with the catalogue.
+ */
+router.get("/export", validateExport, (req, res) => {
+  const { location_id: locationId = null, include_archived } = req.query;
+  const archived = include_archived ? "" : " AND p.archived_at IS NULL";
+  return streamCsv(res, "inventory.csv", EXPORT_COLUMNS, async (last) => {
+    const result = await db.query(
+      `
+      SELECT
+        i.id,
+        i.product_id,
+        p.sku,
+        p.name AS product_name,
+        i.variant_id,
+        v.sku AS variant_sku,
+        i.location_id,
+        l.name AS location_name,
+        i.quantity,
+        i.updated_at
+      FROM inventory i
+      JOIN products p ON p.id = i.product_id
+      JOIN locations l ON l.id = i.location_id
+      LEFT JOIN product_variants v ON v.id = i.variant_id
+      WHERE i.id > $1 AND ($2::int IS NULL OR i.location_id = $2)${archived}
+      ORDER BY i.id
+      LIMIT $3;
+      `,
+      [last ? last.id : 0, locationId, EXPORT_BATCH_SIZE]
+    );
+    return result.rows;
+  });
+});
+
 /**
  * PUT /api/inventory/:product_id
  * Update the inventory level for a given product to new_quantity.
- * Body: { new_quantity: <integer> }
+ * Body: { new_quantity: <integer>, location_id (optional, default location),
+ *         variant_id (required for products with variants),
+ *         unit_cost (optional, what each added unit cost when restocking) }
  * This:
- *   1. Retrieves current quantity.
- *   2. Updates inventory.quantity = new_quantity.
- *   3. Inserts a row into inventory_history with change_qty = new_quantity - old_quantity.
+ *   1. Retrieves current quantity at that location (0 if never stocked there).
+ *   2. When stock goes up, averages the added units into the product's
+ *      unit_cost at unit_cost (or the current unit_cost if not given).
+ *   3. Updates inventory.quantity = new_quantity.
+ *   4. Inserts a row into inventory_history with change_qty = new_quantity - old_quantity
+ *      and the unit_cost of added units.
  */
-router.put("/:product_id", async (req, res, next) => {
-  const productId = parseInt(req.params.product_id, 10);
-  if (isNaN(productId))
-    return res.status(400).json({ error: "Invalid product_id." });
-
-  const { new_quantity } = req.body;
-  if (
-    new_quantity == null ||
-    isNaN(parseInt(new_quantity, 10)) ||
-    parseInt(new_quantity, 10) < 0
-  ) {
-    return res
-      .status(400)
-      .json({
-        error: "new_quantity is required and must be a non-negative integer.",
+router.put("/:product_id", validateUpdate, async (req, res, next) => {
+  const productId = req.params.product_id;
+  const newQty = req.body.new_quantity;
+  const variantId = req.body.variant_id ?? null;
+  const unitCost = req.body.unit_cost ?? null;
+
+  try {
+    const result = await db.withTransaction(async (client) => {
+      // Insist the product exists (and keep it from being deleted meanwhile);
+      // NO KEY UPDATE, so sales' foreign-key checks on it are not blocked
+      const prodCheck = await client.query(
+        "SELECT id FROM products WHERE id = $1 FOR NO KEY UPDATE;",
+        [productId]
+      );
+      if (prodCheck.rows.length === 0) return null;
+      await resolveVariants(client, [
+        { product_id: productId, variant_id: variantId },
+      ]);
+      const defaultLocationId = await resolveLocations(client, [
+        req.body.location_id,
+      ]);
+      const locationId = req.body.location_id ?? defaultLocationId;
+
+      // 1. Fetch current quantity (row stays locked until COMMIT)
+      const currRes = await client.query(
+        `SELECT quantity FROM inventory
+         WHERE product_id = $1 AND location_id = $2
+           AND variant_id IS NOT DISTINCT FROM $3
+         FOR UPDATE;`,
+        [productId, locationId, variantId]
+      );
+      const isNew = currRes.rows.length === 0;
+      const prevQty = isNew ? 0 : currRes.rows[0].quantity;
+      const changeQty = newQty - prevQty;
+      if (unitCost != null && changeQty <= 0) {
+        throw validationError([
+          {
+            in: "body",
+            field: "unit_cost",
+            message: "only applies when new_quantity adds stock.",
+          },
+        ]);
+      }
+
+      // 2. Cost the units added
+      const addedCost =
+        changeQty > 0
+          ? await addStockCost(client, productId, changeQty, unitCost)
+          : null;
+      // 3. Update (or create) the inventory row
+      await setStock(client, productId, locationId, newQty, variantId);
+      // 4. Insert into inventory_history
+      await client.query(
+        `INSERT INTO inventory_history(product_id, location_id, variant_id, change_qty, previous_qty, new_qty, unit_cost)
+         VALUES($1, $2, $3, $4, $5, $6, $7);`,
+        [
+          productId,
+          locationId,
+          variantId,
+          changeQty,
+          prevQty,
+          newQty,
+          addedCost,
+        ]
+      );
+      const costRes = await client.query(
+        "SELECT unit_cost FROM products WHERE id = $1;",
+        [productId]
+      );
+      const key = { location_id: locationId, variant_id: variantId };
+      await recordAudit(client, req, {
+        entity: "inventory",
+        entityId: productId,
+        action: isNew ? "create" : "update",
+        before: isNew ? null : { ...key, quantity: prevQty },
+        after: { ...key, quantity: newQty, unit_cost: addedCost },
       });
+
+      return {
+        product_id: productId,
+        variant_id: variantId,
+        location_id: locationId,
+        previous_quantity: prevQty,
+        new_quantity: newQty,
+        unit_cost: costRes.rows[0].unit_cost,
+      };
+    });
+
+    if (!result) return res.status(404).json({ error: "Product not found." });
+    res.json(result);
+  } catch (err) {
+    next(err);
   }
-  const newQty = parseInt(new_quantity, 10);
+});
 
-  try {
-    // 1. Fetch current quantity
-    const currRes = await db.query(
-      "SELECT quantity FROM inventory WHERE product_id = $1 FOR UPDATE;",
-      [productId]
+/**
+ * POST /api/inventory/transfers
+ * Move stock of one product between two locations. Body:
+ *   { product_id, variant_id (required for products with variants),
+ *     from_location_id, to_location_id, quantity }
+ * In one transaction this decrements the source, increments the destination,
+ * and writes a pair of inventory_history rows sharing the transfer_id.
+ * Responds 409 with available_quantity if the source holds too few units.
+ */
+router.post("/transfers", validateTransfer, async (req, res, next) => {
+  const {
+    product_id: productId,
+    variant_id: variantId = null,
+    from_location_id: fromId,
+    to_location_id: toId,
+    quantity,
+  } = req.body;
+  if (fromId === toId) {
+    return next(
+      validationError([
+        {
+          in: "body",
+          field: "to_location_id",
+          message: "must differ from from_location_id.",
+        },
+      ])
     );
-    if (currRes.rows.length === 0) {
-      // If no row, it means no inventory record exists yet. We can create one.
-      // But it’s safer to insist the product exists first:
-      const prodCheck = await db.query(
+  }
+
+  try {
+    const transfer = await db.withTransaction(async (client) => {
+      const prodCheck = await client.query(
         "SELECT id FROM products WHERE id = $1;",
         [productId]
       );
-      if (prodCheck.rows.length === 0) {
-        return res.status(404).json({ error: "Product not found." });
-      }
-      // Create initial inventory row
-      await db.query(
-        `INSERT INTO inventory(product_id, quantity, updated_at) VALUES($1, $2, NOW());`,
-        [productId, newQty]
+      if (prodCheck.rows.length === 0) return null;
+      await resolveVariants(client, [
+        { product_id: productId, variant_id: variantId },
+      ]);
+      await resolveLocations(client, [fromId, toId]);
+
+      // Lock both rows in location order so opposite transfers cannot deadlock
+      const invRes = await client.query(
+        `SELECT location_id, quantity FROM inventory
+         WHERE product_id = $1 AND location_id = ANY($2::int[])
+           AND variant_id IS NOT DISTINCT FROM $3
+         ORDER BY location_id
+         FOR UPDATE;`,
+        [productId, [fromId, toId], variantId]
       );
-      // Insert history row (previous was 0)
-      await db.query(
-        `INSERT INTO inventory_history(product_id, change_qty, previous_qty, new_qty)
-         VALUES($1, $2, $3, $4);`,
-        [productId, newQty, 0, newQty]
+      const stock = new Map(
+        invRes.rows.map((r) => [r.location_id, r.quantity])
       );
-      return res.json({ product_id: productId, quantity: newQty });
-    }
+      const fromQty = stock.get(fromId) || 0;
+      const toQty = stock.get(toId) || 0;
+      if (quantity > fromQty) {
+        throw new HttpError(409, "Insufficient stock at the source location.", {
+          product_id: productId,
+          variant_id: variantId,
+          location_id: fromId,
+          requested_quantity: quantity,
+          available_quantity: fromQty,
+        });
+      }
 
-    const prevQty = currRes.rows[0].quantity;
-    // 2. Update inventory
-    await db.query(
-      `UPDATE inventory
-       SET quantity = $1, updated_at = NOW()
-       WHERE product_id = $2;`,
-      [newQty, productId]
-    );
-    // 3. Insert into inventory_history
-    const changeQty = newQty - prevQty;
-    await db.query(
-      `INSERT INTO inventory_history(product_id, change_qty, previous_qty, new_qty)
-       VALUES($1, $2, $3, $4);`,
-      [productId, changeQty, prevQty, newQty]
-    );
+      const ins = await client.query(
+        `INSERT INTO stock_transfers(product_id, variant_id, from_location_id, to_location_id, quantity)
+         VALUES($1, $2, $3, $4, $5)
+         RETURNING id, product_id, variant_id, from_location_id, to_location_id, quantity, created_at;`,
+        [productId, variantId, fromId, toId, quantity]
+      );
+      const row = ins.rows[0];
 
-    res.json({
-      product_id: productId,
-      previous_quantity: prevQty,
-      new_quantity: newQty,
+      for (const [locId, prevQty, change] of [
+        [fromId, fromQty, -quantity],
+        [toId, toQty, quantity],
+      ]) {
+        await setStock(client, productId, locId, prevQty + change, variantId);
+        await client.query(
+          `INSERT INTO inventory_history(product_id, location_id, variant_id, change_qty, previous_qty, new_qty, transfer_id)
+           VALUES($1, $2, $3, $4, $5, $6, $7);`,
+          [
+            productId,
+            locId,
+            variantId,
+            change,
+            prevQty,
+            prevQty + change,
+            row.id,
+          ]
+        );
+      }
+      await recordAudit(client, req, {
+        entity: "transfer",
+        entityId: row.id,
+        action: "create",
+        after: row,
+      });
+      return row;
     });
+
+    if (!transfer) return res.status(404).json({ error: "Product not found." });
+    res.status(201).json(transfer);
   } catch (err) {
     next(err);
   }
@@ -138,13 +637,29 @@ router.put("/:product_id", async (req, res, next) => {
 
 /**
  * GET /api/inventory/history/:product_id
- * Returns all inventory_history rows for this product, ordered by changed_at DESC.
+ * Optional query params:
+ *   − location_id                               (only that location's rows)
+ *   − variant_id                                (only that variant's rows)
+ *   − limit, cursor                             (keyset pagination)
+ *   − sort = changed_at | change_qty | id        (prefix - for descending; default -changed_at)
+ *   − fields = comma-separated subset of the history columns
+ *
+ * Returns { data: [inventory_history rows for this product…], next_cursor }.
  */
-router.get("/history/:product_id", async (req, res, next) => {
-  const productId = parseInt(req.params.product_id, 10);
-  if (isNaN(productId))
-    return res.status(400).json({ error: "Invalid product_id." });
+router.get("/history/:product_id", validateHistory, async (req, res, next) => {
+  const productId = req.params.product_id;
   try {
+    const list = parseListParams(req.query, {
+      sorts: {
+        changed_at: { expr: "ih.changed_at", type: "timestamptz" },
+        change_qty: { expr: "ih.change_qty", type: "int" },
+        id: { expr: "ih.id", type: "int" },
+      },
+      defaultSort: "-changed_at",
+      idExpr: "ih.id",
+      fields: HISTORY_FIELDS,
+    });
+
     // Check product exists
     const prodCheck = await db.query("SELECT id FROM products WHERE id = $1;", [
       productId,
@@ -153,22 +668,43 @@ router.get("/history/:product_id", async (req, res, next) => {
       return res.status(404).json({ error: "Product not found." });
     }
 
+    const filters = ["ih.product_id = $1"];
+    const values = [productId];
+    if (req.query.location_id != null) {
+      values.push(req.query.location_id);
+      filters.push(`ih.location_id = $${values.length}`);
+    }
+    if (req.query.variant_id != null) {
+      values.push(req.query.variant_id);
+      filters.push(`ih.variant_id = $${values.length}`);
+    }
+    list.applyCursor(filters, values);
+
     const hist = await db.query(
       `
       SELECT
         ih.id,
         ih.product_id,
+        ih.variant_id,
+        ih.location_id,
         ih.change_qty,
         ih.previous_qty,
         ih.new_qty,
-        ih.changed_at
+        ih.stock_outcome,
+        ih.shortfall_qty,
+        ih.unit_cost,
+        ih.refund_id,
+        ih.transfer_id,
+        ih.purchase_order_id,
+        ih.changed_at,
+        ${list.selectCursor()}
       FROM inventory_history ih
-      WHERE ih.product_id = $1
-      ORDER BY changed_at DESC;
+      WHERE ${filters.join(" AND ")}
+      ${list.orderBy()};
       `,
-      [productId]
+      values
     );
-    res.json(hist.rows);
+    res.json(list.page(hist.rows));
   } catch (err) {
     next(err);
   }
@@ -0,0 +1,225 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db/db");
+const { requireRoleByMethod } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { recordAudit } = require("../services/audit");
+
+// Request schemas (see middleware/validate.js)
+const idParams = { id: { type: "integer", required: true, min: 1 } };
+const locationFields = {
+  name: { type: "string", minLength: 1, maxLength: 100 },
+  is_default: { type: "boolean" },
+  tax_region: { type: "string", maxLength: 20 },
+};
+const validateCreate = validate({
+  body: {
+    ...locationFields,
+    name: { ...locationFields.name, required: true },
+  },
+});
+const validateUpdate = validate({ params: idParams, body: locationFields });
+const validateDelete = validate({ params: idParams });
+
+// Anyone with a key can read locations; only admins change them
+router.use(
+  requireRoleByMethod({
+    GET: "viewer",
+    POST: "admin",
+    PUT: "admin",
+    DELETE: "admin",
+  })
+);
+
+/**
+ * Makes `id` the only default location (the partial unique index allows one).
+ */
+async function makeDefault(client, id) {
+  await client.query(
+    "UPDATE locations SET is_default = FALSE WHERE is_default AND id <> $1;",
+    [id]
+  );
+  await client.query("UPDATE locations SET is_default = TRUE WHERE id = $1;", [
+    id,
+  ]);
+}
+
+/**
+ * GET /api/locations
+ * Retrieves all locations with the total units stocked at each.
+ */
+router.get("/", async (_req, res, next) => {
+  try {
+    const result = await db.query(
+      `
+      SELECT
+        l.id,
+        l.name,
+        l.is_default,
+        l.tax_region,
+        COALESCE(SUM(i.quantity), 0)::int AS total_quantity,
+        l.created_at
+      FROM locations l
+      LEFT JOIN inventory i ON i.location_id = l.id
+      GROUP BY l.id
+      ORDER BY l.name;
+      `
+    );
+    res.json(result.rows);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/locations
+ * Creates a location. Body: { name, is_default (optional),
+ *   tax_region (optional, the region sales from here are taxed in, e.g. 'US-NY';
+ *               see /api/tax-rates) }
+ * Setting is_default moves the default flag from the current default.
+ */
+router.post("/", validateCreate, async (req, res, next) => {
+  const { name, is_default: isDefault } = req.body;
+  const taxRegion = req.body.tax_region
+    ? req.body.tax_region.toUpperCase()
+    : null;
+  try {
+    const created = await db.withTransaction(async (client) => {
+      const ins = await client.query(
+        "INSERT INTO locations(name, tax_region) VALUES($1, $2) RETURNING id;",
+        [name, taxRegion]
+      );
+      const id = ins.rows[0].id;
+      if (isDefault) await makeDefault(client, id);
+      const loc = await client.query(
+        "SELECT id, name, is_default, tax_region, created_at FROM locations WHERE id = $1;",
+        [id]
+      );
+      await recordAudit(client, req, {
+        entity: "location",
+        entityId: id,
+        action: "create",
+        after: loc.rows[0],
+      });
+      return loc.rows[0];
+    });
+    res.status(201).json(created);
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(409).json({ error: "Location name already exists." });
+    }
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/locations/:id
+ * Renames a location, makes it the default and/or changes its tax region.
+ * Body: { name, is_default: true, tax_region ("" for none) }
+ * The default cannot be unset directly; make another location the default instead.
+ */
+router.put("/:id", validateUpdate, async (req, res, next) => {
+  const { id } = req.params;
+  const { name, is_default: isDefault, tax_region: taxRegion } = req.body;
+  try {
+    const updated = await db.withTransaction(async (client) => {
+      const before = await client.query(
+        "SELECT id, name, is_default, tax_region, created_at FROM locations WHERE id = $1 FOR UPDATE;",
+        [id]
+      );
+      if (before.rows.length === 0) return null;
+      if (isDefault === false && before.rows[0].is_default) return false;
+
+      if (name !== undefined) {
+        await client.query("UPDATE locations SET name = $1 WHERE id = $2;", [
+          name,
+          id,
+        ]);
+      }
+      if (taxRegion !== undefined) {
+        await client.query(
+          "UPDATE locations SET tax_region = $1 WHERE id = $2;",
+          [taxRegion ? taxRegion.toUpperCase() : null, id]
+        );
+      }
+      if (isDefault) await makeDefault(client, id);
+      const after = await client.query(
+        "SELECT id, name, is_default, tax_region, created_at FROM locations WHERE id = $1;",
+        [id]
+      );
+      await recordAudit(client, req, {
+        entity: "location",
+        entityId: id,
+        action: "update",
+        before: before.rows[0],
+        after: after.rows[0],
+      });
+      return after.rows[0];
+    });
+    if (updated === null)
+      return res.status(404).json({ error: "Location not found." });
+    if (updated === false) {
+      return res.status(409).json({
+        error: "Make another location the default instead.",
+      });
+    }
+    res.json(updated);
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(409).json({ error: "Location name already exists." });
+    }
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/locations/:id
+ * Deletes a location IF it is not the default and has never held stock
+ * or fulfilled a sale.
+ */
+router.delete("/:id", validateDelete, async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    // Returns the deleted row, null if not found, or false if it is in use
+    const deleted = await db.withTransaction(async (client) => {
+      const loc = await client.query(
+        "SELECT id, name, is_default, tax_region, created_at FROM locations WHERE id = $1 FOR UPDATE;",
+        [id]
+      );
+      if (loc.rows.length === 0) return null;
+      if (loc.rows[0].is_default) return false;
+
+      const chk = await client.query(
+        `SELECT
+           EXISTS (SELECT 1 FROM inventory WHERE location_id = $1)
+           OR EXISTS (SELECT 1 FROM inventory_history WHERE location_id = $1)
+           OR EXISTS (SELECT 1 FROM order_items WHERE location_id = $1) AS in_use;`,
+        [id]
+      );
+      if (chk.rows[0].in_use) return false;
+
+      await client.query("DELETE FROM locations WHERE id = $1;", [id]);
+      await recordAudit(client, req, {
+        entity: "location",
+        entityId: id,
+        action: "delete",
+        before: loc.rows[0],
+      });
+      return loc.rows[0];
+    });
+
+    if (deleted === null)
+      return res.status(404).json({ error: "Location not found." });
+    if (deleted === false) {
+      return res.status(409).json({
+        error:
+          "Cannot delete: this is the default location or it has stock history.",
+      });
+    }
+    res.json({ message: `Deleted location ${deleted.name}.` });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
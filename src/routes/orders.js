@@ -0,0 +1,144 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db/db");
+const { requireRoleByMethod } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { createOrder, auditOrder } = require("../services/orders");
+
+// Request schemas (see middleware/validate.js)
+const validateGet = validate({
+  params: { id: { type: "integer", required: true, min: 1 } },
+});
+const validateCreate = validate({
+  body: {
+    items: {
+      type: "array",
+      required: true,
+      minLength: 1,
+      items: {
+        type: "object",
+        properties: {
+          product_id: { type: "integer", required: true, min: 1 },
+          variant_id: { type: "integer", min: 1 },
+          quantity: { type: "integer", required: true, min: 1 },
+          location_id: { type: "integer", min: 1 },
+        },
+      },
+    },
+    order_date: { type: "datetime" },
+    location_id: { type: "integer", min: 1 },
+    coupon_code: { type: "string", minLength: 1, maxLength: 50 },
+    tax_region: { type: "string", minLength: 1, maxLength: 20 },
+  },
+});
+
+// Anyone with a key can read orders; clerks and admins record them
+router.use(requireRoleByMethod({ GET: "viewer", POST: "clerk" }));
+
+/**
+ * Helper: load one order with its lines (product & category info included).
+ * Returns null if the order does not exist.
+ */
+async function fetchOrder(id) {
+  const ordRes = await db.query(
+    `SELECT id, order_date, currency, total_price, tax_amount, total_incl_tax
+     FROM orders WHERE id = $1;`,
+    [id]
+  );
+  if (ordRes.rows.length === 0) return null;
+  const itemsRes = await db.query(
+    `
+    SELECT
+      oi.id,
+      oi.product_id,
+      p.name AS product_name,
+      oi.variant_id,
+      v.sku AS variant_sku,
+      p.category_id,
+      c.name AS category_name,
+      oi.quantity,
+      oi.unit_price,
+      oi.promotion_id,
+      oi.discount_amount,
+      oi.currency,
+      oi.total_price,
+      oi.tax_region,
+      oi.tax_rate,
+      oi.tax_amount,
+      oi.total_incl_tax,
+      oi.unit_cost,
+      oi.backorder_qty,
+      oi.location_id
+    FROM order_items oi
+    JOIN products p ON oi.product_id = p.id
+    LEFT JOIN product_variants v ON oi.variant_id = v.id
+    LEFT JOIN categories c ON p.category_id = c.id
+    WHERE oi.order_id = $1
+    ORDER BY oi.id;
+    `,
+    [id]
+  );
+  return { ...ordRes.rows[0], items: itemsRes.rows };
+}
+
+/**
+ * GET /api/orders/:id
+ * Returns one order with all of its line items.
+ */
+router.get("/:id", validateGet, async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const order = await fetchOrder(id);
+    if (!order) return res.status(404).json({ error: "Order not found." });
+    res.json(order);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/orders
+ * Record a multi-line order. Body:
+ *   { items: [{ product_id, variant_id, quantity, location_id (optional) }, …],
+ *     order_date (optional, defaults to NOW),
+ *     location_id (optional),
+ *     coupon_code (optional, see /api/promotions),
+ *     tax_region (optional, taxes every line for that region instead of its location's) }
+ * Each line takes stock from its own location_id, else the order's, else the default location.
+ * variant_id is required for products with variants (see /api/products/:id/variants).
+ * In one transaction this:
+ *   - Inserts the order and one order_items row per line, each priced at the
+ *     variant's price override, or else the product's price effective on
+ *     order_date (so backdated orders get old prices), less the discount of
+ *     the coupon's promotion or else the best promotion running on order_date,
+ *     and taxed at the rate for its tax region and product category (see
+ *     /api/tax-rates). All products must be priced in the same currency
+ *     (409 otherwise); the order's total_price (net of tax), tax_amount and
+ *     total_incl_tax sum its lines.
+ *   - Decrements inventory at each line's location under the configured STOCK_POLICY
+ *     (reject → 409 and nothing recorded, backorder, or clamp at zero).
+ *   - Inserts one inventory_history row per line.
+ */
+router.post("/", validateCreate, async (req, res, next) => {
+  const lines = req.body.items.map((l) => ({
+    ...l,
+    location_id: l.location_id ?? req.body.location_id,
+  }));
+  const orderDate = req.body.order_date || new Date();
+
+  try {
+    const orderId = await db.withTransaction(async (client) => {
+      const order = await createOrder(client, lines, orderDate, {
+        couponCode: req.body.coupon_code,
+        taxRegion: req.body.tax_region,
+      });
+      await auditOrder(client, req, order, orderDate);
+      return order.orderId;
+    });
+    res.status(201).json(await fetchOrder(orderId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,241 +1,1223 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../db/db");
+const { requireRoleByMethod } = require("../middleware/auth");
+const HttpError = require("../utils/httpError");
+const { validate, validationError } = require("../middleware/validate");
+const { recordAudit } = require("../services/audit");
+const { resolveLocations, setStock } = require("../services/inventory");
+const { importProducts } = require("../services/productImport");
+const {
+  categoryFilterSql,
+  checkCategoryActive,
+} = require("../services/categories");
+const { parseCsv, streamCsv } = require("../utils/csv");
+const { parseListParams } = require("../utils/pagination");
+const { DEFAULT_CURRENCY } = require("../utils/currency");
+
+// Columns a client may select with ?fields= on GET /api/products
+const PRODUCT_FIELDS = [
+  "id",
+  "sku",
+  "name",
+  "description",
+  "price",
+  "currency",
+  "unit_cost",
+  "category_id",
+  "category_name",
+  "quantity",
+  "reorder_point",
+  "reorder_quantity",
+  "created_at",
+  "archived_at",
+];
+
+// Request schemas (see middleware/validate.js)
+const idParams = { id: { type: "integer", required: true, min: 1 } };
+const productFields = {
+  sku: { type: "string", minLength: 1, maxLength: 64 },
+  name: { type: "string", minLength: 1, maxLength: 150 },
+  description: { type: "string" },
+  price: { type: "number", min: 0 },
+  currency: { type: "currency" },
+  unit_cost: { type: "number", min: 0, max: 99999999.9999 },
+  category_id: { type: "integer", min: 1 },
+  reorder_point: { type: "integer", min: 0 },
+  reorder_quantity: { type: "integer", min: 1 },
+};
+const validateList = validate({
+  query: {
+    category_id: { type: "integer", min: 1 },
+    include_descendants: { type: "boolean" },
+    include_archived: { type: "boolean" },
+  },
+});
+const validateSearch = validate({
+  query: {
+    q: { type: "string", required: true, minLength: 1 },
+    category_id: { type: "integer", min: 1 },
+    min_price: { type: "number", min: 0 },
+    max_price: { type: "number", min: 0 },
+    in_stock: { type: "boolean" },
+    include_archived: { type: "boolean" },
+  },
+});
+const validateGet = validate({ params: idParams });
+const validateArchive = validate({ params: idParams, body: {} });
+const validateCreate = validate({
+  body: {
+    ...productFields,
+    name: { ...productFields.name, required: true },
+    price: { ...productFields.price, required: true },
+    category_id: { ...productFields.category_id, required: true },
+    initial_quantity: { type: "integer", required: true, min: 0 },
+    location_id: { type: "integer", min: 1 },
+  },
+});
+const validateUpdate = validate({ params: idParams, body: productFields });
+const validateDelete = validate({ params: idParams });
+const validatePrices = validate({
+  params: idParams,
+  query: { at: { type: "datetime" } },
+});
+const validateSchedulePrice = validate({
+  params: idParams,
+  body: {
+    price: { ...productFields.price, required: true },
+    effective_from: { type: "datetime" },
+  },
+});
+const validateCancelPrice = validate({
+  params: { ...idParams, priceId: { type: "integer", required: true, min: 1 } },
+});
+const validateImport = validate({ query: { dry_run: { type: "boolean" } } });
+const validateExport = validate({
+  query: { include_archived: { type: "boolean" } },
+});
+const variantParams = {
+  ...idParams,
+  variantId: { type: "integer", required: true, min: 1 },
+};
+const variantFields = {
+  sku: productFields.sku,
+  // e.g. { "size": "M", "colour": "Red" }
+  options: {
+    type: "object",
+    maxLength: 10,
+    values: { type: "string", minLength: 1, maxLength: 100 },
+  },
+  price: productFields.price,
+};
+const validateVariants = validate({ params: idParams });
+const validateCreateVariant = validate({
+  params: idParams,
+  body: {
+    ...variantFields,
+    sku: { ...variantFields.sku, required: true },
+    initial_quantity: { type: "integer", min: 0 },
+    location_id: { type: "integer", min: 1 },
+  },
+});
+const validateUpdateVariant = validate({
+  params: variantParams,
+  body: { ...variantFields, inherit_price: { type: "boolean" } },
+});
+const validateDeleteVariant = validate({ params: variantParams });
+
+// Columns written by GET /api/products/export (same names the import reads)
+const EXPORT_COLUMNS = [
+  "id",
+  "sku",
+  "name",
+  "description",
+  "price",
+  "category",
+  "quantity",
+];
+const EXPORT_BATCH_SIZE = 500;
+
+// Current price of product p (prices live in product_prices, see migration 003)
+const CURRENT_PRICE = "product_price_at(p.id, NOW())";
+
+/**
+ * Helper: SQL selecting products p with their category name and stock summed
+ * over all locations — the PRODUCT_FIELDS columns plus any `extraColumns` —
+ * where every condition in `filters` holds. Callers append ORDER BY / LIMIT.
+ */
+function productSelectSql(filters = [], extraColumns = []) {
+  const where = filters.length > 0 ? `WHERE ${filters.join(" AND ")}` : "";
+  return `
+    SELECT
+      p.id,
+      p.sku,
+      p.name,
+      p.description,
+      ${CURRENT_PRICE} AS price,
+      p.currency,
+      p.unit_cost,
+      p.category_id,
+      c.name AS category_name,
+      COALESCE(i.quantity, 0) AS quantity,
+      p.reorder_point,
+      p.reorder_quantity,
+      p.created_at,
+      ${["p.archived_at", ...extraColumns].join(",\n      ")}
+    FROM products p
+    LEFT JOIN categories c ON p.category_id = c.id
+    LEFT JOIN product_stock i ON p.id = i.product_id
+    ${where}`;
+}
+
+// Columns of variant v: price is its current override (prices live in
+// product_variant_prices, see migration 009), effective_price that or else its
+// product's current price, quantity its stock summed over all locations
+const VARIANT_COLUMNS = `
+  v.id,
+  v.product_id,
+  v.sku,
+  v.options,
+  variant_price_at(v.id, NOW()) AS price,
+  COALESCE(
+    variant_price_at(v.id, NOW()), product_price_at(v.product_id, NOW())
+  ) AS effective_price,
+  COALESCE(
+    (SELECT SUM(quantity) FROM inventory WHERE variant_id = v.id), 0
+  )::int AS quantity,
+  v.created_at,
+  v.updated_at
+`;
+
+// Price facet buckets for GET /api/products/search: [min, max) with null = no upper bound
+const PRICE_BUCKETS = [
+  [0, 25],
+  [25, 50],
+  [50, 100],
+  [100, 250],
+  [250, 500],
+  [500, null],
+];
+
+// Anyone with a key can read products; only admins change the catalogue
+router.use(
+  requireRoleByMethod({
+    GET: "viewer",
+    POST: "admin",
+    PUT: "admin",
+    DELETE: "admin",
+  })
+);
 
 /**
  * GET /api/products
- * Optional query param: ?category_id=
- * Returns all products; if category_id provided, filters by that category.
- * Also joins to category name and current inventory quantity.
+ * Query params (all optional):
+ *   - category_id
+ *   - include_descendants=true   (with category_id: also its subcategories' products)
+ *   - include_archived=true      (also archived products, hidden by default)
+ *   - limit, cursor                       (keyset pagination, see utils/pagination.js)
+ *   - sort = name | price | created_at | id  (prefix - for descending; default name)
+ *   - fields = comma-separated subset of the product columns
+ *
+ * Returns { data: [products…], next_cursor }; if category_id provided, filters by that category.
+ * Also joins to category name and current inventory quantity (summed over all locations).
  */
-router.get("/", async (req, res, next) => {
-  const { category_id } = req.query;
+router.get("/", validateList, async (req, res, next) => {
+  const { category_id, include_descendants, include_archived } = req.query;
   try {
-    let queryText = `
-      SELECT
-        p.id,
-        p.name,
-        p.description,
-        p.price,
-        p.category_id,
-        c.name AS category_name,
-        COALESCE(i.quantity, 0) AS quantity
-      FROM products p
-      LEFT JOIN categories c ON p.category_id = c.id
-      LEFT JOIN inventory i ON p.id = i.product_id
-    `;
-    const params = [];
-    if (category_id) {
-      params.push(category_id);
-      queryText += ` WHERE p.category_id = $1`;
+    const list = parseListParams(req.query, {
+      sorts: {
+        name: { expr: "p.name", type: "text" },
+        price: { expr: CURRENT_PRICE, type: "numeric" },
+        created_at: { expr: "p.created_at", type: "timestamptz" },
+        id: { expr: "p.id", type: "int" },
+      },
+      defaultSort: "name",
+      idExpr: "p.id",
+      fields: PRODUCT_FIELDS,
+    });
+
+    const filters = include_archived ? [] : ["p.archived_at IS NULL"];
+    const values = [];
+    if (category_id != null) {
+      values.push(category_id);
+      filters.push(
+        categoryFilterSql(
+          "p.category_id",
+          `$${values.length}`,
+          include_descendants
+        )
+      );
     }
-    queryText += " ORDER BY p.name;";
-    const result = await db.query(queryText, params);
-    res.json(result.rows);
+    list.applyCursor(filters, values);
+
+    const result = await db.query(
+      `${productSelectSql(filters, [list.selectCursor()])}
+      ${list.orderBy()};`,
+      values
+    );
+    res.json(list.page(result.rows));
   } catch (err) {
     next(err);
   }
 });
 
+/**
+ * GET /api/products/search
+ * Query params:
+ *   - q                      (required) free text, websearch syntax ("quoted phrase", -exclude, or)
+ *   - category_id            (optional)
+ *   - min_price, max_price   (optional)
+ *   - in_stock = true        (optional) only products with quantity > 0
+ *   - include_archived=true  (optional) also archived products, hidden by default
+ *   - limit, cursor, fields  (pagination, see GET /api/products)
+ *   - sort = relevance | price | name   (prefix - for descending; default -relevance)
+ *
+ * Matches name and description with Postgres full-text search and ranks by relevance.
+ * Returns { data, next_cursor, facets } where each facet counts the matches under
+ * every active filter except its own, so clients can show "what if" counts:
+ *   facets.categories   [{ category_id, category_name, count }]
+ *   facets.price_ranges [{ min, max, count }]   (max null = open-ended)
+ *   facets.in_stock     { in_stock, out_of_stock }
+ */
+router.get("/search", validateSearch, async (req, res, next) => {
+  const { q, category_id, min_price, max_price, in_stock, include_archived } =
+    req.query;
+  try {
+    // $1 is always the search query; the rank expression below relies on it
+    const tsQuery = "websearch_to_tsquery('english', $1)";
+    const matchSql = `p.search_vector @@ ${tsQuery}${
+      include_archived ? "" : " AND p.archived_at IS NULL"
+    }`;
+    const rankExpr = `ts_rank(p.search_vector, ${tsQuery})`;
+    const list = parseListParams(req.query, {
+      sorts: {
+        relevance: { expr: rankExpr, type: "real" },
+        price: { expr: CURRENT_PRICE, type: "numeric" },
+        name: { expr: "p.name", type: "text" },
+      },
+      defaultSort: "-relevance",
+      idExpr: "p.id",
+      fields: [...PRODUCT_FIELDS, "relevance"],
+    });
+
+    const values = [q];
+    // One condition per facet; each defaults to TRUE when the filter is unused
+    const facetFilters = { category: "TRUE", price: "TRUE", stock: "TRUE" };
+
+    if (category_id != null) {
+      values.push(category_id);
+      facetFilters.category = `p.category_id = $${values.length}`;
+    }
+    const priceFilters = [];
+    for (const [param, op] of [
+      [min_price, ">="],
+      [max_price, "<="],
+    ]) {
+      if (param == null) continue;
+      values.push(param);
+      priceFilters.push(`${CURRENT_PRICE} ${op} $${values.length}`);
+    }
+    if (priceFilters.length > 0)
+      facetFilters.price = priceFilters.join(" AND ");
+    if (in_stock) facetFilters.stock = "COALESCE(i.quantity, 0) > 0";
+    const filterValueCount = values.length;
+
+    // 1. Ranked page of matches with every filter applied
+    const filters = [
+      matchSql,
+      facetFilters.category,
+      facetFilters.price,
+      facetFilters.stock,
+    ];
+    list.applyCursor(filters, values);
+    const result = await db.query(
+      `${productSelectSql(filters, [
+        `${rankExpr} AS relevance`,
+        list.selectCursor(),
+      ])}
+      ${list.orderBy()};`,
+      values
+    );
+
+    // 2. Facet counts over all matches (each facet ignores its own filter)
+    const bucketExpr =
+      "CASE " +
+      PRICE_BUCKETS.map(
+        ([min, max], i) =>
+          `WHEN m.price >= ${min}${
+            max == null ? "" : ` AND m.price < ${max}`
+          } THEN ${i}`
+      ).join(" ") +
+      " END";
+    const facetRes = await db.query(
+      `
+      WITH matches AS (
+        SELECT
+          p.category_id,
+          ${CURRENT_PRICE} AS price,
+          COALESCE(i.quantity, 0) > 0 AS has_stock,
+          ${facetFilters.category} AS in_category,
+          ${facetFilters.price} AS in_price,
+          ${facetFilters.stock} AS in_stock
+        FROM products p
+        LEFT JOIN product_stock i ON p.id = i.product_id
+        WHERE ${matchSql}
+      )
+      SELECT 'category' AS facet, m.category_id AS value, COUNT(*)::int AS count
+      FROM matches m
+      WHERE m.in_price AND m.in_stock
+      GROUP BY m.category_id
+      UNION ALL
+      SELECT 'price', ${bucketExpr}, COUNT(*)::int
+      FROM matches m
+      WHERE m.in_category AND m.in_stock
+      GROUP BY 2
+      UNION ALL
+      SELECT 'stock', m.has_stock::int, COUNT(*)::int
+      FROM matches m
+      WHERE m.in_category AND m.in_price
+      GROUP BY m.has_stock;
+      `,
+      values.slice(0, filterValueCount)
+    );
+
+    const catCounts = facetRes.rows.filter((r) => r.facet === "category");
+    const catNames = await db.query(
+      "SELECT id, name FROM categories WHERE id = ANY($1::int[]);",
+      [catCounts.map((r) => r.value).filter((v) => v != null)]
+    );
+    const nameById = new Map(catNames.rows.map((r) => [r.id, r.name]));
+    const countOf = (facet, value) =>
+      facetRes.rows.find((r) => r.facet === facet && r.value === value)
+        ?.count || 0;
+
+    res.json({
+      ...list.page(result.rows),
+      facets: {
+        categories: catCounts
+          .map((r) => ({
+            category_id: r.value,
+            category_name: nameById.get(r.value) ?? null,
+            count: r.count,
+          }))
+          .sort((a, b) => b.count - a.count),
+        price_ranges: PRICE_BUCKETS.map(([min, max], i) => ({
+          min,
+          max,
+          count: countOf("price", i),
+        })),
+        in_stock: {
+          in_stock: countOf("stock", 1),
+          out_of_stock: countOf("stock", 0),
+        },
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/products/export
+ * Streams the whole catalogue as CSV (text/csv attachment) with the columns
+ * id, sku, name, description, price, category, quantity — the file can be
+ * edited and sent back to POST /api/products/import (id is ignored there).
+ * Like the listings, it leaves archived products out unless include_archived=true.
+ * Rows are read in batches by id, so memory use does not grow with the catalogue.
+ */
+router.get("/export", validateExport, (req, res) => {
+  const filters = ["p.id > $1"];
+  if (!req.query.include_archived) filters.push("p.archived_at IS NULL");
+  return streamCsv(res, "products.csv", EXPORT_COLUMNS, async (last) => {
+    const result = await db.query(
+      `${productSelectSql(filters, ["c.name AS category"])}
+      ORDER BY p.id
+      LIMIT $2;`,
+      [last ? last.id : 0, EXPORT_BATCH_SIZE]
+    );
+    return result.rows;
+  });
+});
+
 /**
  * GET /api/products/:id
  * Returns details of one product, including category name and inventory quantity.
  */
-router.get("/:id", async (req, res, next) => {
-  const id = parseInt(req.params.id, 10);
-  if (isNaN(id)) return res.status(400).json({ error: "Invalid product ID." });
+router.get("/:id", validateGet, async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const result = await db.query(`${productSelectSql(["p.id = $1"])};`, [id]);
+    if (result.rows.length === 0)
+      return res.status(404).json({ error: "Product not found." });
+    res.json(result.rows[0]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/products/:id/prices
+ * Query params (optional):
+ *   - at (ISO date/time) answer "what did it cost then?" instead of listing
+ *
+ * Without `at`, returns the product's full price history, newest first:
+ *   { product_id, current_price, prices: [{ id, price, effective_from, effective_to, status }] }
+ * where effective_to is when the next price takes over (null if none) and
+ * status is past | current | scheduled.
+ * With `at`, returns { product_id, at, price }.
+ */
+router.get("/:id/prices", validatePrices, async (req, res, next) => {
+  const { id } = req.params;
+  const { at } = req.query;
   try {
+    const prod = await db.query(
+      `SELECT id, ${CURRENT_PRICE} AS current_price, product_price_at(p.id, $2) AS price_at
+       FROM products p WHERE id = $1;`,
+      [id, at || new Date()]
+    );
+    if (prod.rows.length === 0)
+      return res.status(404).json({ error: "Product not found." });
+    if (at) {
+      return res.json({ product_id: id, at, price: prod.rows[0].price_at });
+    }
+
     const result = await db.query(
       `
       SELECT
-        p.id,
-        p.name,
-        p.description,
-        p.price,
-        p.category_id,
-        c.name AS category_name,
-        COALESCE(i.quantity, 0) AS quantity
-      FROM products p
-      LEFT JOIN categories c ON p.category_id = c.id
-      LEFT JOIN inventory i ON p.id = i.product_id
-      WHERE p.id = $1;
+        id,
+        price,
+        effective_from,
+        effective_to,
+        CASE
+          WHEN effective_from > NOW() THEN 'scheduled'
+          WHEN effective_to IS NULL OR effective_to > NOW() THEN 'current'
+          ELSE 'past'
+        END AS status
+      FROM (
+        SELECT
+          id,
+          price,
+          effective_from,
+          LEAD(effective_from) OVER (ORDER BY effective_from) AS effective_to
+        FROM product_prices
+        WHERE product_id = $1
+      ) h
+      ORDER BY effective_from DESC;
       `,
       [id]
     );
-    if (result.rows.length === 0)
-      return res.status(404).json({ error: "Product not found." });
-    res.json(result.rows[0]);
+    res.json({
+      product_id: id,
+      current_price: prod.rows[0].current_price,
+      prices: result.rows,
+    });
   } catch (err) {
     next(err);
   }
 });
 
 /**
- * POST /api/products
- * Create a new product. Body must include:
- *  { name, description, price, category_id, initial_quantity }
+ * POST /api/products/:id/prices
+ * Adds a price to the history. Body: { price, effective_from (optional, defaults to now) }
+ * A future effective_from schedules the change; the product's price switches
+ * over automatically at that moment. Sales are always priced at their sale_date.
  */
-router.post("/", async (req, res, next) => {
-  let { name, description, price, category_id, initial_quantity } = req.body;
-  if (!name || typeof name !== "string") {
-    return res.status(400).json({ error: "Product name is required." });
+router.post("/:id/prices", validateSchedulePrice, async (req, res, next) => {
+  const { id } = req.params;
+  const { price } = req.body;
+  const effectiveFrom = req.body.effective_from || new Date();
+  try {
+    const created = await db.withTransaction(async (client) => {
+      const prod = await client.query(
+        "SELECT id FROM products WHERE id = $1 FOR UPDATE;",
+        [id]
+      );
+      if (prod.rows.length === 0) return null;
+      const ins = await client.query(
+        `INSERT INTO product_prices(product_id, price, effective_from)
+         VALUES($1, $2, $3)
+         RETURNING id, product_id, price, effective_from, created_at;`,
+        [id, price, effectiveFrom]
+      );
+      await recordAudit(client, req, {
+        entity: "product_price",
+        entityId: ins.rows[0].id,
+        action: "create",
+        after: ins.rows[0],
+      });
+      return ins.rows[0];
+    });
+    if (!created) return res.status(404).json({ error: "Product not found." });
+    res.status(201).json(created);
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(409).json({
+        error: "A price already takes effect at that time for this product.",
+      });
+    }
+    next(err);
   }
-  if (price == null || isNaN(parseFloat(price)) || parseFloat(price) < 0) {
-    return res
-      .status(400)
-      .json({ error: "Price must be a non-negative number." });
+});
+
+/**
+ * DELETE /api/products/:id/prices/:priceId
+ * Cancels a scheduled price. Prices already in effect are history and stay.
+ */
+router.delete(
+  "/:id/prices/:priceId",
+  validateCancelPrice,
+  async (req, res, next) => {
+    const { id, priceId } = req.params;
+    try {
+      // Returns the deleted row, null if not found, or false if already in effect
+      const deleted = await db.withTransaction(async (client) => {
+        const row = await client.query(
+          `SELECT id, product_id, price, effective_from, effective_from > NOW() AS scheduled
+           FROM product_prices WHERE id = $1 AND product_id = $2 FOR UPDATE;`,
+          [priceId, id]
+        );
+        if (row.rows.length === 0) return null;
+        const { scheduled, ...price } = row.rows[0];
+        if (!scheduled) return false;
+
+        await client.query("DELETE FROM product_prices WHERE id = $1;", [
+          priceId,
+        ]);
+        await recordAudit(client, req, {
+          entity: "product_price",
+          entityId: priceId,
+          action: "delete",
+          before: price,
+        });
+        return price;
+      });
+
+      if (deleted === null)
+        return res.status(404).json({ error: "Price not found." });
+      if (deleted === false) {
+        return res.status(409).json({
+          error: "Only scheduled prices can be cancelled.",
+        });
+      }
+      res.json(deleted);
+    } catch (err) {
+      next(err);
+    }
   }
-  if (!category_id || isNaN(parseInt(category_id, 10))) {
-    return res
-      .status(400)
-      .json({ error: "category_id is required and must be a valid integer." });
+);
+
+/**
+ * Helper: load one variant of a product using `client` (db or a transaction
+ * client). Returns null if the product has no such variant.
+ */
+async function fetchVariant(client, productId, variantId) {
+  const result = await client.query(
+    `SELECT ${VARIANT_COLUMNS} FROM product_variants v
+     WHERE v.id = $1 AND v.product_id = $2;`,
+    [variantId, productId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Responds to a unique violation on product_variants: the SKU, or the same
+ * options as another variant of the product.
+ */
+function variantConflict(res, err) {
+  return res.status(409).json({
+    error:
+      err.constraint === "product_variants_sku_key"
+        ? "SKU already in use."
+        : "The product already has a variant with these options.",
+  });
+}
+
+/**
+ * GET /api/products/:id/variants
+ * Returns the product's variants, oldest first:
+ *   [{ id, product_id, sku, options, price, effective_price, quantity, created_at, updated_at }]
+ * price is the variant's own price (null when it sells at the product's price)
+ * and effective_price what it sells at now.
+ */
+router.get("/:id/variants", validateVariants, async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const prod = await db.query("SELECT id FROM products WHERE id = $1;", [id]);
+    if (prod.rows.length === 0)
+      return res.status(404).json({ error: "Product not found." });
+    const result = await db.query(
+      `SELECT ${VARIANT_COLUMNS} FROM product_variants v
+       WHERE v.product_id = $1
+       ORDER BY v.id;`,
+      [id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    next(err);
   }
-  if (
-    initial_quantity == null ||
-    isNaN(parseInt(initial_quantity, 10)) ||
-    parseInt(initial_quantity, 10) < 0
-  ) {
-    return res.status(400).json({
-      error: "initial_quantity is required and must be a non-negative integer.",
+});
+
+/**
+ * POST /api/products/:id/variants
+ * Adds a variant (e.g. a size and colour) with its own SKU and stock. Body:
+ *   { sku, options (optional, e.g. { "size": "M", "colour": "Red" }),
+ *     price (optional, overrides the product's price),
+ *     initial_quantity (optional, default 0), location_id (optional, default location) }
+ * Once a product has variants, its sales, stock and purchase orders name a
+ * variant_id. Responds 409 if the SKU or the options are taken, or when adding
+ * the first variant to a product that still holds stock of its own (set that
+ * stock to 0 first).
+ */
+router.post("/:id/variants", validateCreateVariant, async (req, res, next) => {
+  const { id } = req.params;
+  const { sku, options = {}, price = null, initial_quantity = 0 } = req.body;
+  try {
+    // Returns the new variant, null if the product is not found, or false if
+    // the product's own stock blocks its first variant
+    const created = await db.withTransaction(async (client) => {
+      const prod = await client.query(
+        `SELECT
+           p.id,
+           EXISTS (SELECT 1 FROM product_variants WHERE product_id = p.id) AS has_variants,
+           COALESCE(
+             (SELECT SUM(quantity) FROM inventory
+              WHERE product_id = p.id AND variant_id IS NULL), 0
+           )::int AS unassigned_qty
+         FROM products p WHERE p.id = $1 FOR UPDATE;`,
+        [id]
+      );
+      if (prod.rows.length === 0) return null;
+      const { has_variants, unassigned_qty } = prod.rows[0];
+      if (!has_variants && unassigned_qty > 0) return false;
+
+      const defaultLocationId = await resolveLocations(client, [
+        req.body.location_id,
+      ]);
+      const locationId = req.body.location_id ?? defaultLocationId;
+
+      const ins = await client.query(
+        `INSERT INTO product_variants(product_id, sku, options)
+         VALUES($1, $2, $3) RETURNING id;`,
+        [id, sku, JSON.stringify(options)]
+      );
+      const variantId = ins.rows[0].id;
+      // Start the variant's price history, with or without an override
+      await client.query(
+        `INSERT INTO product_variant_prices(variant_id, price, effective_from)
+         VALUES($1, $2, NOW());`,
+        [variantId, price]
+      );
+      if (initial_quantity > 0) {
+        await setStock(client, id, locationId, initial_quantity, variantId);
+        await client.query(
+          `INSERT INTO inventory_history(product_id, location_id, variant_id, change_qty, previous_qty, new_qty)
+           VALUES($1, $2, $3, $4, $5, $6);`,
+          [id, locationId, variantId, initial_quantity, 0, initial_quantity]
+        );
+      }
+
+      const variant = await fetchVariant(client, id, variantId);
+      await recordAudit(client, req, {
+        entity: "product_variant",
+        entityId: variantId,
+        action: "create",
+        after: { ...variant, location_id: locationId },
+      });
+      return variant;
     });
+
+    if (created === null)
+      return res.status(404).json({ error: "Product not found." });
+    if (created === false) {
+      return res.status(409).json({
+        error:
+          "The product holds stock not assigned to a variant; set it to 0 before adding variants.",
+      });
+    }
+    res.status(201).json(created);
+  } catch (err) {
+    if (err.code === "23505") return variantConflict(res, err);
+    next(err);
   }
+});
+
+/**
+ * PUT /api/products/:id/variants/:variantId
+ * Updates any subset of { sku, options, price }. `inherit_price: true`
+ * removes the price override so the variant sells at the product's price.
+ * Stock is adjusted through PUT /api/inventory/:product_id with a variant_id.
+ */
+router.put(
+  "/:id/variants/:variantId",
+  validateUpdateVariant,
+  async (req, res, next) => {
+    const { id, variantId } = req.params;
+    const { inherit_price: inheritPrice, ...changes } = req.body;
+    if (changes.options !== undefined) {
+      changes.options = JSON.stringify(changes.options);
+    }
+    if (inheritPrice) {
+      if (changes.price !== undefined) {
+        return next(
+          validationError([
+            {
+              in: "body",
+              field: "inherit_price",
+              message: "cannot be combined with price.",
+            },
+          ])
+        );
+      }
+      changes.price = null;
+    }
+
+    const { price, ...columns } = changes;
+    const fields = [];
+    const values = [];
+    for (const column of Object.keys(variantFields)) {
+      if (columns[column] === undefined) continue;
+      values.push(columns[column]);
+      fields.push(`${column} = $${values.length}`);
+    }
+    if (fields.length === 0 && price === undefined) {
+      return next(
+        validationError([
+          {
+            in: "body",
+            field: "",
+            message: `must include at least one of: ${Object.keys(
+              variantFields
+            ).join(", ")}, inherit_price.`,
+          },
+        ])
+      );
+    }
+
+    try {
+      const updated = await db.withTransaction(async (client) => {
+        const before = await fetchVariant(client, id, variantId);
+        if (!before) return null;
+        // A new price (or its removal) takes effect now; earlier prices stay
+        // in the history
+        if (price !== undefined) {
+          await client.query(
+            `INSERT INTO product_variant_prices(variant_id, price, effective_from)
+             VALUES($1, $2, NOW())
+             ON CONFLICT (variant_id, effective_from) DO UPDATE SET price = EXCLUDED.price;`,
+            [variantId, price]
+          );
+        }
+        values.push(variantId);
+        await client.query(
+          `UPDATE product_variants
+           SET ${[...fields, "updated_at = NOW()"].join(", ")}
+           WHERE id = $${values.length};`,
+          values
+        );
+        const after = await fetchVariant(client, id, variantId);
+        await recordAudit(client, req, {
+          entity: "product_variant",
+          entityId: variantId,
+          action: "update",
+          before,
+          after,
+        });
+        return after;
+      });
+      if (!updated)
+        return res.status(404).json({ error: "Variant not found." });
+      res.json(updated);
+    } catch (err) {
+      if (err.code === "23505") return variantConflict(res, err);
+      next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /api/products/:id/variants/:variantId
+ * Deletes a variant IF it has no sales or purchase orders and no stock left.
+ */
+router.delete(
+  "/:id/variants/:variantId",
+  validateDeleteVariant,
+  async (req, res, next) => {
+    const { id, variantId } = req.params;
+    try {
+      // Returns the deleted variant, null if not found, or false if sales,
+      // purchase orders or stock block it
+      const deleted = await db.withTransaction(async (client) => {
+        const lock = await client.query(
+          `SELECT id FROM product_variants
+           WHERE id = $1 AND product_id = $2 FOR UPDATE;`,
+          [variantId, id]
+        );
+        if (lock.rows.length === 0) return null;
+        const variant = await fetchVariant(client, id, variantId);
 
-  name = name.trim();
-  description = description ? description.trim() : "";
-  price = parseFloat(price);
-  category_id = parseInt(category_id, 10);
-  initial_quantity = parseInt(initial_quantity, 10);
+        const chk = await client.query(
+          `SELECT
+             EXISTS (SELECT 1 FROM order_items WHERE variant_id = $1)
+             OR EXISTS (SELECT 1 FROM purchase_order_items WHERE variant_id = $1) AS in_use;`,
+          [variantId]
+        );
+        if (chk.rows[0].in_use || variant.quantity > 0) return false;
+
+        await client.query("DELETE FROM product_variants WHERE id = $1;", [
+          variantId,
+        ]);
+        await recordAudit(client, req, {
+          entity: "product_variant",
+          entityId: variantId,
+          action: "delete",
+          before: variant,
+        });
+        return variant;
+      });
+
+      if (deleted === null)
+        return res.status(404).json({ error: "Variant not found." });
+      if (deleted === false) {
+        return res.status(409).json({
+          error:
+            "Cannot delete variant: it has stock, sales or purchase orders.",
+        });
+      }
+      res.json(deleted);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /api/products/import
+ * Body: CSV text (Content-Type text/csv) with a header row naming any of the
+ * columns sku, name, description, price, category, initial_quantity
+ * (name, price and category are required; category is a category name).
+ * Query params (optional):
+ *   - dry_run=true   validate and report what would happen without writing
+ *
+ * Each row updates the product with the same sku (or the same name when the
+ * row has no sku) or creates a new one; unknown categories are created, and
+ * initial_quantity only applies to new products (stocked at the default location).
+ * Returns { dry_run, summary, results: [{ row, action, product_id, sku, name }], errors }.
+ * The import is all-or-nothing: if any row has an error nothing is written
+ * and a 400 lists the errors by row (line number in the file).
+ */
+router.post(
+  "/import",
+  express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
+  validateImport,
+  async (req, res, next) => {
+    if (typeof req.body !== "string") {
+      return next(
+        validationError([
+          { in: "body", field: "", message: "must be CSV text (text/csv)." },
+        ])
+      );
+    }
+    const dryRun = req.query.dry_run === true;
+    try {
+      let csvRows;
+      try {
+        csvRows = parseCsv(req.body);
+      } catch (parseErr) {
+        throw validationError([
+          { in: "body", field: "", message: parseErr.message },
+        ]);
+      }
+      const report = await db.withTransaction(async (client) => {
+        const r = await importProducts(client, req, csvRows, { dryRun });
+        if (!dryRun && r.errors.length > 0) {
+          throw new HttpError(400, "Validation failed.", {
+            details: r.errors,
+            summary: r.summary,
+          });
+        }
+        return r;
+      });
+      res.status(dryRun ? 200 : 201).json(report);
+    } catch (err) {
+      if (err.code === "23505") {
+        return res.status(409).json({
+          error:
+            "A product or category in the file was created concurrently; retry the import.",
+        });
+      }
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /api/products
+ * Create a new product. Body must include:
+ *  { name, description, price, category_id, initial_quantity }
+ * and may name the location_id holding the initial stock (default location otherwise)
+ * and the currency its prices are in (default DEFAULT_CURRENCY), and the
+ * unit_cost the initial stock was bought at (optional; see PUT /api/inventory).
+ */
+router.post("/", validateCreate, async (req, res, next) => {
+  const {
+    sku = null,
+    name,
+    price,
+    currency = DEFAULT_CURRENCY,
+    unit_cost = null,
+    category_id,
+    initial_quantity,
+    reorder_point = null,
+    reorder_quantity = null,
+  } = req.body;
+  const description = req.body.description || "";
 
   try {
-    // 1. Insert into products
-    const prodRes = await db.query(
-      `INSERT INTO products(name, description, price, category_id)
-       VALUES($1, $2, $3, $4) RETURNING id, name, description, price, category_id;`,
-      [name, description, price, category_id]
-    );
-    const newProd = prodRes.rows[0];
+    const newProdId = await db.withTransaction(async (client) => {
+      await checkCategoryActive(client, category_id);
+      const defaultLocationId = await resolveLocations(client, [
+        req.body.location_id,
+      ]);
+      const locationId = req.body.location_id ?? defaultLocationId;
 
-    // 2. Insert into inventory
-    await db.query(
-      `INSERT INTO inventory(product_id, quantity, updated_at)
-       VALUES($1, $2, NOW());`,
-      [newProd.id, initial_quantity]
-    );
+      // 1. Insert into products, with its first price effective from now
+      const prodRes = await client.query(
+        `INSERT INTO products(sku, name, description, currency, unit_cost, category_id, reorder_point, reorder_quantity)
+         VALUES($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING id, sku, name, description, currency, unit_cost, category_id, reorder_point, reorder_quantity;`,
+        [
+          sku,
+          name,
+          description,
+          currency,
+          unit_cost,
+          category_id,
+          reorder_point,
+          reorder_quantity,
+        ]
+      );
+      const prodId = prodRes.rows[0].id;
+      const priceRes = await client.query(
+        `INSERT INTO product_prices(product_id, price, effective_from)
+         VALUES($1, $2, NOW()) RETURNING price;`,
+        [prodId, price]
+      );
 
-    // 3. Insert initial row into inventory_history
-    await db.query(
-      `INSERT INTO inventory_history(product_id, change_qty, previous_qty, new_qty)
-       VALUES($1, $2, $3, $4);`,
-      [newProd.id, initial_quantity, 0, initial_quantity]
-    );
+      // 2. Insert into inventory
+      await setStock(client, prodId, locationId, initial_quantity);
+
+      // 3. Insert initial row into inventory_history
+      await client.query(
+        `INSERT INTO inventory_history(product_id, location_id, change_qty, previous_qty, new_qty, unit_cost)
+         VALUES($1, $2, $3, $4, $5, $6);`,
+        [
+          prodId,
+          locationId,
+          initial_quantity,
+          0,
+          initial_quantity,
+          prodRes.rows[0].unit_cost,
+        ]
+      );
+
+      await recordAudit(client, req, {
+        entity: "product",
+        entityId: prodId,
+        action: "create",
+        after: {
+          ...prodRes.rows[0],
+          price: priceRes.rows[0].price,
+          initial_quantity,
+          location_id: locationId,
+        },
+      });
+      return prodId;
+    });
 
     // 4. Return the newly created product with inventory
-    const fullRes = await db.query(
-      `
-      SELECT
-        p.id,
-        p.name,
-        p.description,
-        p.price,
-        p.category_id,
-        c.name AS category_name,
-        i.quantity
-      FROM products p
-      LEFT JOIN categories c ON p.category_id = c.id
-      LEFT JOIN inventory i ON p.id = i.product_id
-      WHERE p.id = $1;
-      `,
-      [newProd.id]
-    );
+    const fullRes = await db.query(`${productSelectSql(["p.id = $1"])};`, [
+      newProdId,
+    ]);
     res.status(201).json(fullRes.rows[0]);
   } catch (err) {
+    if (err.code === "23505") {
+      return res.status(409).json({ error: "SKU already in use." });
+    }
     next(err);
   }
 });
 
 /**
  * PUT /api/products/:id
- * Update an existing product’s fields (name, description, price, category_id).
- * Body can include any subset of these keys.
+ * Update an existing product’s fields (sku, name, description, price, currency,
+ * unit_cost, category_id, reorder_point, reorder_quantity). A new currency applies to all
+ * of the product's prices (past sales keep the currency they were made in); a new
+ * unit_cost corrects the cost of the stock on hand and of later sales (restocks
+ * then average against it; past sales keep theirs).
+ * Body can include any subset of these keys. A new price takes effect
+ * immediately and is added to the price history (see POST /:id/prices to
+ * schedule one instead).
  */
-router.put("/:id", async (req, res, next) => {
-  const id = parseInt(req.params.id, 10);
-  if (isNaN(id)) return res.status(400).json({ error: "Invalid product ID." });
+router.put("/:id", validateUpdate, async (req, res, next) => {
+  const { id } = req.params;
 
-  // Only allow updates for name, description, price, category_id
-  const { name, description, price, category_id } = req.body;
+  // Only allow updates for the productFields columns (price is handled below)
   const fields = [];
   const values = [];
   let idx = 1;
-
-  if (name != null) {
-    if (typeof name !== "string") {
-      return res.status(400).json({ error: "Name must be a string." });
-    }
-    fields.push(`name = $${idx++}`);
-    values.push(name.trim());
-  }
-  if (description != null) {
-    if (typeof description !== "string") {
-      return res.status(400).json({ error: "Description must be a string." });
-    }
-    fields.push(`description = $${idx++}`);
-    values.push(description.trim());
+  for (const column of Object.keys(productFields)) {
+    if (req.body[column] === undefined || column === "price") continue;
+    fields.push(`${column} = $${idx++}`);
+    values.push(req.body[column]);
   }
-  if (price != null) {
-    if (isNaN(parseFloat(price)) || parseFloat(price) < 0) {
-      return res
-        .status(400)
-        .json({ error: "Price must be a non-negative number." });
-    }
-    fields.push(`price = $${idx++}`);
-    values.push(parseFloat(price));
+  const { price } = req.body;
+
+  if (fields.length === 0 && price === undefined) {
+    return next(
+      validationError([
+        {
+          in: "body",
+          field: "",
+          message: `must include at least one of: ${Object.keys(
+            productFields
+          ).join(", ")}.`,
+        },
+      ])
+    );
   }
-  if (category_id != null) {
-    if (isNaN(parseInt(category_id, 10))) {
-      return res.status(400).json({ error: "category_id must be an integer." });
+
+  try {
+    const found = await db.withTransaction(async (client) => {
+      const before = await client.query(
+        `SELECT id, sku, name, description, ${CURRENT_PRICE} AS price, currency,
+                unit_cost, category_id, reorder_point, reorder_quantity
+         FROM products p WHERE id = $1 FOR UPDATE;`,
+        [id]
+      );
+      if (before.rows.length === 0) return false;
+      if (req.body.category_id !== undefined) {
+        await checkCategoryActive(client, req.body.category_id);
+      }
+
+      // A new price takes effect now; earlier prices stay in the history
+      if (price !== undefined) {
+        await client.query(
+          `INSERT INTO product_prices(product_id, price, effective_from)
+           VALUES($1, $2, NOW())
+           ON CONFLICT (product_id, effective_from) DO UPDATE SET price = EXCLUDED.price;`,
+          [id, price]
+        );
+      }
+
+      const queryText = `
+        UPDATE products p
+        SET ${[...fields, "updated_at = NOW()"].join(", ")}
+        WHERE id = $${idx}
+        RETURNING id, sku, name, description, ${CURRENT_PRICE} AS price, currency, unit_cost, category_id, reorder_point, reorder_quantity;
+      `;
+      values.push(id);
+      const result = await client.query(queryText, values);
+      await recordAudit(client, req, {
+        entity: "product",
+        entityId: id,
+        action: "update",
+        before: before.rows[0],
+        after: result.rows[0],
+      });
+      return true;
+    });
+    if (!found) return res.status(404).json({ error: "Product not found." });
+
+    // Return updated product with category name and inventory
+    const fullRes = await db.query(`${productSelectSql(["p.id = $1"])};`, [id]);
+    res.json(fullRes.rows[0]);
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(409).json({ error: "SKU already in use." });
     }
-    fields.push(`category_id = $${idx++}`);
-    values.push(parseInt(category_id, 10));
+    next(err);
   }
+});
 
-  if (fields.length === 0) {
-    return res
-      .status(400)
-      .json({ error: "No valid fields provided for update." });
+/**
+ * Helper: archives (archived = true) or restores a product, using the given
+ * transaction client. Returns the product's { id, name, category_id,
+ * archived_at } after the change, null if it does not exist, or false if it
+ * already was in that state. Throws HttpError(409) when restoring into an
+ * archived category.
+ */
+async function setProductArchived(client, req, id, archived) {
+  const prod = await client.query(
+    `SELECT p.id, p.name, p.category_id, p.archived_at,
+            c.archived_at AS category_archived_at
+     FROM products p LEFT JOIN categories c ON c.id = p.category_id
+     WHERE p.id = $1 FOR UPDATE OF p;`,
+    [id]
+  );
+  if (prod.rows.length === 0) return null;
+  const { category_archived_at, ...before } = prod.rows[0];
+  if ((before.archived_at != null) === archived) return false;
+  if (!archived && category_archived_at) {
+    throw new HttpError(
+      409,
+      "The product's category is archived; restore the category first.",
+      { category_id: before.category_id }
+    );
   }
 
+  const upd = await client.query(
+    `UPDATE products
+     SET archived_at = CASE WHEN $1 THEN NOW() END, updated_at = NOW()
+     WHERE id = $2
+     RETURNING id, name, category_id, archived_at;`,
+    [archived, id]
+  );
+  await recordAudit(client, req, {
+    entity: "product",
+    entityId: id,
+    action: "update",
+    before,
+    after: upd.rows[0],
+  });
+  return upd.rows[0];
+}
+
+/**
+ * POST /api/products/:id/archive
+ * Archives a discontinued product: it is hidden from product listings and
+ * can no longer be sold or ordered, but keeps its prices, stock, history and
+ * sales, and still appears in sales reports. Responds 409 if already archived.
+ */
+router.post("/:id/archive", validateArchive, async (req, res, next) => {
   try {
-    const queryText = `
-      UPDATE products
-      SET ${fields.join(", ")}, updated_at = NOW()
-      WHERE id = $${idx}
-      RETURNING id, name, description, price, category_id;
-    `;
-    values.push(id);
-    const result = await db.query(queryText, values);
-    if (result.rows.length === 0)
+    const product = await db.withTransaction((client) =>
+      setProductArchived(client, req, req.params.id, true)
+    );
+    if (product === null)
       return res.status(404).json({ error: "Product not found." });
+    if (product === false)
+      return res.status(409).json({ error: "Product is already archived." });
+    res.json(product);
+  } catch (err) {
+    next(err);
+  }
+});
 
-    // Return updated product with category name and inventory
-    const fullRes = await db.query(
-      `
-      SELECT
-        p.id,
-        p.name,
-        p.description,
-        p.price,
-        p.category_id,
-        c.name AS category_name,
-        COALESCE(i.quantity, 0) AS quantity
-      FROM products p
-      LEFT JOIN categories c ON p.category_id = c.id
-      LEFT JOIN inventory i ON p.id = i.product_id
-      WHERE p.id = $1;
-      `,
-      [id]
+/**
+ * POST /api/products/:id/restore
+ * Brings an archived product back. Responds 409 if it is not archived, or its
+ * category is.
+ */
+router.post("/:id/restore", validateArchive, async (req, res, next) => {
+  try {
+    const product = await db.withTransaction((client) =>
+      setProductArchived(client, req, req.params.id, false)
     );
-    res.json(fullRes.rows[0]);
+    if (product === null)
+      return res.status(404).json({ error: "Product not found." });
+    if (product === false)
+      return res.status(409).json({ error: "Product is not archived." });
+    res.json(product);
   } catch (err) {
     next(err);
   }
@@ -243,36 +1225,62 @@ router.put("/:id", async (req, res, next) => {
 
 /**
  * DELETE /api/products/:id
- * Deletes a product IF no sales reference it.
+ * Deletes a product IF no sales or purchase orders reference it (archive it
+ * otherwise).
  */
-router.delete("/:id", async (req, res, next) => {
-  const id = parseInt(req.params.id, 10);
-  if (isNaN(id)) return res.status(400).json({ error: "Invalid product ID." });
+router.delete("/:id", validateDelete, async (req, res, next) => {
+  const { id } = req.params;
 
   try {
-    // Check if any sales reference this product
-    const chk = await db.query(
-      "SELECT COUNT(*) FROM sales WHERE product_id = $1;",
-      [id]
-    );
-    if (parseInt(chk.rows[0].count, 10) > 0) {
-      return res.status(409).json({
-        error: "Cannot delete product: sales exist for this product.",
+    // Returns the deleted row, null if not found, or false if sales or
+    // purchase orders block it
+    const deleted = await db.withTransaction(async (client) => {
+      // Lock the product so no sale can be recorded against it mid-delete
+      const prod = await client.query(
+        `SELECT id, sku, name, description, ${CURRENT_PRICE} AS price, category_id,
+                reorder_point, reorder_quantity
+         FROM products p WHERE id = $1 FOR UPDATE;`,
+        [id]
+      );
+      if (prod.rows.length === 0) return null;
+
+      // Check if any sales or purchase orders reference this product
+      const chk = await client.query(
+        `SELECT
+           EXISTS (SELECT 1 FROM sales WHERE product_id = $1)
+           OR EXISTS (SELECT 1 FROM purchase_order_items WHERE product_id = $1) AS in_use;`,
+        [id]
+      );
+      if (chk.rows[0].in_use) return false;
+
+      // Delete from inventory_history, inventory, then products
+      await client.query(
+        "DELETE FROM inventory_history WHERE product_id = $1;",
+        [id]
+      );
+      await client.query("DELETE FROM inventory WHERE product_id = $1;", [id]);
+      const del = await client.query(
+        "DELETE FROM products WHERE id = $1 RETURNING id, name;",
+        [id]
+      );
+      await recordAudit(client, req, {
+        entity: "product",
+        entityId: id,
+        action: "delete",
+        before: prod.rows[0],
       });
-    }
+      return del.rows[0];
+    });
 
-    // Delete from inventory_history, inventory, then products
-    await db.query("DELETE FROM inventory_history WHERE product_id = $1;", [
-      id,
-    ]);
-    await db.query("DELETE FROM inventory WHERE product_id = $1;", [id]);
-    const del = await db.query(
-      "DELETE FROM products WHERE id = $1 RETURNING id, name;",
-      [id]
-    );
-    if (del.rows.length === 0)
+    if (deleted === null)
       return res.status(404).json({ error: "Product not found." });
-    res.json({ message: `Deleted product: ${del.rows[0].name}` });
+    if (deleted === false) {
+      return res.status(409).json({
+        error:
+          "Cannot delete product: sales or purchase orders exist for this product; archive it instead.",
+      });
+    }
+    res.json({ message: `Deleted product: ${deleted.name}` });
   } catch (err) {
     next(err);
   }
@@ -0,0 +1,362 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db/db");
+const HttpError = require("../utils/httpError");
+const { requireRoleByMethod } = require("../middleware/auth");
+const { validate, validationError } = require("../middleware/validate");
+const { recordAudit } = require("../services/audit");
+const { checkCategoryActive } = require("../services/categories");
+const { PROMOTION_COLUMNS } = require("../services/promotions");
+
+// Request schemas (see middleware/validate.js)
+const idParams = { id: { type: "integer", required: true, min: 1 } };
+const promotionFields = {
+  name: { type: "string", minLength: 1, maxLength: 150 },
+  value: { type: "number", min: 0.01, max: 99999999.99 },
+  buy_quantity: { type: "integer", min: 1 },
+  get_quantity: { type: "integer", min: 1 },
+  product_id: { type: "integer", min: 1 },
+  category_id: { type: "integer", min: 1 },
+  starts_at: { type: "datetime" },
+  ends_at: { type: "datetime" },
+  coupon_code: { type: "string", minLength: 1, maxLength: 50 },
+  usage_limit: { type: "integer", min: 1 },
+  active: { type: "boolean" },
+};
+const validateList = validate({
+  query: {
+    active: { type: "boolean" },
+    running: { type: "boolean" },
+    product_id: promotionFields.product_id,
+    category_id: promotionFields.category_id,
+  },
+});
+const validateGet = validate({ params: idParams });
+const validateCreate = validate({
+  body: {
+    ...promotionFields,
+    name: { ...promotionFields.name, required: true },
+    kind: {
+      type: "string",
+      required: true,
+      enum: ["percentage", "fixed", "buy_x_get_y"],
+    },
+  },
+});
+const validateUpdate = validate({ params: idParams, body: promotionFields });
+const validateDelete = validate({ params: idParams });
+
+// Promotion columns with how often sales used them (p is the promotion)
+const PROMOTION_SELECT = `
+  SELECT
+    p.*,
+    COALESCE(u.sale_count, 0)::int AS sale_count,
+    COALESCE(u.discount_total, 0)::NUMERIC(14,2) AS discount_total
+  FROM (SELECT ${PROMOTION_COLUMNS} FROM promotions) p
+  LEFT JOIN (
+    SELECT promotion_id, COUNT(*) AS sale_count, SUM(discount_amount) AS discount_total
+    FROM order_items
+    WHERE promotion_id IS NOT NULL
+    GROUP BY promotion_id
+  ) u ON u.promotion_id = p.id
+`;
+
+// Anyone with a key can read promotions; only admins change them
+router.use(
+  requireRoleByMethod({
+    GET: "viewer",
+    POST: "admin",
+    PUT: "admin",
+    DELETE: "admin",
+  })
+);
+
+/**
+ * Helper: checks the fields of a promotion that depend on each other (the
+ * whole promotion after a create or update). Returns validation details.
+ */
+function promotionErrors(p) {
+  const details = [];
+  const fail = (field, message) => details.push({ in: "body", field, message });
+  if (p.kind === "buy_x_get_y") {
+    if (p.buy_quantity == null)
+      fail("buy_quantity", "is required for buy_x_get_y promotions.");
+    if (p.get_quantity == null)
+      fail("get_quantity", "is required for buy_x_get_y promotions.");
+  } else {
+    if (p.value == null) fail("value", `is required for ${p.kind} promotions.`);
+    for (const field of ["buy_quantity", "get_quantity"]) {
+      if (p[field] != null)
+        fail(field, "only applies to buy_x_get_y promotions.");
+    }
+  }
+  if (p.kind !== "fixed" && p.value != null && parseFloat(p.value) > 100) {
+    fail("value", "must be a percentage <= 100.");
+  }
+  if (p.product_id != null && p.category_id != null) {
+    fail("category_id", "cannot be combined with product_id.");
+  }
+  if (
+    p.starts_at != null &&
+    p.ends_at != null &&
+    new Date(p.ends_at) <= new Date(p.starts_at)
+  ) {
+    fail("ends_at", "must be after starts_at.");
+  }
+  if (p.usage_limit != null && p.coupon_code == null) {
+    fail("usage_limit", "only applies to promotions with a coupon_code.");
+  }
+  return details;
+}
+
+/**
+ * Helper: checks the product or category a promotion is for, using the given
+ * transaction client. Throws HttpError(404) if either does not exist, or
+ * HttpError(409) if the category is archived.
+ */
+async function checkScope(client, { product_id, category_id }) {
+  if (product_id != null) {
+    const prod = await client.query("SELECT 1 FROM products WHERE id = $1;", [
+      product_id,
+    ]);
+    if (prod.rows.length === 0) {
+      throw new HttpError(404, "Product not found.");
+    }
+  }
+  if (category_id != null) await checkCategoryActive(client, category_id);
+}
+
+/**
+ * GET /api/promotions
+ * Retrieves promotions, newest first, with how many sale lines used each
+ * (sale_count) and what they took off in total (discount_total).
+ * Query params (all optional):
+ *   - active=true|false
+ *   - running=true     (only those that apply now: active and within their dates)
+ *   - product_id, category_id  (only promotions for that product or category)
+ */
+router.get("/", validateList, async (req, res, next) => {
+  const { active, running, product_id, category_id } = req.query;
+  const filters = [];
+  const values = [];
+  if (active != null) {
+    values.push(active);
+    filters.push(`p.active = $${values.length}`);
+  }
+  if (running) {
+    filters.push(`p.active
+      AND (p.starts_at IS NULL OR p.starts_at <= NOW())
+      AND (p.ends_at IS NULL OR p.ends_at > NOW())`);
+  }
+  if (product_id != null) {
+    values.push(product_id);
+    filters.push(`p.product_id = $${values.length}`);
+  }
+  if (category_id != null) {
+    values.push(category_id);
+    filters.push(`p.category_id = $${values.length}`);
+  }
+  try {
+    const where = filters.length > 0 ? ` WHERE ${filters.join(" AND ")}` : "";
+    const result = await db.query(
+      `${PROMOTION_SELECT}${where} ORDER BY p.id DESC;`,
+      values
+    );
+    res.json(result.rows);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/promotions/:id
+ * Returns one promotion with its sale_count and discount_total.
+ */
+router.get("/:id", validateGet, async (req, res, next) => {
+  try {
+    const result = await db.query(`${PROMOTION_SELECT} WHERE p.id = $1;`, [
+      req.params.id,
+    ]);
+    if (result.rows.length === 0)
+      return res.status(404).json({ error: "Promotion not found." });
+    res.json(result.rows[0]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/promotions
+ * Creates a promotion. Body:
+ *   { name, kind: percentage | fixed | buy_x_get_y,
+ *     value (percent off, or amount off each unit for fixed; for
+ *            buy_x_get_y the percent off the free units, default 100),
+ *     buy_quantity, get_quantity (buy_x_get_y only),
+ *     product_id or category_id (optional; neither means every product),
+ *     starts_at, ends_at (optional),
+ *     coupon_code (optional; then only sales quoting it get the discount),
+ *     usage_limit (optional, coupons only),
+ *     active (optional, default true) }
+ */
+router.post("/", validateCreate, async (req, res, next) => {
+  const promotion = { ...req.body };
+  delete promotion.reason;
+  if (promotion.coupon_code != null) {
+    promotion.coupon_code = promotion.coupon_code.toUpperCase();
+  }
+  const details = promotionErrors(promotion);
+  if (details.length > 0) return next(validationError(details));
+
+  try {
+    const created = await db.withTransaction(async (client) => {
+      await checkScope(client, promotion);
+      const columns = Object.keys(promotion);
+      const ins = await client.query(
+        `INSERT INTO promotions(${columns.join(", ")})
+         VALUES(${columns.map((_c, i) => `$${i + 1}`).join(", ")})
+         RETURNING ${PROMOTION_COLUMNS};`,
+        columns.map((c) => promotion[c])
+      );
+      await recordAudit(client, req, {
+        entity: "promotion",
+        entityId: ins.rows[0].id,
+        action: "create",
+        after: ins.rows[0],
+      });
+      return ins.rows[0];
+    });
+    res.status(201).json(created);
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(409).json({ error: "Coupon code already exists." });
+    }
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/promotions/:id
+ * Updates any subset of the fields POST takes, except kind. Setting
+ * product_id clears category_id and the other way round. Set active: false
+ * to stop a promotion that sales already used.
+ */
+router.put("/:id", validateUpdate, async (req, res, next) => {
+  const { id } = req.params;
+  const changes = {};
+  for (const column of Object.keys(promotionFields)) {
+    if (req.body[column] !== undefined) changes[column] = req.body[column];
+  }
+  if (Object.keys(changes).length === 0) {
+    return next(
+      validationError([
+        {
+          in: "body",
+          field: "",
+          message: `must include at least one of: ${Object.keys(
+            promotionFields
+          ).join(", ")}.`,
+        },
+      ])
+    );
+  }
+  if (changes.coupon_code !== undefined) {
+    changes.coupon_code = changes.coupon_code.toUpperCase();
+  }
+  if (changes.product_id !== undefined && changes.category_id === undefined) {
+    changes.category_id = null;
+  } else if (
+    changes.category_id !== undefined &&
+    changes.product_id === undefined
+  ) {
+    changes.product_id = null;
+  }
+
+  try {
+    const updated = await db.withTransaction(async (client) => {
+      const before = await client.query(
+        `SELECT ${PROMOTION_COLUMNS} FROM promotions WHERE id = $1 FOR UPDATE;`,
+        [id]
+      );
+      if (before.rows.length === 0) return null;
+      const details = promotionErrors({ ...before.rows[0], ...changes });
+      if (details.length > 0) throw validationError(details);
+      await checkScope(client, changes);
+
+      const columns = Object.keys(changes);
+      const values = columns.map((c) => changes[c]);
+      values.push(id);
+      const after = await client.query(
+        `UPDATE promotions
+         SET ${[
+           ...columns.map((c, i) => `${c} = $${i + 1}`),
+           "updated_at = NOW()",
+         ].join(", ")}
+         WHERE id = $${values.length}
+         RETURNING ${PROMOTION_COLUMNS};`,
+        values
+      );
+      await recordAudit(client, req, {
+        entity: "promotion",
+        entityId: id,
+        action: "update",
+        before: before.rows[0],
+        after: after.rows[0],
+      });
+      return after.rows[0];
+    });
+    if (!updated)
+      return res.status(404).json({ error: "Promotion not found." });
+    res.json(updated);
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(409).json({ error: "Coupon code already exists." });
+    }
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/promotions/:id
+ * Deletes a promotion IF no sale used it (otherwise deactivate it).
+ */
+router.delete("/:id", validateDelete, async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    // Returns the deleted row, null if not found, or false if sales used it
+    const deleted = await db.withTransaction(async (client) => {
+      const promo = await client.query(
+        `SELECT ${PROMOTION_COLUMNS} FROM promotions WHERE id = $1 FOR UPDATE;`,
+        [id]
+      );
+      if (promo.rows.length === 0) return null;
+      const chk = await client.query(
+        "SELECT 1 FROM order_items WHERE promotion_id = $1 LIMIT 1;",
+        [id]
+      );
+      if (chk.rows.length > 0) return false;
+
+      await client.query("DELETE FROM promotions WHERE id = $1;", [id]);
+      await recordAudit(client, req, {
+        entity: "promotion",
+        entityId: id,
+        action: "delete",
+        before: promo.rows[0],
+      });
+      return promo.rows[0];
+    });
+
+    if (deleted === null)
+      return res.status(404).json({ error: "Promotion not found." });
+    if (deleted === false) {
+      return res.status(409).json({
+        error:
+          "Cannot delete: sales used this promotion; set active to false instead.",
+      });
+    }
+    res.json({ message: `Deleted promotion ${deleted.name}.` });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
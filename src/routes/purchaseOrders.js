@@ -0,0 +1,453 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db/db");
+const { requireRoleByMethod } = require("../middleware/auth");
+const { validate, validationError } = require("../middleware/validate");
+const { recordAudit } = require("../services/audit");
+const {
+  checkDraft,
+  writeLines,
+  receivePurchaseOrder,
+} = require("../services/purchaseOrders");
+const { parseListParams } = require("../utils/pagination");
+
+const STATUSES = ["draft", "sent", "partially_received", "received"];
+
+// Columns a client may select with ?fields= on GET /api/purchase-orders
+const PURCHASE_ORDER_FIELDS = [
+  "id",
+  "supplier_id",
+  "supplier_name",
+  "location_id",
+  "status",
+  "notes",
+  "quantity_ordered",
+  "quantity_received",
+  "total_cost",
+  "created_at",
+  "sent_at",
+  "received_at",
+];
+
+// Request schemas (see middleware/validate.js)
+const idParams = { id: { type: "integer", required: true, min: 1 } };
+const lineItems = {
+  type: "array",
+  minLength: 1,
+  items: {
+    type: "object",
+    properties: {
+      product_id: { type: "integer", required: true, min: 1 },
+      variant_id: { type: "integer", min: 1 },
+      quantity: { type: "integer", required: true, min: 1 },
+      unit_cost: { type: "number", min: 0 },
+    },
+  },
+};
+const draftFields = {
+  supplier_id: { type: "integer", min: 1 },
+  location_id: { type: "integer", min: 1 },
+  notes: { type: "string" },
+  items: lineItems,
+};
+const validateList = validate({
+  query: {
+    status: { type: "string", enum: STATUSES },
+    supplier_id: { type: "integer", min: 1 },
+  },
+});
+const validateGet = validate({ params: idParams });
+const validateCreate = validate({
+  body: {
+    ...draftFields,
+    supplier_id: { ...draftFields.supplier_id, required: true },
+    items: { ...lineItems, required: true },
+  },
+});
+const validateUpdate = validate({ params: idParams, body: draftFields });
+const validateSend = validate({ params: idParams, body: {} });
+const validateReceive = validate({
+  params: idParams,
+  body: {
+    items: {
+      type: "array",
+      minLength: 1,
+      items: {
+        type: "object",
+        properties: {
+          product_id: { type: "integer", required: true, min: 1 },
+          variant_id: { type: "integer", min: 1 },
+          quantity: { type: "integer", required: true, min: 1 },
+        },
+      },
+    },
+  },
+});
+const validateDelete = validate({ params: idParams });
+
+// Anyone with a key can read purchase orders; clerks and admins manage them
+router.use(
+  requireRoleByMethod({
+    GET: "viewer",
+    POST: "clerk",
+    PUT: "clerk",
+    DELETE: "clerk",
+  })
+);
+
+/**
+ * Helper: load one purchase order with its lines (product info included),
+ * using `client` (db or a transaction client). Returns null if it does not exist.
+ */
+async function fetchPurchaseOrder(client, id) {
+  const poRes = await client.query(
+    `
+    SELECT
+      po.id,
+      po.supplier_id,
+      s.name AS supplier_name,
+      po.location_id,
+      po.status,
+      po.notes,
+      po.created_at,
+      po.sent_at,
+      po.received_at
+    FROM purchase_orders po
+    JOIN suppliers s ON s.id = po.supplier_id
+    WHERE po.id = $1;
+    `,
+    [id]
+  );
+  if (poRes.rows.length === 0) return null;
+  const itemsRes = await client.query(
+    `
+    SELECT
+      poi.id,
+      poi.product_id,
+      p.sku,
+      p.name AS product_name,
+      poi.variant_id,
+      v.sku AS variant_sku,
+      poi.quantity_ordered,
+      poi.quantity_received,
+      poi.unit_cost
+    FROM purchase_order_items poi
+    JOIN products p ON p.id = poi.product_id
+    LEFT JOIN product_variants v ON v.id = poi.variant_id
+    WHERE poi.purchase_order_id = $1
+    ORDER BY poi.id;
+    `,
+    [id]
+  );
+  return { ...poRes.rows[0], items: itemsRes.rows };
+}
+
+/**
+ * GET /api/purchase-orders
+ * Query params (all optional):
+ *   - status = draft | sent | partially_received | received
+ *   - supplier_id
+ *   - limit, cursor                   (keyset pagination)
+ *   - sort = created_at | id          (prefix - for descending; default -created_at)
+ *   - fields = comma-separated subset of the columns below
+ *
+ * Returns { data, next_cursor } where each row has: id, supplier_id, supplier_name,
+ * location_id, status, notes, quantity_ordered, quantity_received (summed over
+ * the lines), total_cost (lines with a unit_cost), created_at, sent_at, received_at.
+ */
+router.get("/", validateList, async (req, res, next) => {
+  const { status, supplier_id } = req.query;
+  try {
+    const list = parseListParams(req.query, {
+      sorts: {
+        created_at: { expr: "po.created_at", type: "timestamptz" },
+        id: { expr: "po.id", type: "int" },
+      },
+      defaultSort: "-created_at",
+      idExpr: "po.id",
+      fields: PURCHASE_ORDER_FIELDS,
+    });
+
+    const filters = [];
+    const values = [];
+    if (status) {
+      values.push(status);
+      filters.push(`po.status = $${values.length}`);
+    }
+    if (supplier_id != null) {
+      values.push(supplier_id);
+      filters.push(`po.supplier_id = $${values.length}`);
+    }
+    list.applyCursor(filters, values);
+
+    let queryText = `
+      SELECT
+        po.id,
+        po.supplier_id,
+        s.name AS supplier_name,
+        po.location_id,
+        po.status,
+        po.notes,
+        t.quantity_ordered,
+        t.quantity_received,
+        t.total_cost,
+        po.created_at,
+        po.sent_at,
+        po.received_at,
+        ${list.selectCursor()}
+      FROM purchase_orders po
+      JOIN suppliers s ON s.id = po.supplier_id
+      CROSS JOIN LATERAL (
+        SELECT
+          COALESCE(SUM(quantity_ordered), 0)::int AS quantity_ordered,
+          COALESCE(SUM(quantity_received), 0)::int AS quantity_received,
+          COALESCE(SUM(quantity_ordered * unit_cost), 0)::NUMERIC(14,2) AS total_cost
+        FROM purchase_order_items
+        WHERE purchase_order_id = po.id
+      ) t
+    `;
+    if (filters.length > 0) {
+      queryText += " WHERE " + filters.join(" AND ");
+    }
+    queryText += list.orderBy() + ";";
+    const result = await db.query(queryText, values);
+    res.json(list.page(result.rows));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/purchase-orders/:id
+ * Returns one purchase order with all of its lines.
+ */
+router.get("/:id", validateGet, async (req, res, next) => {
+  try {
+    const po = await fetchPurchaseOrder(db, req.params.id);
+    if (!po)
+      return res.status(404).json({ error: "Purchase order not found." });
+    res.json(po);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/purchase-orders
+ * Creates a draft purchase order. Body:
+ *   { supplier_id, items: [{ product_id, variant_id, quantity, unit_cost (optional) }, …],
+ *     location_id (optional, where the stock will arrive; default location),
+ *     notes (optional) }
+ * Each product (or, for products with variants, each variant) may appear on
+ * one line only; variant_id is required for products with variants.
+ */
+router.post("/", validateCreate, async (req, res, next) => {
+  const { supplier_id, items, notes = "" } = req.body;
+  try {
+    const created = await db.withTransaction(async (client) => {
+      const locationId = await checkDraft(client, {
+        supplierId: supplier_id,
+        locationId: req.body.location_id,
+        lines: items,
+      });
+      const ins = await client.query(
+        `INSERT INTO purchase_orders(supplier_id, location_id, notes)
+         VALUES($1, $2, $3) RETURNING id;`,
+        [supplier_id, locationId, notes]
+      );
+      const id = ins.rows[0].id;
+      await writeLines(client, id, items);
+      const po = await fetchPurchaseOrder(client, id);
+      await recordAudit(client, req, {
+        entity: "purchase_order",
+        entityId: id,
+        action: "create",
+        after: po,
+      });
+      return po;
+    });
+    res.status(201).json(created);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/purchase-orders/:id
+ * Edits a draft purchase order: any subset of { supplier_id, location_id, notes, items }.
+ * `items` replaces all of the lines. Responds 409 once the order has been sent.
+ */
+router.put("/:id", validateUpdate, async (req, res, next) => {
+  const { id } = req.params;
+  if (Object.keys(draftFields).every((f) => req.body[f] === undefined)) {
+    return next(
+      validationError([
+        {
+          in: "body",
+          field: "",
+          message: `must include at least one of: ${Object.keys(
+            draftFields
+          ).join(", ")}.`,
+        },
+      ])
+    );
+  }
+
+  try {
+    const updated = await db.withTransaction(async (client) => {
+      const lock = await client.query(
+        "SELECT status FROM purchase_orders WHERE id = $1 FOR UPDATE;",
+        [id]
+      );
+      if (lock.rows.length === 0) return null;
+      if (lock.rows[0].status !== "draft") return false;
+      const before = await fetchPurchaseOrder(client, id);
+
+      const locationId = await checkDraft(client, {
+        supplierId: req.body.supplier_id ?? before.supplier_id,
+        locationId: req.body.location_id ?? before.location_id,
+        lines: req.body.items ?? [],
+      });
+      await client.query(
+        `UPDATE purchase_orders SET supplier_id = $1, location_id = $2, notes = $3
+         WHERE id = $4;`,
+        [
+          req.body.supplier_id ?? before.supplier_id,
+          locationId,
+          req.body.notes ?? before.notes,
+          id,
+        ]
+      );
+      if (req.body.items) await writeLines(client, id, req.body.items);
+
+      const after = await fetchPurchaseOrder(client, id);
+      await recordAudit(client, req, {
+        entity: "purchase_order",
+        entityId: id,
+        action: "update",
+        before,
+        after,
+      });
+      return after;
+    });
+    if (updated === null)
+      return res.status(404).json({ error: "Purchase order not found." });
+    if (updated === false) {
+      return res
+        .status(409)
+        .json({ error: "Only draft purchase orders can be edited." });
+    }
+    res.json(updated);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/purchase-orders/:id/send
+ * Marks a draft purchase order as sent to the supplier (draft → sent).
+ * Its lines can no longer be edited; stock can now be received against it.
+ */
+router.post("/:id/send", validateSend, async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const sent = await db.withTransaction(async (client) => {
+      const before = await client.query(
+        "SELECT id, status, sent_at FROM purchase_orders WHERE id = $1 FOR UPDATE;",
+        [id]
+      );
+      if (before.rows.length === 0) return null;
+      if (before.rows[0].status !== "draft") return false;
+
+      const after = await client.query(
+        `UPDATE purchase_orders SET status = 'sent', sent_at = NOW()
+         WHERE id = $1 RETURNING id, status, sent_at;`,
+        [id]
+      );
+      await recordAudit(client, req, {
+        entity: "purchase_order",
+        entityId: id,
+        action: "update",
+        before: before.rows[0],
+        after: after.rows[0],
+      });
+      return true;
+    });
+    if (sent === null)
+      return res.status(404).json({ error: "Purchase order not found." });
+    if (sent === false) {
+      return res
+        .status(409)
+        .json({ error: "Only draft purchase orders can be sent." });
+    }
+    res.json(await fetchPurchaseOrder(db, id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/purchase-orders/:id/receive
+ * Books stock arriving against a sent purchase order. Body (optional):
+ *   { items: [{ product_id, variant_id (for variant lines), quantity }, …] }
+ * Without items, everything still outstanding is received.
+ * In one transaction this increments inventory at the order's location,
+ * writes inventory_history rows tagged with the purchase order id, and moves
+ * the order to partially_received or, once every line is complete, received.
+ * Responds 409 if the order is not sent yet or already received, or a
+ * quantity exceeds what is outstanding on its line.
+ */
+router.post("/:id/receive", validateReceive, async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const found = await db.withTransaction((client) =>
+      receivePurchaseOrder(client, req, id, req.body.items ?? null)
+    );
+    if (!found)
+      return res.status(404).json({ error: "Purchase order not found." });
+    res.json(await fetchPurchaseOrder(db, id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/purchase-orders/:id
+ * Deletes a draft purchase order. Sent orders are kept (409).
+ */
+router.delete("/:id", validateDelete, async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    // Returns the deleted order, null if not found, or false if it was sent
+    const deleted = await db.withTransaction(async (client) => {
+      const lock = await client.query(
+        "SELECT status FROM purchase_orders WHERE id = $1 FOR UPDATE;",
+        [id]
+      );
+      if (lock.rows.length === 0) return null;
+      if (lock.rows[0].status !== "draft") return false;
+
+      const before = await fetchPurchaseOrder(client, id);
+      await client.query("DELETE FROM purchase_orders WHERE id = $1;", [id]);
+      await recordAudit(client, req, {
+        entity: "purchase_order",
+        entityId: id,
+        action: "delete",
+        before,
+      });
+      return before;
+    });
+    if (deleted === null)
+      return res.status(404).json({ error: "Purchase order not found." });
+    if (deleted === false) {
+      return res
+        .status(409)
+        .json({ error: "Only draft purchase orders can be deleted." });
+    }
+    res.json({ message: `Deleted purchase order ${deleted.id}.` });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,162 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../db/db");
+const { requireRoleByMethod } = require("../middleware/auth");
+const { createOrder, auditOrder } = require("../services/orders");
+const { createRefund } = require("../services/refunds");
+const { parseListParams } = require("../utils/pagination");
+const { validate, validationError } = require("../middleware/validate");
+const { DEFAULT_TIMEZONE, localMidnightSql } = require("../utils/dates");
+const { DEFAULT_CURRENCY } = require("../utils/currency");
+const {
+  PERIODS,
+  parseBucketInterval,
+  saleFilterSql,
+  reportRowsSql,
+  marginSql,
+  checkExchangeRates,
+  aggregateSales,
+  rangeTotals,
+} = require("../services/salesReports");
 
-/**
- * Helper: parse YYYY-MM-DD into a JS Date at midnight UTC.
- * If invalid, returns null.
- */
-function parseDate(dateStr) {
-  if (!dateStr) return null;
-  const d = new Date(dateStr);
-  return isNaN(d.getTime()) ? null : d;
-}
+// Request schemas (see middleware/validate.js)
+const saleFilters = {
+  startDate: { type: "date" },
+  endDate: { type: "date" },
+  product_id: { type: "integer", min: 1 },
+  category_id: { type: "integer", min: 1 },
+  include_descendants: { type: "boolean" },
+  tz: { type: "timezone" },
+};
+// The currency reports convert amounts to
+const reportCurrency = { type: "currency" };
+const validateList = validate({
+  query: { ...saleFilters, variant_id: { type: "integer", min: 1 } },
+});
+const validateAggregate = validate({
+  query: {
+    ...saleFilters,
+    period: {
+      type: "string",
+      enum: ["daily", "weekly", "monthly", "quarterly", "yearly"],
+    },
+    interval: { type: "string", maxLength: 20 },
+    group_by: { type: "string", enum: ["category", "product"] },
+    currency: reportCurrency,
+  },
+});
+const validateComparison = validate({
+  query: {
+    range1_start: { type: "date", required: true },
+    range1_end: { type: "date", required: true },
+    range2_start: { type: "date", required: true },
+    range2_end: { type: "date", required: true },
+    product_id: saleFilters.product_id,
+    category_id: saleFilters.category_id,
+    tz: saleFilters.tz,
+    currency: reportCurrency,
+  },
+});
+const validateTop = validate({
+  query: {
+    startDate: { ...saleFilters.startDate, required: true },
+    endDate: { ...saleFilters.endDate, required: true },
+    category_id: saleFilters.category_id,
+    tz: saleFilters.tz,
+    by: { type: "string", enum: ["revenue", "units"] },
+    group_by: { type: "string", enum: ["product", "category"] },
+    limit: { type: "integer", min: 1, max: 100 },
+    currency: reportCurrency,
+  },
+});
+const validateCreate = validate({
+  body: {
+    product_id: { type: "integer", required: true, min: 1 },
+    variant_id: { type: "integer", min: 1 },
+    quantity: { type: "integer", required: true, min: 1 },
+    sale_date: { type: "datetime" },
+    location_id: { type: "integer", min: 1 },
+    coupon_code: { type: "string", minLength: 1, maxLength: 50 },
+    tax_region: { type: "string", minLength: 1, maxLength: 20 },
+  },
+});
+const validateRefund = validate({
+  params: { id: { type: "integer", required: true, min: 1 } },
+  body: {
+    quantity: { type: "integer", required: true, min: 1 },
+    restock: { type: "boolean" },
+  },
+});
+
+// What GET /api/sales/top ranks: the key sales are grouped by, the rows that
+// take part in the ranking (so items without sales rank last) and their columns
+const RANKINGS = {
+  product: {
+    key: "p.id",
+    id: "p.id",
+    columns:
+      "p.id AS product_id, p.name AS product_name, p.category_id, c.name AS category_name",
+    from: "products p LEFT JOIN categories c ON p.category_id = c.id",
+    categoryColumn: "p.category_id",
+    createdColumn: "p.created_at",
+    archivedColumn: "p.archived_at",
+  },
+  category: {
+    key: "p.category_id",
+    id: "c.id",
+    columns: "c.id AS category_id, c.name AS category_name",
+    from: "categories c",
+    categoryColumn: "c.id",
+    createdColumn: "c.created_at",
+    archivedColumn: "c.archived_at",
+  },
+};
+
+// Columns the ranking query uses internally, left out of the response rows
+const RANKING_INTERNAL_COLUMNS = [
+  "best_pos",
+  "worst_pos",
+  "all_revenue",
+  "all_quantity",
+  "previous_all_revenue",
+  "previous_all_quantity",
+  "all_cogs",
+  "all_gross_profit",
+  "all_margin_percent",
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Columns a client may select with ?fields= on GET /api/sales
+const SALE_FIELDS = [
+  "id",
+  "order_id",
+  "product_id",
+  "product_name",
+  "variant_id",
+  "variant_sku",
+  "category_id",
+  "category_name",
+  "quantity",
+  "currency",
+  "total_price",
+  "promotion_id",
+  "discount_amount",
+  "tax_region",
+  "tax_rate",
+  "tax_amount",
+  "total_incl_tax",
+  "sale_date",
+  "backorder_qty",
+  "refunded_qty",
+  "refunded_amount",
+  "refunded_tax",
+  "unit_cost",
+  "location_id",
+];
+
+// Anyone with a key can read reports; clerks and admins record sales
+router.use(requireRoleByMethod({ GET: "viewer", POST: "clerk" }));
 
 /**
  * GET /api/sales
@@ -18,69 +164,77 @@ function parseDate(dateStr) {
  *   - startDate (YYYY-MM-DD)
  *   - endDate (YYYY-MM-DD)
  *   - product_id
+ *   - variant_id
  *   - category_id
+ *   - include_descendants=true (with category_id: also its subcategories)
+ *   - tz (IANA time zone name; the days startDate/endDate cover, default BUSINESS_TIMEZONE)
+ *   - limit, cursor                                   (keyset pagination)
+ *   - sort = sale_date | total_price | quantity | id  (prefix - for descending; default -sale_date)
+ *   - fields = comma-separated subset of the sale columns
  *
- * Returns a list of sales rows with product & category info.
+ * Returns { data: [sales rows with product & category info…], next_cursor }.
  */
-router.get("/", async (req, res, next) => {
-  const { startDate, endDate, product_id, category_id } = req.query;
+router.get("/", validateList, async (req, res, next) => {
   try {
-    const filters = [];
-    const values = [];
-    let idx = 1;
+    const list = parseListParams(req.query, {
+      sorts: {
+        sale_date: { expr: "s.sale_date", type: "timestamptz" },
+        total_price: { expr: "s.total_price", type: "numeric" },
+        quantity: { expr: "s.quantity", type: "int" },
+        id: { expr: "s.id", type: "int" },
+      },
+      defaultSort: "-sale_date",
+      idExpr: "s.id",
+      fields: SALE_FIELDS,
+    });
 
-    if (startDate) {
-      const d = parseDate(startDate);
-      if (!d)
-        return res.status(400).json({ error: "Invalid startDate format." });
-      filters.push(`sale_date >= $${idx++}`);
-      values.push(d);
-    }
-    if (endDate) {
-      const d = parseDate(endDate);
-      if (!d) return res.status(400).json({ error: "Invalid endDate format." });
-      // add 1 day to include the entire endDate
-      const nextDay = new Date(d);
-      nextDay.setDate(nextDay.getDate() + 1);
-      filters.push(`sale_date < $${idx++}`);
-      values.push(nextDay);
-    }
-    if (product_id) {
-      const pid = parseInt(product_id, 10);
-      if (isNaN(pid))
-        return res.status(400).json({ error: "Invalid product_id." });
-      filters.push(`s.product_id = $${idx++}`);
-      values.push(pid);
-    }
-    if (category_id) {
-      const cid = parseInt(category_id, 10);
-      if (isNaN(cid))
-        return res.status(400).json({ error: "Invalid category_id." });
-      filters.push(`p.category_id = $${idx++}`);
-      values.push(cid);
+    const values = [];
+    const filters = saleFilterSql(req.query, values);
+    if (req.query.variant_id) {
+      values.push(req.query.variant_id);
+      filters.push(`s.variant_id = $${values.length}`);
     }
+    list.applyCursor(filters, values);
 
     let queryText = `
       SELECT
         s.id,
+        s.order_id,
         s.product_id,
         p.name AS product_name,
+        s.variant_id,
+        v.sku AS variant_sku,
         p.category_id,
         c.name AS category_name,
         s.quantity,
+        s.currency,
         s.total_price,
-        s.sale_date
+        s.promotion_id,
+        s.discount_amount,
+        s.tax_region,
+        s.tax_rate,
+        s.tax_amount,
+        s.total_incl_tax,
+        s.sale_date,
+        s.backorder_qty,
+        s.refunded_qty,
+        s.refunded_amount,
+        s.refunded_tax,
+        s.unit_cost,
+        s.location_id,
+        ${list.selectCursor()}
       FROM sales s
       JOIN products p ON s.product_id = p.id
+      LEFT JOIN product_variants v ON s.variant_id = v.id
       LEFT JOIN categories c ON p.category_id = c.id
     `;
     if (filters.length > 0) {
       queryText += " WHERE " + filters.join(" AND ");
     }
-    queryText += " ORDER BY s.sale_date DESC;";
+    queryText += list.orderBy() + ";";
 
     const result = await db.query(queryText, values);
-    res.json(result.rows);
+    res.json(list.page(result.rows));
   } catch (err) {
     next(err);
   }
@@ -89,98 +243,74 @@ router.get("/", async (req, res, next) => {
 /**
  * GET /api/sales/aggregate
  * Query params:
- *   - period = daily | weekly | monthly | yearly   (required)
+ *   - period = daily | weekly | monthly | quarterly | yearly
+ *     or interval = '<n> hours|days|weeks|months|quarters|years'  (exactly one of the two)
  *   - startDate, endDate                        (optional)
  *   - category_id, product_id                    (optional)
+ *   - include_descendants=true                  (optional, with category_id: also its subcategories)
+ *   - group_by = category | product             (optional)
+ *   - tz (IANA time zone name; default BUSINESS_TIMEZONE) (optional)
+ *   - currency (three-letter code amounts are reported in; default DEFAULT_CURRENCY) (optional)
  *
- * Returns: [{ period_label, total_revenue, total_quantity }…]
- *  e.g., period_label = '2025-05-01' for daily, '2025-W18' for weekly, '2025-05' for monthly, '2025' for yearly.
+ * Dates and buckets are calendar days, weeks, months and years in tz. Every
+ * bucket from startDate (or the first sale) to endDate (or the last sale) is
+ * returned, with zeros where nothing sold.
+ * Returns: [{ period_label, period_start, total_revenue, total_quantity, gross_revenue, discount_amount,
+ *             net_revenue, refunded_revenue, refunded_quantity, cogs, gross_profit, margin_percent }…]
+ *  newest first, where gross_revenue is before promotion discounts, net_revenue = gross_revenue - discount_amount
+ *  and total_* are net of discounts and refunds (refunds count against the period of the original sale),
+ *  cogs is the cost of the units sold less those refunded (at the unit_cost each sale recorded),
+ *  gross_profit = total_revenue - cogs and margin_percent = gross_profit / total_revenue * 100
+ *  (null without revenue),
+ *  all excluding tax and converted to currency at the exchange rate of each sale's day
+ *  (409 if a sale's currency has none, see /api/exchange-rates),
+ *  e.g., period_label = '2025-05-01' for daily, '2025-18' for weekly, '2025-05' for monthly,
+ *  '2025-Q2' for quarterly, '2025' for yearly.
+ * With group_by, returns one such series per category (or product) that sold in the range:
+ *   [{ category_id, category_name, series: [...] }…]   or   [{ product_id, product_name, series: [...] }…]
+ * Sums come from the daily rollups unless tz differs from theirs or buckets split days
+ * (see services/salesReports.js).
  */
-router.get("/aggregate", async (req, res, next) => {
-  let { period, startDate, endDate, category_id, product_id } = req.query;
-  if (!period || !["daily", "weekly", "monthly", "yearly"].includes(period)) {
-    return res
-      .status(400)
-      .json({
-        error:
-          "period is required and must be one of: daily, weekly, monthly, yearly.",
-      });
-  }
-  try {
-    const filters = [];
-    const values = [];
-    let idx = 1;
+router.get("/aggregate", validateAggregate, async (req, res, next) => {
+  const { period, interval } = req.query;
 
-    if (startDate) {
-      const d = parseDate(startDate);
-      if (!d) return res.status(400).json({ error: "Invalid startDate." });
-      filters.push(`sale_date >= $${idx++}`);
-      values.push(d);
-    }
-    if (endDate) {
-      const d = parseDate(endDate);
-      if (!d) return res.status(400).json({ error: "Invalid endDate." });
-      const nextDay = new Date(d);
-      nextDay.setDate(nextDay.getDate() + 1);
-      filters.push(`sale_date < $${idx++}`);
-      values.push(nextDay);
-    }
-    if (product_id) {
-      const pid = parseInt(product_id, 10);
-      if (isNaN(pid))
-        return res.status(400).json({ error: "Invalid product_id." });
-      filters.push(`s.product_id = $${idx++}`);
-      values.push(pid);
-    }
-    if (category_id) {
-      const cid = parseInt(category_id, 10);
-      if (isNaN(cid))
-        return res.status(400).json({ error: "Invalid category_id." });
-      filters.push(`p.category_id = $${idx++}`);
-      values.push(cid);
-    }
-
-    // Build GROUP BY expression depending on period
-    let groupByExpr, labelExpr;
-    switch (period) {
-      case "daily":
-        groupByExpr = `DATE(s.sale_date)`;
-        labelExpr = `TO_CHAR(DATE(s.sale_date), 'YYYY-MM-DD')`;
-        break;
-      case "weekly":
-        // ISO week
-        groupByExpr = `TO_CHAR(s.sale_date, 'IYYY-IW')`;
-        labelExpr = `TO_CHAR(s.sale_date, 'IYYY-IW')`;
-        break;
-      case "monthly":
-        groupByExpr = `TO_CHAR(s.sale_date, 'YYYY-MM')`;
-        labelExpr = `TO_CHAR(s.sale_date, 'YYYY-MM')`;
-        break;
-      case "yearly":
-        groupByExpr = `TO_CHAR(s.sale_date, 'YYYY')`;
-        labelExpr = `TO_CHAR(s.sale_date, 'YYYY')`;
-        break;
-    }
-
-    let queryText = `
-      SELECT
-        ${labelExpr} AS period_label,
-        SUM(s.total_price)::NUMERIC(14,2) AS total_revenue,
-        SUM(s.quantity) AS total_quantity
-      FROM sales s
-      JOIN products p ON s.product_id = p.id
-      LEFT JOIN categories c ON p.category_id = c.id
-    `;
-    if (filters.length > 0) {
-      queryText += " WHERE " + filters.join(" AND ");
+  let bucketing;
+  if (period != null && interval != null) {
+    return next(
+      validationError([
+        {
+          in: "query",
+          field: "interval",
+          message: "cannot be combined with period.",
+        },
+      ])
+    );
+  } else if (period != null) {
+    bucketing = PERIODS[period];
+  } else if (interval != null) {
+    bucketing = parseBucketInterval(interval);
+    if (!bucketing) {
+      return next(
+        validationError([
+          {
+            in: "query",
+            field: "interval",
+            message:
+              "must be a count and a unit: hours, days, weeks, months, quarters or years (e.g. '6 hours', '2 weeks').",
+          },
+        ])
+      );
     }
-    queryText += `
-      GROUP BY ${groupByExpr}
-      ORDER BY ${groupByExpr} DESC;
-    `;
+  } else {
+    return next(
+      validationError([
+        { in: "query", field: "period", message: "is required." },
+      ])
+    );
+  }
 
-    const result = await db.query(queryText, values);
-    res.json(result.rows);
+  try {
+    res.json(await aggregateSales(db, { ...req.query, bucketing }));
   } catch (err) {
     next(err);
   }
@@ -191,105 +321,250 @@ router.get("/aggregate", async (req, res, next) => {
  * Compare revenue between two date ranges (and optionally category/product).
  * Query params (all required):
  *   range1_start, range1_end, range2_start, range2_end  (YYYY-MM-DD)
- *   Optionally: category_id or product_id
+ *   Optionally: category_id or product_id, tz (IANA time zone name the
+ *   dates are days in; default BUSINESS_TIMEZONE) and currency (default
+ *   DEFAULT_CURRENCY)
  *
- * Returns:
+ * Returns (total_* net of discounts and refunds, in currency, as in /aggregate):
  * {
- *   range1: { start: '2025-01-01', end: '2025-01-31', total_revenue: 1234.56, total_quantity: 789 },
- *   range2: { start: '2024-01-01', end: '2024-01-31', total_revenue: 2345.67, total_quantity: 890 }
+ *   tz: 'UTC', currency: 'USD',
+ *   range1: { start: '2025-01-01', end: '2025-01-31', total_revenue: 1234.56, total_quantity: 789,
+ *             gross_revenue: 1350.00, discount_amount: 50.00, net_revenue: 1300.00,
+ *             refunded_revenue: 65.44, refunded_quantity: 3, cogs: 700.00,
+ *             gross_profit: 534.56, margin_percent: 43.3 },
+ *   range2: { start: '2024-01-01', end: '2024-01-31', … }
  * }
  */
-router.get("/comparison", async (req, res, next) => {
-  let {
+router.get("/comparison", validateComparison, async (req, res, next) => {
+  const {
     range1_start,
     range1_end,
     range2_start,
     range2_end,
     category_id,
     product_id,
+    tz = DEFAULT_TIMEZONE,
+    currency = DEFAULT_CURRENCY,
   } = req.query;
 
-  // Validate dates
-  const r1s = parseDate(range1_start);
-  const r1e = parseDate(range1_end);
-  const r2s = parseDate(range2_start);
-  const r2e = parseDate(range2_end);
-  if (!r1s || !r1e || !r2s || !r2e) {
-    return res
-      .status(400)
-      .json({ error: "All four date params must be valid YYYY-MM-DD." });
-  }
   // For comparison, we treat ranges as inclusive: sale_date >= start AND sale_date < (end + 1 day)
   try {
-    // Build dynamic filters part
-    const baseFilters = [];
-    const values = [];
-    let idx = 1;
+    const getRangeTotals = (startDate, endDate) =>
+      rangeTotals(db, {
+        startDate,
+        endDate,
+        category_id,
+        product_id,
+        tz,
+        currency,
+      });
 
-    if (category_id) {
-      const cid = parseInt(category_id, 10);
-      if (isNaN(cid))
-        return res.status(400).json({ error: "Invalid category_id." });
-      baseFilters.push(`p.category_id = $${idx++}`);
-      values.push(cid);
-    }
-    if (product_id) {
-      const pid = parseInt(product_id, 10);
-      if (isNaN(pid))
-        return res.status(400).json({ error: "Invalid product_id." });
-      baseFilters.push(`s.product_id = $${idx++}`);
-      values.push(pid);
-    }
+    const range1Totals = await getRangeTotals(range1_start, range1_end);
+    const range2Totals = await getRangeTotals(range2_start, range2_end);
 
-    // Helper to compute sum for a given range
-    async function getRangeTotals(startD, endD) {
-      const filters = [...baseFilters];
-      const vals = [...values];
-      let localIdx = idx;
+    res.json({
+      tz,
+      currency,
+      range1: { start: range1_start, end: range1_end, ...range1Totals },
+      range2: { start: range2_start, end: range2_end, ...range2Totals },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/sales/top
+ * Query params:
+ *   - startDate, endDate (YYYY-MM-DD)       (required)
+ *   - by = revenue | units                   (optional, default revenue)
+ *   - group_by = product | category          (optional, default product)
+ *   - category_id                            (optional, only that category's products)
+ *   - tz (IANA time zone name)               (optional, default BUSINESS_TIMEZONE)
+ *   - limit = 1-100                          (optional, default 10)
+ *   - currency                               (optional, default DEFAULT_CURRENCY)
+ *
+ * Ranks products (or categories) by net revenue (excluding tax, converted to currency
+ * as in /aggregate) or units sold in the range and
+ * in the previous period of the same length that ends the day before startDate.
+ * Items with no sales take part, so the worst sellers include ones that did not sell
+ * (archived products and categories only take part if they sold in the range).
+ * Returns:
+ * {
+ *   start, end, previous_start, previous_end, tz, currency, by, group_by,
+ *   total_revenue, total_quantity, previous_total_revenue, previous_total_quantity,
+ *   total_cogs, total_gross_profit, total_margin_percent,
+ *   best:  [{ product_id, product_name, category_id, category_name,   (or category_id, category_name)
+ *             total_revenue, total_quantity, share_of_revenue, cogs, gross_profit, margin_percent,
+ *             previous_total_revenue, previous_total_quantity, previous_share_of_revenue,
+ *             rank, previous_rank, rank_change }…],   best first
+ *   worst: [ … ]                                       worst first
+ * }
+ * share_of_revenue is the fraction of the range's net revenue (null if there was none);
+ * cogs, gross_profit and margin_percent are for the range, as in /aggregate;
+ * rank_change = previous_rank - rank, so a positive number means the item climbed.
+ */
+router.get("/top", validateTop, async (req, res, next) => {
+  const {
+    startDate,
+    endDate,
+    category_id,
+    tz = DEFAULT_TIMEZONE,
+    by = "revenue",
+    group_by: groupBy = "product",
+    limit = 10,
+    currency = DEFAULT_CURRENCY,
+  } = req.query;
 
-      // sale_date >= startD
-      filters.push(`s.sale_date >= $${localIdx++}`);
-      vals.push(startD);
-      // sale_date < endD + 1 day
-      const ed = new Date(endD);
-      ed.setDate(ed.getDate() + 1);
-      filters.push(`s.sale_date < $${localIdx++}`);
-      vals.push(ed);
+  // The previous period has as many days and ends the day before startDate
+  const start = new Date(`${startDate}T00:00:00Z`);
+  const end = new Date(`${endDate}T00:00:00Z`);
+  if (end < start) {
+    return next(
+      validationError([
+        {
+          in: "query",
+          field: "endDate",
+          message: "must not be before startDate.",
+        },
+      ])
+    );
+  }
+  const days = Math.round((end - start) / DAY_MS) + 1;
+  const previousEnd = new Date(start.getTime() - DAY_MS);
+  const previousStart = new Date(previousEnd.getTime() - (days - 1) * DAY_MS);
+  const ymd = (d) => d.toISOString().slice(0, 10);
 
-      let q = `
-        SELECT
-          SUM(s.total_price)::NUMERIC(14,2) AS total_revenue,
-          SUM(s.quantity) AS total_quantity
-        FROM sales s
-        JOIN products p ON s.product_id = p.id
-      `;
-      if (filters.length > 0) {
-        q += " WHERE " + filters.join(" AND ");
-      }
+  try {
+    const periods = [
+      { startDate, endDate, category_id, tz, currency },
+      {
+        startDate: ymd(previousStart),
+        endDate: ymd(previousEnd),
+        category_id,
+        tz,
+        currency,
+      },
+    ];
+    for (const period of periods) {
+      const rateValues = [];
+      const rowsSql = reportRowsSql(period, rateValues, { fromRollups: false });
+      await checkExchangeRates(db, rowsSql, rateValues, currency);
+    }
 
-      const r = await db.query(q, vals);
-      return {
-        total_revenue: r.rows[0].total_revenue || 0,
-        total_quantity: parseInt(r.rows[0].total_quantity || 0, 10),
-      };
+    const ranking = RANKINGS[groupBy];
+    const metric = by === "units" ? "units" : "revenue";
+    const values = [tz, currency];
+    const periodSql = (filters) => `
+      SELECT
+        ${ranking.key} AS key,
+        SUM((s.total_price - s.refunded_amount) * x.rate) AS revenue,
+        SUM(s.quantity - s.refunded_qty) AS units,
+        SUM(COALESCE(s.unit_cost, 0) * (s.quantity - s.refunded_qty) * x.rate) AS cost
+      FROM sales s
+      JOIN products p ON s.product_id = p.id
+      CROSS JOIN LATERAL (
+        SELECT exchange_rate_at(s.currency, $2, (s.sale_date AT TIME ZONE $1)::date) AS rate
+      ) x
+      WHERE ${filters.join(" AND ")}
+      GROUP BY ${ranking.key}
+    `;
+    const curSql = periodSql(saleFilterSql(periods[0], values));
+    const prevSql = periodSql(saleFilterSql(periods[1], values));
+    // Items created after the range only take part if they sold in it
+    values.push(endDate, tz);
+    const rangeEnd = localMidnightSql(
+      `$${values.length - 1}::date + 1`,
+      `$${values.length}`
+    );
+    // and archived ones likewise
+    const where = [
+      `(${ranking.createdColumn} < ${rangeEnd} OR cur.key IS NOT NULL)`,
+      `(${ranking.archivedColumn} IS NULL OR cur.key IS NOT NULL)`,
+    ];
+    if (category_id != null) {
+      values.push(category_id);
+      where.push(`${ranking.categoryColumn} = $${values.length}`);
     }
+    values.push(limit);
+    const limitParam = `$${values.length}`;
 
-    const range1Totals = await getRangeTotals(r1s, r1e);
-    const range2Totals = await getRangeTotals(r2s, r2e);
+    const id = ranking.id;
+    const curRevenue = "COALESCE(cur.revenue, 0)";
+    const prevRevenue = "COALESCE(prev.revenue, 0)";
+    const allRevenue = "COALESCE(SUM(cur.revenue) OVER (), 0)::NUMERIC(14,2)";
+    const allCogs = "COALESCE(SUM(cur.cost) OVER (), 0)::NUMERIC(14,2)";
+    const curMetric = `COALESCE(cur.${metric}, 0)`;
+    const prevMetric = `COALESCE(prev.${metric}, 0)`;
+    const result = await db.query(
+      `
+      WITH cur AS (${curSql}), prev AS (${prevSql}),
+      ranked AS (
+        SELECT
+          ${ranking.columns},
+          ${curRevenue}::NUMERIC(14,2) AS total_revenue,
+          COALESCE(cur.units, 0)::int AS total_quantity,
+          ROUND(${curRevenue} / NULLIF(SUM(cur.revenue) OVER (), 0), 4)::float8 AS share_of_revenue,
+          ${marginSql(
+            `${curRevenue}::NUMERIC(14,2)`,
+            "COALESCE(cur.cost, 0)::NUMERIC(14,2)"
+          )},
+          ${prevRevenue}::NUMERIC(14,2) AS previous_total_revenue,
+          COALESCE(prev.units, 0)::int AS previous_total_quantity,
+          ROUND(${prevRevenue} / NULLIF(SUM(prev.revenue) OVER (), 0), 4)::float8 AS previous_share_of_revenue,
+          RANK() OVER (ORDER BY ${curMetric} DESC)::int AS rank,
+          RANK() OVER (ORDER BY ${prevMetric} DESC)::int AS previous_rank,
+          ROW_NUMBER() OVER (ORDER BY ${curMetric} DESC, ${id})::int AS best_pos,
+          ROW_NUMBER() OVER (ORDER BY ${curMetric} ASC, ${id} DESC)::int AS worst_pos,
+          ${allRevenue} AS all_revenue,
+          COALESCE(SUM(cur.units) OVER (), 0)::int AS all_quantity,
+          ${allCogs} AS all_cogs,
+          ${allRevenue} - ${allCogs} AS all_gross_profit,
+          ROUND((${allRevenue} - ${allCogs}) / NULLIF(${allRevenue}, 0) * 100, 2)::float8 AS all_margin_percent,
+          COALESCE(SUM(prev.revenue) OVER (), 0)::NUMERIC(14,2) AS previous_all_revenue,
+          COALESCE(SUM(prev.units) OVER (), 0)::int AS previous_all_quantity
+        FROM ${ranking.from}
+        LEFT JOIN cur ON cur.key = ${id}
+        LEFT JOIN prev ON prev.key = ${id}
+        WHERE ${where.join(" AND ")}
+      )
+      SELECT * FROM ranked
+      WHERE best_pos <= ${limitParam} OR worst_pos <= ${limitParam};
+      `,
+      values
+    );
 
+    const rows = result.rows;
+    const item = (r) => {
+      const out = { ...r, rank_change: r.previous_rank - r.rank };
+      for (const col of RANKING_INTERNAL_COLUMNS) delete out[col];
+      return out;
+    };
+    const first = rows[0] || {};
     res.json({
-      range1: {
-        start: range1_start,
-        end: range1_end,
-        total_revenue: range1Totals.total_revenue,
-        total_quantity: range1Totals.total_quantity,
-      },
-      range2: {
-        start: range2_start,
-        end: range2_end,
-        total_revenue: range2Totals.total_revenue,
-        total_quantity: range2Totals.total_quantity,
-      },
+      start: startDate,
+      end: endDate,
+      previous_start: ymd(previousStart),
+      previous_end: ymd(previousEnd),
+      tz,
+      currency,
+      by,
+      group_by: groupBy,
+      total_revenue: first.all_revenue || "0.00",
+      total_quantity: first.all_quantity || 0,
+      previous_total_revenue: first.previous_all_revenue || "0.00",
+      previous_total_quantity: first.previous_all_quantity || 0,
+      total_cogs: first.all_cogs || "0.00",
+      total_gross_profit: first.all_gross_profit || "0.00",
+      total_margin_percent: first.all_margin_percent ?? null,
+      best: rows
+        .filter((r) => r.best_pos <= limit)
+        .sort((a, b) => a.best_pos - b.best_pos)
+        .map(item),
+      worst: rows
+        .filter((r) => r.worst_pos <= limit)
+        .sort((a, b) => a.worst_pos - b.worst_pos)
+        .map(item),
     });
   } catch (err) {
     next(err);
@@ -299,84 +574,82 @@ router.get("/comparison", async (req, res, next) => {
 /**
  * POST /api/sales
  * Manually record a new sale (for testing/demo). Body:
- *   { product_id, quantity, sale_date (optional, defaults to NOW) }
- * This will:
- *   - Insert into sales (calculating total_price = quantity * product.price).
- *   - Update inventory (subtract quantity), never below zero.
- *   - Insert a row into inventory_history.
+ *   { product_id, quantity, sale_date (optional, defaults to NOW),
+ *     variant_id (required for products with variants),
+ *     location_id (optional, stock is taken from the default location otherwise),
+ *     coupon_code (optional, see /api/promotions),
+ *     tax_region (optional, taxes the sale for that region instead of the location's) }
+ * The sale is stored as a single-line order (see POST /api/orders), which:
+ *   - Inserts into orders/order_items (total_price = quantity * the variant's price override,
+ *     or else the product's price at sale_date, less the discount_amount of the
+ *     promotion_id applied), in the product's currency, plus tax_amount at the tax_rate
+ *     of the sale's tax_region and product category (total_incl_tax = total_price + tax_amount;
+ *     see /api/tax-rates), and the product's unit_cost at the time.
+ *   - Updates inventory (subtract quantity) under the configured STOCK_POLICY.
+ *   - Inserts a row into inventory_history.
  */
-router.post("/", async (req, res, next) => {
-  const { product_id, quantity, sale_date } = req.body;
-  if (!product_id || isNaN(parseInt(product_id, 10))) {
-    return res.status(400).json({ error: "Valid product_id is required." });
-  }
-  if (
-    !quantity ||
-    isNaN(parseInt(quantity, 10)) ||
-    parseInt(quantity, 10) <= 0
-  ) {
-    return res
-      .status(400)
-      .json({ error: "quantity must be a positive integer." });
-  }
-  let saleDate = sale_date ? new Date(sale_date) : new Date();
-  if (isNaN(saleDate.getTime())) {
-    return res.status(400).json({ error: "Invalid sale_date format." });
-  }
+router.post("/", validateCreate, async (req, res, next) => {
+  const {
+    product_id: productId,
+    variant_id: variantId,
+    quantity: qty,
+    location_id: locationId,
+    coupon_code: couponCode,
+    tax_region: taxRegion,
+  } = req.body;
+  const saleDate = req.body.sale_date || new Date();
 
   try {
-    // 1. Fetch product price and current inventory
-    const pRes = await db.query("SELECT price FROM products WHERE id = $1;", [
-      product_id,
-    ]);
-    if (pRes.rows.length === 0)
-      return res.status(404).json({ error: "Product not found." });
-    const price = parseFloat(pRes.rows[0].price);
-    const totPrice = (price * parseInt(quantity, 10)).toFixed(2);
-
-    // 2. Insert into sales
-    const insSale = await db.query(
-      `INSERT INTO sales(product_id, quantity, total_price, sale_date)
-       VALUES($1, $2, $3, $4) RETURNING id;`,
-      [product_id, quantity, totPrice, saleDate]
-    );
-    const saleId = insSale.rows[0].id;
-
-    // 3. Get current inventory (FOR UPDATE lock if concurrent)
-    const invRes = await db.query(
-      "SELECT quantity FROM inventory WHERE product_id = $1 FOR UPDATE;",
-      [product_id]
-    );
-    let currQty = invRes.rows[0]?.quantity || 0;
-    const newQty = Math.max(0, currQty - parseInt(quantity, 10));
-
-    // 4. Update inventory table
-    await db.query(
-      `UPDATE inventory SET quantity = $1, updated_at = NOW() WHERE product_id = $2;`,
-      [newQty, product_id]
-    );
-
-    // 5. Insert into inventory_history
-    await db.query(
-      `INSERT INTO inventory_history(product_id, change_qty, previous_qty, new_qty)
-       VALUES($1, $2, $3, $4);`,
-      [product_id, -parseInt(quantity, 10), currQty, newQty]
-    );
+    // A sale is recorded as a single-line order
+    const saleId = await db.withTransaction(async (client) => {
+      const order = await createOrder(
+        client,
+        [
+          {
+            product_id: productId,
+            variant_id: variantId,
+            quantity: qty,
+            location_id: locationId,
+          },
+        ],
+        saleDate,
+        { couponCode, taxRegion }
+      );
+      await auditOrder(client, req, order, saleDate);
+      return order.itemIds[0];
+    });
 
-    // 6. Return the newly created sale record
+    // Return the newly created sale record
     const fullSale = await db.query(
       `
       SELECT
         s.id,
+        s.order_id,
         s.product_id,
         p.name AS product_name,
+        s.variant_id,
+        v.sku AS variant_sku,
         p.category_id,
         c.name AS category_name,
         s.quantity,
+        s.currency,
         s.total_price,
-        s.sale_date
+        s.promotion_id,
+        s.discount_amount,
+        s.tax_region,
+        s.tax_rate,
+        s.tax_amount,
+        s.total_incl_tax,
+        s.sale_date,
+        s.backorder_qty,
+        s.refunded_qty,
+        s.refunded_amount,
+        s.refunded_tax,
+        s.unit_cost,
+        s.location_id
       FROM sales s
       JOIN products p ON s.product_id = p.id
+      LEFT JOIN product_variants v ON s.variant_id = v.id
       LEFT JOIN categories c ON p.category_id = c.id
       WHERE s.id = $1;
       `,
@@ -388,4 +661,28 @@ router.post("/", async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/sales/:id/refunds
+ * Refund some or all units of a sale. Body:
+ *   { quantity, restock (optional, default false) }
+ * The refund is worth the sale's total_price (after any discount) shared
+ * evenly over its units, times quantity, and returns the same share of its
+ * tax_amount. With restock: true the
+ * units go back into inventory, with an inventory_history row tagged refund_id.
+ * A sale can be refunded in several parts, up to its original quantity.
+ */
+router.post("/:id/refunds", validateRefund, async (req, res, next) => {
+  const { id } = req.params;
+  const { quantity, restock = false } = req.body;
+  try {
+    const refund = await db.withTransaction((client) =>
+      createRefund(client, req, id, quantity, { restock })
+    );
+    if (!refund) return res.status(404).json({ error: "Sale not found." });
+    res.status(201).json(refund);
+  } catch (err) {
+    next(err);
+  }
+});
+
 module.exports = router;
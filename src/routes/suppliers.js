@@ -0,0 +1,216 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db/db");
+const { requireRoleByMethod } = require("../middleware/auth");
+const { validate, validationError } = require("../middleware/validate");
+const { recordAudit } = require("../services/audit");
+
+const SUPPLIER_COLUMNS = "id, name, email, phone, created_at";
+
+// Request schemas (see middleware/validate.js)
+const idParams = { id: { type: "integer", required: true, min: 1 } };
+const supplierFields = {
+  name: { type: "string", minLength: 1, maxLength: 150 },
+  email: { type: "string", maxLength: 255 },
+  phone: { type: "string", maxLength: 50 },
+};
+const validateGet = validate({ params: idParams });
+const validateCreate = validate({
+  body: {
+    ...supplierFields,
+    name: { ...supplierFields.name, required: true },
+  },
+});
+const validateUpdate = validate({ params: idParams, body: supplierFields });
+const validateDelete = validate({ params: idParams });
+
+// Anyone with a key can read suppliers; only admins change them
+router.use(
+  requireRoleByMethod({
+    GET: "viewer",
+    POST: "admin",
+    PUT: "admin",
+    DELETE: "admin",
+  })
+);
+
+/**
+ * GET /api/suppliers
+ * Retrieves all suppliers with how many purchase orders are still open
+ * (sent or partially received) with each.
+ */
+router.get("/", async (_req, res, next) => {
+  try {
+    const result = await db.query(
+      `
+      SELECT
+        s.id,
+        s.name,
+        s.email,
+        s.phone,
+        COUNT(po.id)::int AS open_purchase_orders,
+        s.created_at
+      FROM suppliers s
+      LEFT JOIN purchase_orders po
+        ON po.supplier_id = s.id AND po.status IN ('sent', 'partially_received')
+      GROUP BY s.id
+      ORDER BY s.name;
+      `
+    );
+    res.json(result.rows);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/suppliers/:id
+ * Returns one supplier.
+ */
+router.get("/:id", validateGet, async (req, res, next) => {
+  try {
+    const result = await db.query(
+      `SELECT ${SUPPLIER_COLUMNS} FROM suppliers WHERE id = $1;`,
+      [req.params.id]
+    );
+    if (result.rows.length === 0)
+      return res.status(404).json({ error: "Supplier not found." });
+    res.json(result.rows[0]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/suppliers
+ * Creates a supplier. Body: { name, email (optional), phone (optional) }
+ */
+router.post("/", validateCreate, async (req, res, next) => {
+  const { name, email = null, phone = null } = req.body;
+  try {
+    const created = await db.withTransaction(async (client) => {
+      const ins = await client.query(
+        `INSERT INTO suppliers(name, email, phone) VALUES($1, $2, $3)
+         RETURNING ${SUPPLIER_COLUMNS};`,
+        [name, email, phone]
+      );
+      await recordAudit(client, req, {
+        entity: "supplier",
+        entityId: ins.rows[0].id,
+        action: "create",
+        after: ins.rows[0],
+      });
+      return ins.rows[0];
+    });
+    res.status(201).json(created);
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(409).json({ error: "Supplier name already exists." });
+    }
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/suppliers/:id
+ * Updates any subset of { name, email, phone }.
+ */
+router.put("/:id", validateUpdate, async (req, res, next) => {
+  const { id } = req.params;
+  const fields = [];
+  const values = [];
+  for (const column of Object.keys(supplierFields)) {
+    if (req.body[column] === undefined) continue;
+    values.push(req.body[column]);
+    fields.push(`${column} = $${values.length}`);
+  }
+  if (fields.length === 0) {
+    return next(
+      validationError([
+        {
+          in: "body",
+          field: "",
+          message: `must include at least one of: ${Object.keys(
+            supplierFields
+          ).join(", ")}.`,
+        },
+      ])
+    );
+  }
+
+  try {
+    const updated = await db.withTransaction(async (client) => {
+      const before = await client.query(
+        `SELECT ${SUPPLIER_COLUMNS} FROM suppliers WHERE id = $1 FOR UPDATE;`,
+        [id]
+      );
+      if (before.rows.length === 0) return null;
+      values.push(id);
+      const after = await client.query(
+        `UPDATE suppliers SET ${fields.join(", ")} WHERE id = $${values.length}
+         RETURNING ${SUPPLIER_COLUMNS};`,
+        values
+      );
+      await recordAudit(client, req, {
+        entity: "supplier",
+        entityId: id,
+        action: "update",
+        before: before.rows[0],
+        after: after.rows[0],
+      });
+      return after.rows[0];
+    });
+    if (!updated) return res.status(404).json({ error: "Supplier not found." });
+    res.json(updated);
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(409).json({ error: "Supplier name already exists." });
+    }
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/suppliers/:id
+ * Deletes a supplier IF no purchase orders reference it.
+ */
+router.delete("/:id", validateDelete, async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    // Returns the deleted row, null if not found, or false if it is in use
+    const deleted = await db.withTransaction(async (client) => {
+      const sup = await client.query(
+        `SELECT ${SUPPLIER_COLUMNS} FROM suppliers WHERE id = $1 FOR UPDATE;`,
+        [id]
+      );
+      if (sup.rows.length === 0) return null;
+      const chk = await client.query(
+        "SELECT 1 FROM purchase_orders WHERE supplier_id = $1 LIMIT 1;",
+        [id]
+      );
+      if (chk.rows.length > 0) return false;
+
+      await client.query("DELETE FROM suppliers WHERE id = $1;", [id]);
+      await recordAudit(client, req, {
+        entity: "supplier",
+        entityId: id,
+        action: "delete",
+        before: sup.rows[0],
+      });
+      return sup.rows[0];
+    });
+
+    if (deleted === null)
+      return res.status(404).json({ error: "Supplier not found." });
+    if (deleted === false) {
+      return res.status(409).json({
+        error: "Cannot delete: purchase orders reference this supplier.",
+      });
+    }
+    res.json({ message: `Deleted supplier ${deleted.name}.` });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,170 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db/db");
+const { requireRoleByMethod } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { recordAudit } = require("../services/audit");
+const { checkCategoryActive } = require("../services/categories");
+const { TAX_RATE_COLUMNS } = require("../services/taxes");
+
+// Request schemas (see middleware/validate.js)
+const idParams = { id: { type: "integer", required: true, min: 1 } };
+const region = { type: "string", minLength: 1, maxLength: 20 };
+const category = { type: "integer", min: 1 };
+const rate = { type: "number", min: 0, max: 100 };
+const validateList = validate({ query: { region, category_id: category } });
+const validateCreate = validate({
+  body: {
+    region: { ...region, required: true },
+    category_id: category,
+    rate: { ...rate, required: true },
+  },
+});
+const validateUpdate = validate({
+  params: idParams,
+  body: { rate: { ...rate, required: true } },
+});
+const validateDelete = validate({ params: idParams });
+
+// Anyone with a key can read tax rates; only admins change them
+router.use(
+  requireRoleByMethod({
+    GET: "viewer",
+    POST: "admin",
+    PUT: "admin",
+    DELETE: "admin",
+  })
+);
+
+/**
+ * GET /api/tax-rates
+ * Retrieves tax rates by region, region-wide rates (category_id null) first.
+ * Query params (all optional): region, category_id
+ */
+router.get("/", validateList, async (req, res, next) => {
+  const filters = [];
+  const values = [];
+  if (req.query.region != null) {
+    values.push(req.query.region.toUpperCase());
+    filters.push(`region = $${values.length}`);
+  }
+  if (req.query.category_id != null) {
+    values.push(req.query.category_id);
+    filters.push(`category_id = $${values.length}`);
+  }
+  try {
+    const where = filters.length > 0 ? ` WHERE ${filters.join(" AND ")}` : "";
+    const result = await db.query(
+      `SELECT ${TAX_RATE_COLUMNS} FROM tax_rates${where}
+       ORDER BY region, category_id NULLS FIRST;`,
+      values
+    );
+    res.json(result.rows);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/tax-rates
+ * Sets the tax rate of a region, for one category (and its subcategories
+ * without a rate of their own) or, without category_id, for everything
+ * else. Body: { region (e.g. 'US-NY'), category_id (optional), rate (percent) }
+ * Sales record the rate in effect when they are made, so changes only apply
+ * to later sales.
+ */
+router.post("/", validateCreate, async (req, res, next) => {
+  const { category_id: categoryId = null, rate: newRate } = req.body;
+  const taxRegion = req.body.region.toUpperCase();
+  try {
+    const created = await db.withTransaction(async (client) => {
+      if (categoryId != null) await checkCategoryActive(client, categoryId);
+      const ins = await client.query(
+        `INSERT INTO tax_rates(region, category_id, rate)
+         VALUES($1, $2, $3)
+         RETURNING ${TAX_RATE_COLUMNS};`,
+        [taxRegion, categoryId, newRate]
+      );
+      await recordAudit(client, req, {
+        entity: "tax_rate",
+        entityId: ins.rows[0].id,
+        action: "create",
+        after: ins.rows[0],
+      });
+      return ins.rows[0];
+    });
+    res.status(201).json(created);
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(409).json({
+        error: "A tax rate for this region and category already exists.",
+      });
+    }
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/tax-rates/:id
+ * Changes a tax rate. Body: { rate }
+ */
+router.put("/:id", validateUpdate, async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const updated = await db.withTransaction(async (client) => {
+      const before = await client.query(
+        `SELECT ${TAX_RATE_COLUMNS} FROM tax_rates WHERE id = $1 FOR UPDATE;`,
+        [id]
+      );
+      if (before.rows.length === 0) return null;
+      const after = await client.query(
+        `UPDATE tax_rates SET rate = $1, updated_at = NOW()
+         WHERE id = $2
+         RETURNING ${TAX_RATE_COLUMNS};`,
+        [req.body.rate, id]
+      );
+      await recordAudit(client, req, {
+        entity: "tax_rate",
+        entityId: id,
+        action: "update",
+        before: before.rows[0],
+        after: after.rows[0],
+      });
+      return after.rows[0];
+    });
+    if (!updated) return res.status(404).json({ error: "Tax rate not found." });
+    res.json(updated);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/tax-rates/:id
+ * Deletes a tax rate; later sales fall back to the next rate that applies.
+ */
+router.delete("/:id", validateDelete, async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const deleted = await db.withTransaction(async (client) => {
+      const del = await client.query(
+        `DELETE FROM tax_rates WHERE id = $1 RETURNING ${TAX_RATE_COLUMNS};`,
+        [id]
+      );
+      if (del.rows.length === 0) return null;
+      await recordAudit(client, req, {
+        entity: "tax_rate",
+        entityId: id,
+        action: "delete",
+        before: del.rows[0],
+      });
+      return del.rows[0];
+    });
+    if (!deleted) return res.status(404).json({ error: "Tax rate not found." });
+    res.json({ message: `Deleted tax rate ${deleted.id}.` });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
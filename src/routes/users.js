@@ -0,0 +1,212 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db/db");
+const { ROLES, requireRole } = require("../middleware/auth");
+const { issueApiKey } = require("../services/apiKeys");
+const { validate, validationError } = require("../middleware/validate");
+const { recordAudit } = require("../services/audit");
+
+// Request schemas (see middleware/validate.js)
+const idParams = { id: { type: "integer", required: true, min: 1 } };
+const roleField = { type: "string", required: true, enum: ROLES };
+const validateCreate = validate({
+  body: {
+    name: { type: "string", required: true, minLength: 1, maxLength: 100 },
+    email: { type: "string", required: true, minLength: 3, maxLength: 255 },
+    role: roleField,
+  },
+});
+const validateUpdate = validate({
+  params: idParams,
+  body: { role: roleField },
+});
+const validateIssueKey = validate({
+  params: idParams,
+  body: { label: { type: "string", maxLength: 100 } },
+});
+const validateRevokeKey = validate({
+  params: { ...idParams, keyId: { type: "integer", required: true, min: 1 } },
+});
+
+// Managing users and keys is admin-only
+router.use(requireRole("admin"));
+
+/**
+ * GET /api/users
+ * Retrieves all users with their (non-secret) API key metadata.
+ */
+router.get("/", async (_req, res, next) => {
+  try {
+    const result = await db.query(
+      `
+      SELECT
+        u.id,
+        u.name,
+        u.email,
+        u.role,
+        u.created_at,
+        COALESCE(
+          json_agg(
+            json_build_object(
+              'id', k.id,
+              'key_prefix', k.key_prefix,
+              'label', k.label,
+              'created_at', k.created_at,
+              'last_used_at', k.last_used_at,
+              'revoked_at', k.revoked_at
+            ) ORDER BY k.id
+          ) FILTER (WHERE k.id IS NOT NULL),
+          '[]'
+        ) AS api_keys
+      FROM users u
+      LEFT JOIN api_keys k ON k.user_id = u.id
+      GROUP BY u.id
+      ORDER BY u.name;
+      `
+    );
+    res.json(result.rows);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/users
+ * Creates a user. Body: { name, email, role }
+ */
+router.post("/", validateCreate, async (req, res, next) => {
+  const { name, email, role } = req.body;
+  if (!email.includes("@")) {
+    return next(
+      validationError([
+        { in: "body", field: "email", message: "must be an email address." },
+      ])
+    );
+  }
+  try {
+    const created = await db.withTransaction(async (client) => {
+      const ins = await client.query(
+        `INSERT INTO users(name, email, role) VALUES($1, $2, $3)
+         RETURNING id, name, email, role, created_at;`,
+        [name, email.toLowerCase(), role]
+      );
+      await recordAudit(client, req, {
+        entity: "user",
+        entityId: ins.rows[0].id,
+        action: "create",
+        after: ins.rows[0],
+      });
+      return ins.rows[0];
+    });
+    res.status(201).json(created);
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(409).json({ error: "Email already in use." });
+    }
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/users/:id
+ * Changes a user's role. Body: { role }
+ */
+router.put("/:id", validateUpdate, async (req, res, next) => {
+  const { id } = req.params;
+  const { role } = req.body;
+  try {
+    const updated = await db.withTransaction(async (client) => {
+      const before = await client.query(
+        "SELECT id, name, email, role, created_at FROM users WHERE id = $1 FOR UPDATE;",
+        [id]
+      );
+      if (before.rows.length === 0) return null;
+      const upd = await client.query(
+        `UPDATE users SET role = $1 WHERE id = $2
+         RETURNING id, name, email, role, created_at;`,
+        [role, id]
+      );
+      await recordAudit(client, req, {
+        entity: "user",
+        entityId: id,
+        action: "update",
+        before: before.rows[0],
+        after: upd.rows[0],
+      });
+      return upd.rows[0];
+    });
+    if (!updated) return res.status(404).json({ error: "User not found." });
+    res.json(updated);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/users/:id/api-keys
+ * Issues a new API key. Body: { label (optional) }
+ * The plaintext key is only returned in this response.
+ */
+router.post("/:id/api-keys", validateIssueKey, async (req, res, next) => {
+  const { id } = req.params;
+  const { label } = req.body;
+  try {
+    const issued = await db.withTransaction(async (client) => {
+      const user = await client.query("SELECT id FROM users WHERE id = $1;", [
+        id,
+      ]);
+      if (user.rows.length === 0) return null;
+      const apiKey = await issueApiKey(client, id, label);
+      // Never put the plaintext key in the audit trail
+      const { key: _key, ...keyInfo } = apiKey;
+      await recordAudit(client, req, {
+        entity: "api_key",
+        entityId: apiKey.id,
+        action: "create",
+        after: keyInfo,
+      });
+      return apiKey;
+    });
+    if (!issued) return res.status(404).json({ error: "User not found." });
+    res.status(201).json(issued);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/users/:id/api-keys/:keyId
+ * Revokes an API key (kept for reference, but no longer accepted).
+ */
+router.delete(
+  "/:id/api-keys/:keyId",
+  validateRevokeKey,
+  async (req, res, next) => {
+    const { id, keyId } = req.params;
+    try {
+      const revoked = await db.withTransaction(async (client) => {
+        const upd = await client.query(
+          `UPDATE api_keys SET revoked_at = COALESCE(revoked_at, NOW())
+           WHERE id = $1 AND user_id = $2
+           RETURNING id, key_prefix, revoked_at;`,
+          [keyId, id]
+        );
+        if (upd.rows.length === 0) return null;
+        await recordAudit(client, req, {
+          entity: "api_key",
+          entityId: keyId,
+          action: "delete",
+          before: { id: keyId, key_prefix: upd.rows[0].key_prefix },
+        });
+        return upd.rows[0];
+      });
+      if (!revoked)
+        return res.status(404).json({ error: "API key not found." });
+      res.json(revoked);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,177 @@
+/**
+ * Times the sales reports reading the sales view (every order line) against
+ * reading the daily rollups. It loads a synthetic sales history inside one
+ * transaction, runs each report both ways, checks they agree, then rolls the
+ * transaction back so the database is left as it was.
+ *
+ * To run: `npm run benchmark-sales-rollups [-- <order lines>]`  (default 200000)
+ */
+
+require("dotenv").config();
+const db = require("../db/db");
+const { DEFAULT_TIMEZONE } = require("../utils/dates");
+const { DEFAULT_CURRENCY } = require("../utils/currency");
+const { rebuildSalesRollup } = require("../services/salesRollup");
+const {
+  PERIODS,
+  aggregateSales,
+  rangeTotals,
+} = require("../services/salesReports");
+
+const DEFAULT_LINES = 200000;
+const HISTORY_DAYS = 3 * 365;
+const PRODUCTS = 50;
+const RUNS = 5;
+
+/**
+ * Inserts `lines` single-line orders spread over the last HISTORY_DAYS for
+ * PRODUCTS new products, refunds about 5% of them and rebuilds the rollups.
+ */
+async function loadHistory(client, lines) {
+  const cat = await client.query(
+    "INSERT INTO categories(name) VALUES($1) RETURNING id;",
+    [`Benchmark ${Date.now()}`]
+  );
+  const categoryId = cat.rows[0].id;
+  await client.query(
+    `INSERT INTO products(name, description, currency, category_id)
+     SELECT 'Benchmark item ' || n, '', $1, $2 FROM generate_series(1, $3) n;`,
+    [DEFAULT_CURRENCY, categoryId, PRODUCTS]
+  );
+  await client.query(
+    `CREATE TEMP TABLE benchmark_lines ON COMMIT DROP AS
+     SELECT
+       nextval(pg_get_serial_sequence('orders', 'id')) AS order_id,
+       NOW() - random() * INTERVAL '${HISTORY_DAYS} days' AS order_date,
+       p.ids[1 + floor(random() * array_length(p.ids, 1))::int] AS product_id,
+       (1 + floor(random() * 5))::int AS quantity,
+       (5 + floor(random() * 100))::NUMERIC(10,2) AS unit_price
+     FROM generate_series(1, ${lines}),
+       (SELECT array_agg(id) AS ids FROM products WHERE category_id = ${categoryId}) p;`
+  );
+  await client.query(
+    `INSERT INTO orders(id, order_date, currency, total_price, total_incl_tax)
+     SELECT order_id, order_date, $1, unit_price * quantity, unit_price * quantity
+     FROM benchmark_lines;`,
+    [DEFAULT_CURRENCY]
+  );
+  await client.query(
+    `INSERT INTO order_items(order_id, product_id, quantity, unit_price, total_price, total_incl_tax, currency, location_id)
+     SELECT b.order_id, b.product_id, b.quantity, b.unit_price, b.unit_price * b.quantity,
+            b.unit_price * b.quantity, $1, l.id
+     FROM benchmark_lines b, locations l WHERE l.is_default;`,
+    [DEFAULT_CURRENCY]
+  );
+  await client.query(
+    `INSERT INTO refunds(sale_id, quantity, amount)
+     SELECT oi.id, 1, oi.unit_price
+     FROM order_items oi JOIN benchmark_lines b ON oi.order_id = b.order_id
+     WHERE random() < 0.05;`
+  );
+  await rebuildSalesRollup(client, DEFAULT_TIMEZONE);
+  for (const table of [
+    "orders",
+    "order_items",
+    "refunds",
+    "sales_daily_rollups",
+  ]) {
+    await client.query(`ANALYZE ${table};`);
+  }
+}
+
+/**
+ * Runs `report` RUNS times; returns the median time in ms and the last result.
+ */
+async function time(report) {
+  const times = [];
+  let result;
+  for (let i = 0; i < RUNS; i++) {
+    const started = process.hrtime.bigint();
+    result = await report();
+    times.push(Number(process.hrtime.bigint() - started) / 1e6);
+  }
+  times.sort((a, b) => a - b);
+  return { ms: times[Math.floor(RUNS / 2)], result };
+}
+
+async function main() {
+  const [linesArg] = process.argv.slice(2);
+  if (linesArg !== undefined && !/^[1-9]\d*$/.test(linesArg)) {
+    console.error("Usage: npm run benchmark-sales-rollups [-- <order lines>]");
+    process.exit(1);
+  }
+  const lines = linesArg === undefined ? DEFAULT_LINES : parseInt(linesArg, 10);
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const ymd = (daysAgo) =>
+    new Date(Date.now() - daysAgo * DAY_MS).toISOString().slice(0, 10);
+  const tz = DEFAULT_TIMEZONE;
+  const lastYear = { startDate: ymd(364), endDate: ymd(0), tz };
+  const yearBefore = { startDate: ymd(729), endDate: ymd(365), tz };
+  const reports = [
+    [
+      "monthly, all history",
+      (client, options) =>
+        aggregateSales(client, { bucketing: PERIODS.monthly, tz }, options),
+    ],
+    [
+      "daily, last 365 days",
+      (client, options) =>
+        aggregateSales(
+          client,
+          { ...lastYear, bucketing: PERIODS.daily },
+          options
+        ),
+    ],
+    [
+      "weekly per product, last 365 days",
+      (client, options) =>
+        aggregateSales(
+          client,
+          { ...lastYear, bucketing: PERIODS.weekly, group_by: "product" },
+          options
+        ),
+    ],
+    [
+      "comparison, last 365 days vs year before",
+      async (client, options) => [
+        await rangeTotals(client, lastYear, options),
+        await rangeTotals(client, yearBefore, options),
+      ],
+    ],
+  ];
+
+  const client = await db.pool.connect();
+  try {
+    await client.query("BEGIN");
+    console.log(`Loading ${lines} order lines over ${HISTORY_DAYS} days…`);
+    await loadHistory(client, lines);
+
+    const row = (name, raw, rolled, speedup) =>
+      console.log(
+        name.padEnd(42) + raw.padStart(12) + rolled.padStart(12) + speedup
+      );
+    row("report", "sales view", "rollups", "  speedup");
+    for (const [name, report] of reports) {
+      const raw = await time(() => report(client, { useRollups: false }));
+      const rolled = await time(() => report(client, { useRollups: true }));
+      const same = JSON.stringify(raw.result) === JSON.stringify(rolled.result);
+      const speedup = `  ${(raw.ms / rolled.ms).toFixed(1)}x`;
+      row(
+        name,
+        `${raw.ms.toFixed(1)} ms`,
+        `${rolled.ms.toFixed(1)} ms`,
+        same ? speedup : `${speedup}  (results differ!)`
+      );
+    }
+  } catch (err) {
+    console.error("Benchmark failed:", err.message);
+    process.exitCode = 1;
+  } finally {
+    await client.query("ROLLBACK");
+    client.release();
+    await db.pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,42 @@
+/**
+ * Creates (or reuses) a user and prints a new API key for it.
+ * Use it to bootstrap the first admin, since every /api route needs a key.
+ *
+ * To run: `npm run create-api-key -- <email> <role> [name]`
+ *   e.g.  `npm run create-api-key -- ops@example.com admin "Ops Team"`
+ */
+
+require("dotenv").config();
+const db = require("../db/db");
+const { ROLES } = require("../middleware/auth");
+const { issueApiKey } = require("../services/apiKeys");
+
+async function main() {
+  const [email, role, name] = process.argv.slice(2);
+  if (!email || !ROLES.includes(role)) {
+    console.error(
+      `Usage: npm run create-api-key -- <email> <${ROLES.join("|")}> [name]`
+    );
+    process.exit(1);
+  }
+  try {
+    const key = await db.withTransaction(async (client) => {
+      const user = await client.query(
+        `INSERT INTO users(name, email, role) VALUES($1, $2, $3)
+         ON CONFLICT (email) DO UPDATE SET role = EXCLUDED.role
+         RETURNING id;`,
+        [name || email, email.toLowerCase(), role]
+      );
+      return issueApiKey(client, user.rows[0].id, "created from CLI");
+    });
+    console.log(`API key for ${email} (${role}):`);
+    console.log(key.key);
+    console.log("Store it now; it cannot be shown again.");
+    process.exit(0);
+  } catch (err) {
+    console.error("Error creating API key:", err);
+    process.exit(1);
+  }
+}
+
+main();
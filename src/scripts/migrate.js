@@ -0,0 +1,60 @@
+/**
+ * Rolls the database schema forward or back (see src/db/migrator.js).
+ *
+ * To run:
+ *   `npm run migrate up [version]`  apply pending migrations (optionally up to a version)
+ *   `npm run migrate down [steps]`  revert the latest migration(s), default 1
+ *   `npm run migrate status`        list migrations and when each was applied
+ */
+
+require("dotenv").config();
+const db = require("../db/db");
+const migrator = require("../db/migrator");
+
+const USAGE = "Usage: npm run migrate <up [version] | down [steps] | status>";
+
+function label(m) {
+  return `${String(m.version).padStart(3, "0")}_${m.name}`;
+}
+
+function parseCount(arg) {
+  if (arg === undefined) return undefined;
+  if (!/^\d+$/.test(arg)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  return parseInt(arg, 10);
+}
+
+async function main() {
+  const [command, arg] = process.argv.slice(2);
+  try {
+    if (command === "up") {
+      const applied = await migrator.up({ to: parseCount(arg) });
+      if (applied.length === 0) console.log("Already up to date.");
+      for (const m of applied) console.log(`Applied ${label(m)}`);
+    } else if (command === "down") {
+      const reverted = await migrator.down({ steps: parseCount(arg) });
+      if (reverted.length === 0) console.log("Nothing to revert.");
+      for (const m of reverted) console.log(`Reverted ${label(m)}`);
+    } else if (command === "status") {
+      for (const m of await migrator.status()) {
+        const state = m.missing
+          ? "applied, file missing"
+          : m.applied_at
+          ? `applied ${m.applied_at.toISOString()}`
+          : "pending";
+        console.log(`${label(m)}  ${state}`);
+      }
+    } else {
+      console.error(USAGE);
+      process.exit(1);
+    }
+    await db.pool.end();
+  } catch (err) {
+    console.error("Migration failed:", err.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,39 @@
+/**
+ * Recomputes the daily sales rollups from every recorded sale and refund
+ * (see src/services/salesRollup.js). Run it after loading sales that bypassed
+ * the API, or after changing BUSINESS_TIMEZONE, so the reports keep reading
+ * the rollups instead of scanning every order line.
+ *
+ * To run: `npm run rebuild-sales-rollups [-- <time zone>]`
+ *   the time zone defaults to BUSINESS_TIMEZONE, e.g.
+ *   `npm run rebuild-sales-rollups -- Europe/London`
+ */
+
+require("dotenv").config();
+const db = require("../db/db");
+const { canonicalTimeZone, DEFAULT_TIMEZONE } = require("../utils/dates");
+const { rebuildSalesRollup } = require("../services/salesRollup");
+
+async function main() {
+  const [tzArg] = process.argv.slice(2);
+  const timezone =
+    tzArg === undefined ? DEFAULT_TIMEZONE : canonicalTimeZone(tzArg);
+  if (!timezone) {
+    console.error("Usage: npm run rebuild-sales-rollups [-- <IANA time zone>]");
+    process.exit(1);
+  }
+  try {
+    const result = await db.withTransaction((client) =>
+      rebuildSalesRollup(client, timezone)
+    );
+    console.log(
+      `Rebuilt ${result.rows} rollup rows over ${result.days} days (${result.timezone}).`
+    );
+    await db.pool.end();
+  } catch (err) {
+    console.error("Rebuild failed:", err.message);
+    process.exit(1);
+  }
+}
+
+main();
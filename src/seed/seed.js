@@ -3,22 +3,31 @@
  *  - categories
  *  - products
  *  - inventory (initial quantities)
- *  - sales (randomized over the past 60 days)
- *  - inventory_history (mirrors initial inventory states and each sale)
+ *  - orders + order_items (randomized over the past 60 days)
+ *  - inventory_history (mirrors initial inventory states and each order line)
  *
  * To run: `node src/seed/seed.js`
  */
 
 require("dotenv").config();
 const db = require("../db/db");
+const { createOrder } = require("../services/orders");
+const { DEFAULT_CURRENCY } = require("../utils/currency");
 
 async function seed() {
   try {
     // 1. Clear existing data (in reverse-dependency order)
     await db.query("DELETE FROM inventory_history;");
-    await db.query("DELETE FROM sales;");
+    await db.query("DELETE FROM sales_daily_rollups;");
+    await db.query("DELETE FROM order_items;");
+    await db.query("DELETE FROM orders;");
+    await db.query("DELETE FROM promotions;");
     await db.query("DELETE FROM inventory;");
+    await db.query("DELETE FROM purchase_orders;");
+    await db.query("DELETE FROM suppliers;");
     await db.query("DELETE FROM products;");
+    await db.query("DELETE FROM tax_rates;");
+    await db.query("DELETE FROM exchange_rates;");
     await db.query("DELETE FROM categories;");
 
     console.log("Cleared old data.");
@@ -44,13 +53,21 @@ async function seed() {
         const description = `Description for ${productName}`;
         // random price between 10 and 500
         const price = (Math.random() * 490 + 10).toFixed(2);
+        // and a unit cost of 40-80% of it
+        const unitCost = (price * (Math.random() * 0.4 + 0.4)).toFixed(4);
 
         const res = await db.query(
-          `INSERT INTO products(name, description, price, category_id)
-           VALUES($1, $2, $3, $4) RETURNING id;`,
-          [productName, description, price, catId]
+          `INSERT INTO products(name, description, currency, unit_cost, category_id)
+           VALUES($1, $2, $3, $4, $5) RETURNING id;`,
+          [productName, description, DEFAULT_CURRENCY, unitCost, catId]
         );
         const prodId = res.rows[0].id;
+        // Effective before the oldest seeded order, so every order is priced
+        await db.query(
+          `INSERT INTO product_prices(product_id, price, effective_from)
+           VALUES($1, $2, NOW() - INTERVAL '90 days');`,
+          [prodId, price]
+        );
         products.push({
           id: prodId,
           name: productName,
@@ -61,70 +78,54 @@ async function seed() {
     }
     console.log(`Inserted ${products.length} products.`);
 
-    // 4. Insert initial inventory (random between 0 and 100)
+    // 4. Insert initial inventory (random between 0 and 100) at the default location
+    const locRes = await db.query("SELECT id FROM locations WHERE is_default;");
+    const locationId = locRes.rows[0].id;
     for (const prod of products) {
       const qty = Math.floor(Math.random() * 100);
       await db.query(
-        `INSERT INTO inventory(product_id, quantity)
-         VALUES($1, $2);`,
-        [prod.id, qty]
+        `INSERT INTO inventory(product_id, location_id, quantity)
+         VALUES($1, $2, $3);`,
+        [prod.id, locationId, qty]
       );
       // Also put an initial row in inventory_history
       await db.query(
-        `INSERT INTO inventory_history(product_id, change_qty, previous_qty, new_qty)
-         VALUES($1, $2, $3, $4);`,
-        [prod.id, qty, 0, qty]
+        `INSERT INTO inventory_history(product_id, location_id, change_qty, previous_qty, new_qty, unit_cost)
+         VALUES($1, $2, $3, $4, $5, (SELECT unit_cost FROM products WHERE id = $1));`,
+        [prod.id, locationId, qty, 0, qty]
       );
     }
     console.log("Inventory initial quantities inserted.");
 
-    // 5. Generate random sales over past 60 days
+    // 5. Generate random orders over past 60 days
     const dayInMs = 24 * 60 * 60 * 1000;
     const today = new Date();
     for (let dayOffset = 0; dayOffset < 60; dayOffset++) {
-      // For each day, generate ~3–7 sales events
-      const salesCount = Math.floor(Math.random() * 5) + 3;
-      const saleDate = new Date(today.getTime() - dayOffset * dayInMs);
+      // For each day, generate ~3–7 orders
+      const ordersCount = Math.floor(Math.random() * 5) + 3;
+      const orderDate = new Date(today.getTime() - dayOffset * dayInMs);
 
-      for (let i = 0; i < salesCount; i++) {
-        // pick a random product
-        const randomProd =
-          products[Math.floor(Math.random() * products.length)];
-        // random quantity between 1 and 5
-        const qtySold = Math.floor(Math.random() * 5) + 1;
-        const totalPrice = (qtySold * randomProd.price).toFixed(2);
+      for (let i = 0; i < ordersCount; i++) {
+        // each order has 1–3 lines of random products, quantity between 1 and 5
+        const linesCount = Math.floor(Math.random() * 3) + 1;
+        const lines = [];
+        for (let j = 0; j < linesCount; j++) {
+          const randomProd =
+            products[Math.floor(Math.random() * products.length)];
+          lines.push({
+            product_id: randomProd.id,
+            quantity: Math.floor(Math.random() * 5) + 1,
+          });
+        }
 
-        // insert into sales
-        const resSale = await db.query(
-          `INSERT INTO sales(product_id, quantity, total_price, sale_date)
-           VALUES($1, $2, $3, $4) RETURNING id;`,
-          [randomProd.id, qtySold, totalPrice, saleDate]
-        );
-
-        // Update inventory: fetch current quantity, subtract qtySold (never go below zero)
-        const invRes = await db.query(
-          "SELECT quantity FROM inventory WHERE product_id = $1 FOR UPDATE;",
-          [randomProd.id]
-        );
-        let currentQty = invRes.rows[0]?.quantity ?? 0;
-        const newQty = Math.max(0, currentQty - qtySold);
-
-        // update inventory table
-        await db.query(
-          `UPDATE inventory
-           SET quantity = $1, updated_at = NOW()
-           WHERE product_id = $2;`,
-          [newQty, randomProd.id]
-        );
-        // track in inventory_history
-        await db.query(
-          `INSERT INTO inventory_history(product_id, change_qty, previous_qty, new_qty)
-           VALUES($1, $2, $3, $4);`,
-          [randomProd.id, -qtySold, currentQty, newQty]
+        // inserts order + items, updates inventory and inventory_history;
+        // random baskets may exceed stock, so clamp instead of rejecting
+        await db.withTransaction((client) =>
+          createOrder(client, lines, orderDate, { stockPolicy: "clamp" })
         );
       }
     }
-    console.log("Random sales and inventory history seeded.");
+    console.log("Random orders and inventory history seeded.");
     console.log("Seeding completed successfully.");
     process.exit(0);
   } catch (err) {
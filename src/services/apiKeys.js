@@ -0,0 +1,29 @@
+const crypto = require("crypto");
+
+const KEY_PREFIX = "eak_";
+
+/**
+ * Hashes an API key for storage/lookup. Keys are 32 random bytes, so a
+ * single SHA-256 is enough; a slow password hash would only add latency.
+ */
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * Creates a new API key for a user using the given client (pool or
+ * transaction). Returns the stored row plus the plaintext `key`, which is
+ * never persisted and cannot be recovered later.
+ */
+async function issueApiKey(client, userId, label) {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString("base64url");
+  const ins = await client.query(
+    `INSERT INTO api_keys(user_id, key_prefix, key_hash, label)
+     VALUES($1, $2, $3, $4)
+     RETURNING id, user_id, key_prefix, label, created_at;`,
+    [userId, key.slice(0, 12), hashApiKey(key), label || null]
+  );
+  return { ...ins.rows[0], key };
+}
+
+module.exports = { hashApiKey, issueApiKey };
@@ -0,0 +1,32 @@
+/**
+ * Writes one audit_log row using the given client. Call it inside the same
+ * transaction as the change so the trail can never disagree with the data.
+ *
+ * The actor comes from req.user (set by the auth middleware) and the reason
+ * from the request body's `reason` or the `X-Audit-Reason` header.
+ *
+ * change: { entity, entityId, action: 'create'|'update'|'delete', before, after }
+ */
+async function recordAudit(client, req, change) {
+  const { entity, entityId, action, before = null, after = null } = change;
+  const reason =
+    (typeof req.body?.reason === "string" && req.body.reason.trim()) ||
+    req.get("x-audit-reason") ||
+    null;
+  await client.query(
+    `INSERT INTO audit_log(actor_user_id, actor_api_key_id, entity, entity_id, action, before, after, reason)
+     VALUES($1, $2, $3, $4, $5, $6, $7, $8);`,
+    [
+      req.user?.id ?? null,
+      req.user?.api_key_id ?? null,
+      entity,
+      entityId ?? null,
+      action,
+      before == null ? null : JSON.stringify(before),
+      after == null ? null : JSON.stringify(after),
+      reason,
+    ]
+  );
+}
+
+module.exports = { recordAudit };
@@ -0,0 +1,180 @@
+const HttpError = require("../utils/httpError");
+
+// Columns returned for a category (see migrations 010 and 011)
+const CATEGORY_COLUMNS =
+  "id, name, parent_id, position, created_at, archived_at";
+
+/**
+ * SQL condition on `column` (a category id): the category in `param` (e.g.
+ * "$2") or, with includeDescendants, it and every category below it.
+ */
+function categoryFilterSql(column, param, includeDescendants) {
+  return includeDescendants
+    ? `${column} IN (SELECT category_subtree(${param}))`
+    : `${column} = ${param}`;
+}
+
+/**
+ * Serialises changes to the shape of the tree (new, moved and deleted
+ * categories) until the transaction ends, so concurrent moves cannot build a
+ * cycle between them and siblings keep distinct positions.
+ */
+function lockCategoryTree(client) {
+  return client.query("LOCK TABLE categories IN SHARE ROW EXCLUSIVE MODE;");
+}
+
+/**
+ * Checks that products can be put in a category, using the given client.
+ * Throws HttpError(404) if it does not exist or HttpError(409) if it is
+ * archived.
+ */
+async function checkCategoryActive(client, categoryId) {
+  const result = await client.query(
+    "SELECT archived_at FROM categories WHERE id = $1;",
+    [categoryId]
+  );
+  if (result.rows.length === 0) {
+    throw new HttpError(404, "Category not found.");
+  }
+  if (result.rows[0].archived_at) {
+    throw new HttpError(409, "Category is archived.", {
+      category_id: categoryId,
+    });
+  }
+}
+
+/**
+ * Helper: loads the parent a category is to be put under, with in_subtree
+ * telling whether it lies in the subtree of category `id` (when given).
+ * Throws HttpError(404) if it does not exist or HttpError(409) if archived.
+ */
+async function checkParent(client, parentId, id = null) {
+  const parent = await client.query(
+    `SELECT id, archived_at, id IN (SELECT category_subtree($2)) AS in_subtree
+     FROM categories WHERE id = $1;`,
+    [parentId, id]
+  );
+  if (parent.rows.length === 0) {
+    throw new HttpError(404, "Parent category not found.");
+  }
+  if (parent.rows[0].archived_at) {
+    throw new HttpError(409, "Parent category is archived.", {
+      parent_id: parentId,
+    });
+  }
+  return parent.rows[0];
+}
+
+/**
+ * Creates a category as the last child of parentId (or the last top-level
+ * category when parentId is null) using the given transaction client.
+ * Throws HttpError(404) if the parent does not exist or HttpError(409) if it
+ * is archived.
+ */
+async function insertCategory(client, name, parentId = null) {
+  await lockCategoryTree(client);
+  if (parentId != null) await checkParent(client, parentId);
+  const ins = await client.query(
+    `INSERT INTO categories(name, parent_id, position)
+     SELECT $1, $2, COUNT(*)::int FROM categories
+     WHERE parent_id IS NOT DISTINCT FROM $2
+     RETURNING ${CATEGORY_COLUMNS};`,
+    [name, parentId]
+  );
+  return ins.rows[0];
+}
+
+/**
+ * Moves a category under parentId (null for the top level) at `position`
+ * among its new siblings (0 is first; null or past the end puts it last),
+ * renumbering the old and new siblings, using the given transaction client.
+ * Moving within the same parent reorders it.
+ *
+ * Returns { before, after }, or null if the category does not exist.
+ * Throws HttpError(404) for an unknown parent, or HttpError(409) when the
+ * parent is archived, or is the category itself or one of its descendants.
+ */
+async function moveCategory(client, id, parentId, position) {
+  await lockCategoryTree(client);
+  const cur = await client.query(
+    `SELECT ${CATEGORY_COLUMNS} FROM categories WHERE id = $1;`,
+    [id]
+  );
+  if (cur.rows.length === 0) return null;
+  const before = cur.rows[0];
+
+  if (parentId != null) {
+    const parent = await checkParent(client, parentId, id);
+    if (parent.in_subtree) {
+      throw new HttpError(
+        409,
+        "A category cannot be moved under itself or one of its descendants.",
+        { category_id: id, parent_id: parentId }
+      );
+    }
+  }
+
+  // Close the gap it leaves, then open one where it goes
+  await client.query(
+    `UPDATE categories SET position = position - 1
+     WHERE parent_id IS NOT DISTINCT FROM $1 AND position > $2;`,
+    [before.parent_id, before.position]
+  );
+  const siblings = await client.query(
+    `SELECT COUNT(*)::int AS count FROM categories
+     WHERE parent_id IS NOT DISTINCT FROM $1 AND id <> $2;`,
+    [parentId, id]
+  );
+  const target = Math.min(position ?? Infinity, siblings.rows[0].count);
+  await client.query(
+    `UPDATE categories SET position = position + 1
+     WHERE parent_id IS NOT DISTINCT FROM $1 AND id <> $2 AND position >= $3;`,
+    [parentId, id, target]
+  );
+  const upd = await client.query(
+    `UPDATE categories SET parent_id = $1, position = $2 WHERE id = $3
+     RETURNING ${CATEGORY_COLUMNS};`,
+    [parentId, target, id]
+  );
+  return { before, after: upd.rows[0] };
+}
+
+/**
+ * Deletes a category and renumbers its siblings, using the given
+ * transaction client. Callers check first that nothing refers to it.
+ */
+async function deleteCategory(client, category) {
+  await lockCategoryTree(client);
+  await client.query("DELETE FROM categories WHERE id = $1;", [category.id]);
+  await client.query(
+    `UPDATE categories SET position = position - 1
+     WHERE parent_id IS NOT DISTINCT FROM $1 AND position > $2;`,
+    [category.parent_id, category.position]
+  );
+}
+
+/**
+ * Nests flat category rows (with id and parent_id) into a tree: each node
+ * gets a `children` array, siblings keep the order of `rows`. Returns the
+ * top-level nodes.
+ */
+function buildCategoryTree(rows) {
+  const nodes = new Map(rows.map((r) => [r.id, { ...r, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = nodes.get(node.parent_id);
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+  return roots;
+}
+
+module.exports = {
+  CATEGORY_COLUMNS,
+  categoryFilterSql,
+  checkCategoryActive,
+  insertCategory,
+  moveCategory,
+  deleteCategory,
+  buildCategoryTree,
+};
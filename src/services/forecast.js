@@ -0,0 +1,88 @@
+// Bounds for the seasonal factor, so one unusual week last year cannot swing
+// a forecast to zero or multiply it many times over
+const MIN_SEASONAL_FACTOR = 0.5;
+const MAX_SEASONAL_FACTOR = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Projects one product's stock forward from its recent sales.
+ *
+ * row: { quantity, on_order, reorder_point, reorder_quantity, recent_units,
+ *        last_year_trailing_units, last_year_ahead_units }
+ * where recent_units are the units sold (net of refunds) in the last
+ * windowDays, and the last_year_* units were sold in the same trailing window
+ * one year ago and in the horizon (leadTimeDays + coverDays) that followed it.
+ *
+ * The model:
+ *   - avg_daily_units is the moving average over the trailing window;
+ *   - seasonal_factor compares last year's sales over the coming horizon with
+ *     last year's trailing window (1 when there is no sales history a year
+ *     back), clamped to [MIN_SEASONAL_FACTOR, MAX_SEASONAL_FACTOR];
+ *   - forecast_daily_units = avg_daily_units * seasonal_factor.
+ * Stock runs out after quantity / forecast_daily_units days (never when
+ * nothing is selling). The suggested reorder brings stock plus units already
+ * on order up to what the horizon will consume. A product whose stock plus
+ * units on order is at or below its reorder_point needs an order even when it
+ * is not selling: at least enough to lift it above the reorder point. Any
+ * order is at least the product's reorder_quantity.
+ *
+ * Returns { avg_daily_units, seasonal_factor, forecast_daily_units,
+ *           days_of_cover, stockout_date, reorder_by_date,
+ *           suggested_reorder_qty, needs_reorder }
+ * with dates as YYYY-MM-DD (null when stock never runs out).
+ */
+function forecastStock(row, { windowDays, leadTimeDays, coverDays, today }) {
+  const horizonDays = leadTimeDays + coverDays;
+  const avgDaily = row.recent_units / windowDays;
+
+  let seasonalFactor = 1;
+  if (row.last_year_trailing_units > 0) {
+    const lastYearTrailing = row.last_year_trailing_units / windowDays;
+    const lastYearAhead = row.last_year_ahead_units / horizonDays;
+    seasonalFactor = Math.min(
+      MAX_SEASONAL_FACTOR,
+      Math.max(MIN_SEASONAL_FACTOR, lastYearAhead / lastYearTrailing)
+    );
+  }
+  const forecastDaily = Math.max(0, avgDaily * seasonalFactor);
+
+  let daysOfCover = null;
+  let stockoutDate = null;
+  let reorderByDate = null;
+  if (forecastDaily > 0) {
+    daysOfCover = Math.max(0, row.quantity) / forecastDaily;
+    const stockout = new Date(today.getTime() + daysOfCover * DAY_MS);
+    stockoutDate = stockout.toISOString().slice(0, 10);
+    const reorderBy = new Date(stockout.getTime() - leadTimeDays * DAY_MS);
+    reorderByDate = (reorderBy < today ? today : reorderBy)
+      .toISOString()
+      .slice(0, 10);
+  }
+
+  const available = row.quantity + row.on_order;
+  let suggested = Math.max(
+    0,
+    Math.ceil(forecastDaily * horizonDays) - available
+  );
+  if (row.reorder_point != null && available <= row.reorder_point) {
+    suggested = Math.max(suggested, row.reorder_point + 1 - available);
+  }
+  if (suggested > 0 && row.reorder_quantity) {
+    suggested = Math.max(suggested, row.reorder_quantity);
+  }
+
+  const round = (n, dp) => (n == null ? null : Number(n.toFixed(dp)));
+  return {
+    avg_daily_units: round(avgDaily, 3),
+    seasonal_factor: round(seasonalFactor, 3),
+    forecast_daily_units: round(forecastDaily, 3),
+    days_of_cover: round(daysOfCover, 1),
+    stockout_date: stockoutDate,
+    reorder_by_date: reorderByDate,
+    suggested_reorder_qty: suggested,
+    needs_reorder: suggested > 0,
+  };
+}
+
+module.exports = { forecastStock };
@@ -0,0 +1,179 @@
+const HttpError = require("../utils/httpError");
+
+/**
+ * Checks that every id in `locationIds` is a known location and returns the
+ * default location's id (used wherever a request does not name a location).
+ * Throws HttpError(404) listing the unknown ids otherwise.
+ */
+async function resolveLocations(client, locationIds = []) {
+  const ids = [...new Set(locationIds.filter((id) => id != null))];
+  const result = await client.query(
+    "SELECT id, is_default FROM locations WHERE is_default OR id = ANY($1::int[]);",
+    [ids]
+  );
+  const known = new Set(result.rows.map((r) => r.id));
+  const missing = ids.filter((id) => !known.has(id));
+  if (missing.length > 0) {
+    throw new HttpError(404, "Location not found.", { location_ids: missing });
+  }
+  const def = result.rows.find((r) => r.is_default);
+  return def ? def.id : null;
+}
+
+/**
+ * Checks the variant_id of every line ({ product_id, variant_id }) against
+ * the line's product: a variant must belong to its product, and a product
+ * with variants can only be stocked or sold as one of them.
+ * Throws HttpError(404) listing unknown variant ids, or HttpError(400)
+ * listing products that have variants but were given none.
+ *
+ * Returns a Map of variant id → price override in effect at `at` (null when
+ * the variant sells at its product's price then).
+ */
+async function resolveVariants(client, lines, at = new Date()) {
+  const productIds = [...new Set(lines.map((l) => l.product_id))];
+  const result = await client.query(
+    `SELECT id, product_id, variant_price_at(id, $2) AS price
+     FROM product_variants WHERE product_id = ANY($1::int[]);`,
+    [productIds, at]
+  );
+  const variants = new Map(result.rows.map((r) => [r.id, r]));
+  const withVariants = new Set(result.rows.map((r) => r.product_id));
+
+  const unknown = new Set();
+  const unspecified = new Set();
+  for (const l of lines) {
+    if (l.variant_id == null) {
+      if (withVariants.has(l.product_id)) unspecified.add(l.product_id);
+    } else if (variants.get(l.variant_id)?.product_id !== l.product_id) {
+      unknown.add(l.variant_id);
+    }
+  }
+  if (unknown.size > 0) {
+    throw new HttpError(404, "Variant not found.", {
+      variant_ids: [...unknown],
+    });
+  }
+  if (unspecified.size > 0) {
+    throw new HttpError(
+      400,
+      "variant_id is required for products with variants.",
+      {
+        product_ids: [...unspecified],
+      }
+    );
+  }
+  return new Map(
+    result.rows.map((r) => [r.id, r.price == null ? null : parseFloat(r.price)])
+  );
+}
+
+/**
+ * Sets a product's (or one of its variants') stock at one location, creating
+ * the inventory row if it has never been stocked there. Callers lock the row
+ * first (SELECT … FOR UPDATE) and write the matching inventory_history row.
+ */
+function setStock(client, productId, locationId, quantity, variantId = null) {
+  return client.query(
+    `INSERT INTO inventory(product_id, location_id, variant_id, quantity, updated_at)
+     VALUES($1, $2, $3, $4, NOW())
+     ON CONFLICT (product_id, location_id, (COALESCE(variant_id, 0)))
+     DO UPDATE SET quantity = EXCLUDED.quantity, updated_at = NOW();`,
+    [productId, locationId, variantId, quantity]
+  );
+}
+
+/**
+ * Values `quantity` units being added to a product's stock at `unitCost` (a
+ * number or numeric string, or null for the product's current unit cost), using the given
+ * transaction client. Call it before incrementing inventory: the product's
+ * unit_cost becomes the weighted average of the stock it holds (summed over
+ * locations and variants, none if at or below zero) and the new units.
+ * The product row is locked FOR NO KEY UPDATE: that serialises cost updates
+ * but, unlike FOR UPDATE, lets a concurrent sale's foreign-key checks through.
+ *
+ * Returns the unit cost the units came in at, for the inventory_history row
+ * (null if neither unitCost nor the product's cost is known).
+ */
+async function addStockCost(client, productId, quantity, unitCost = null) {
+  const prodRes = await client.query(
+    "SELECT unit_cost FROM products WHERE id = $1 FOR NO KEY UPDATE;",
+    [productId]
+  );
+  const current = prodRes.rows[0].unit_cost;
+  if (unitCost == null) return current;
+  const cost = Number(unitCost);
+
+  const stockRes = await client.query(
+    "SELECT GREATEST(COALESCE(SUM(quantity), 0), 0)::int AS quantity FROM inventory WHERE product_id = $1;",
+    [productId]
+  );
+  const onHand = current == null ? 0 : stockRes.rows[0].quantity;
+  const average =
+    onHand + quantity > 0
+      ? (onHand * parseFloat(current ?? 0) + quantity * cost) /
+        (onHand + quantity)
+      : cost;
+  await client.query("UPDATE products SET unit_cost = $1 WHERE id = $2;", [
+    average.toFixed(4),
+    productId,
+  ]);
+  return cost.toFixed(4);
+}
+
+/**
+ * Puts `quantity` units of a product (or one of its variants) on the shelf at
+ * one location, using the given transaction client: values them into the
+ * product's unit_cost (see addStockCost), increments the stock and writes
+ * the inventory_history row, tagged with `refundId` or `purchaseOrderId`.
+ *
+ * Returns { previousQty, newQty } for the location.
+ */
+async function receiveStock(
+  client,
+  {
+    productId,
+    variantId = null,
+    locationId,
+    quantity,
+    unitCost = null,
+    refundId = null,
+    purchaseOrderId = null,
+  }
+) {
+  const cost = await addStockCost(client, productId, quantity, unitCost);
+  const invRes = await client.query(
+    `SELECT quantity FROM inventory
+     WHERE product_id = $1 AND location_id = $2
+       AND variant_id IS NOT DISTINCT FROM $3
+     FOR UPDATE;`,
+    [productId, locationId, variantId]
+  );
+  const previousQty = invRes.rows.length > 0 ? invRes.rows[0].quantity : 0;
+  const newQty = previousQty + quantity;
+  await setStock(client, productId, locationId, newQty, variantId);
+  await client.query(
+    `INSERT INTO inventory_history(product_id, location_id, variant_id, change_qty, previous_qty, new_qty, unit_cost, refund_id, purchase_order_id)
+     VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9);`,
+    [
+      productId,
+      locationId,
+      variantId,
+      quantity,
+      previousQty,
+      newQty,
+      cost,
+      refundId,
+      purchaseOrderId,
+    ]
+  );
+  return { previousQty, newQty };
+}
+
+module.exports = {
+  resolveLocations,
+  resolveVariants,
+  setStock,
+  addStockCost,
+  receiveStock,
+};
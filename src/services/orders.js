@@ -0,0 +1,261 @@
+const HttpError = require("../utils/httpError");
+const { recordAudit } = require("./audit");
+const { DEFAULT_STOCK_POLICY, applyStockPolicy } = require("./stock");
+const { resolveLocations, resolveVariants, setStock } = require("./inventory");
+const { addSalesToRollup } = require("./salesRollup");
+const { applyPromotions } = require("./promotions");
+const { resolveTaxRates } = require("./taxes");
+
+/**
+ * Records an order with one or more lines using the given transaction client.
+ * For every line this:
+ *   - prices it at the variant's price override effective on orderDate, if
+ *     any, or else the product's price effective on orderDate (see
+ *     product_variant_prices and product_prices), less the discount of the
+ *     best promotion running on orderDate or of the quoted coupon (see
+ *     services/promotions.js; total_price = unit_price * quantity -
+ *     discount_amount),
+ *   - taxes it at the rate for its tax region and product category (see
+ *     services/taxes.js; tax_amount = total_price * tax_rate / 100 and
+ *     total_incl_tax = total_price + tax_amount),
+ *   - records the product's unit_cost on orderDate (its cost of goods sold;
+ *     see product_cost_at in migration 014 for backdated orders),
+ *   - decrements inventory of the product (or variant) at the line's location
+ *     under the stock policy (see services/stock.js),
+ *   - inserts a row into inventory_history recording the stock outcome.
+ * The lines are then added to the daily sales rollups.
+ *
+ * lines: [{ product_id, variant_id, quantity, location_id }] with
+ * already-validated integers; location_id is optional and defaults to the
+ * default location, variant_id is required for products with variants.
+ * options.stockPolicy overrides the configured STOCK_POLICY;
+ * options.couponCode applies a coupon (counting one use of it);
+ * options.taxRegion taxes every line for that region instead of its
+ * location's tax_region.
+ * Throws HttpError(404) if any product, variant, location or the coupon does
+ * not exist,
+ * HttpError(400) if a product with variants is ordered without one,
+ * HttpError(409) if a product is archived, the products are priced in
+ * different currencies or the coupon cannot be used, or
+ * HttpError(409) if a line oversells under the reject policy; either rolls
+ * the surrounding transaction back.
+ *
+ * Returns { orderId, itemIds, currency, totalPrice, taxAmount, totalInclTax,
+ * items } (itemIds and items in the same order as `lines`; items are the
+ * stored line values, for auditing).
+ */
+async function createOrder(client, lines, orderDate, options = {}) {
+  const stockPolicy = options.stockPolicy || DEFAULT_STOCK_POLICY;
+  const productIds = [...new Set(lines.map((l) => l.product_id))].sort(
+    (a, b) => a - b
+  );
+
+  // 1. Fetch prices and costs in effect at orderDate for every product in the
+  //    basket
+  const pRes = await client.query(
+    `SELECT id, product_price_at(id, $2) AS price, currency,
+            product_cost_at(id, $2) AS unit_cost, archived_at
+     FROM products WHERE id = ANY($1::int[]);`,
+    [productIds, orderDate]
+  );
+  const prices = new Map(pRes.rows.map((r) => [r.id, parseFloat(r.price)]));
+  const unitCosts = new Map(pRes.rows.map((r) => [r.id, r.unit_cost]));
+  const missing = productIds.filter((id) => !prices.has(id));
+  if (missing.length > 0) {
+    throw new HttpError(404, "Product not found.", { product_ids: missing });
+  }
+  const archived = pRes.rows.filter((r) => r.archived_at).map((r) => r.id);
+  if (archived.length > 0) {
+    throw new HttpError(409, "Archived products cannot be sold.", {
+      product_ids: archived,
+    });
+  }
+  const currencies = [...new Set(pRes.rows.map((r) => r.currency))].sort();
+  if (currencies.length > 1) {
+    throw new HttpError(
+      409,
+      "Products priced in different currencies cannot be sold together.",
+      { currencies }
+    );
+  }
+  const currency = currencies[0];
+
+  const variantPrices = await resolveVariants(client, lines, orderDate);
+
+  // 2. Lines without a location take stock from the default one
+  const defaultLocationId = await resolveLocations(
+    client,
+    lines.map((l) => l.location_id)
+  );
+  const located = lines.map((l) => ({
+    ...l,
+    location_id: l.location_id ?? defaultLocationId,
+  }));
+  const locationIds = [...new Set(located.map((l) => l.location_id))];
+
+  // 3. Lock inventory rows in id order so concurrent orders cannot deadlock
+  const invRes = await client.query(
+    `SELECT product_id, location_id, variant_id, quantity FROM inventory
+     WHERE product_id = ANY($1::int[]) AND location_id = ANY($2::int[])
+     ORDER BY product_id, location_id, variant_id
+     FOR UPDATE;`,
+    [productIds, locationIds]
+  );
+  const stockKey = (l) =>
+    `${l.product_id}:${l.location_id}:${l.variant_id ?? ""}`;
+  const stock = new Map(invRes.rows.map((r) => [stockKey(r), r.quantity]));
+
+  // 4. Price every line, apply promotions and taxes and insert the order
+  //    header with its grand totals
+  const unitPrices = located.map(
+    (l) => variantPrices.get(l.variant_id) ?? prices.get(l.product_id)
+  );
+  const discounts = await applyPromotions(
+    client,
+    located.map((l, i) => ({ ...l, unit_price: unitPrices[i] })),
+    orderDate,
+    options.couponCode
+  );
+  const taxes = await resolveTaxRates(
+    client,
+    located.map((l) => ({
+      ...l,
+      tax_region: options.taxRegion && options.taxRegion.toUpperCase(),
+    }))
+  );
+  const priced = located.map((l, i) => {
+    const netCents =
+      Math.round(unitPrices[i] * 100) * l.quantity -
+      Math.round(parseFloat(discounts[i].discount_amount) * 100);
+    const taxCents = Math.round((netCents * taxes[i].tax_rate) / 100);
+    return {
+      ...l,
+      variant_id: l.variant_id ?? null,
+      currency,
+      unit_price: unitPrices[i].toFixed(2),
+      promotion_id: discounts[i].promotion_id,
+      discount_amount: discounts[i].discount_amount,
+      total_price: (netCents / 100).toFixed(2),
+      tax_region: taxes[i].tax_region,
+      tax_rate: taxes[i].tax_rate.toFixed(3),
+      tax_amount: (taxCents / 100).toFixed(2),
+      total_incl_tax: ((netCents + taxCents) / 100).toFixed(2),
+      unit_cost: unitCosts.get(l.product_id),
+    };
+  });
+  const sumOf = (field) =>
+    (
+      priced.reduce(
+        (sum, l) => sum + Math.round(parseFloat(l[field]) * 100),
+        0
+      ) / 100
+    ).toFixed(2);
+  const orderTotal = sumOf("total_price");
+  const orderTax = sumOf("tax_amount");
+  const orderTotalInclTax = sumOf("total_incl_tax");
+  const ordRes = await client.query(
+    `INSERT INTO orders(order_date, currency, total_price, tax_amount, total_incl_tax)
+     VALUES($1, $2, $3, $4, $5) RETURNING id;`,
+    [orderDate, currency, orderTotal, orderTax, orderTotalInclTax]
+  );
+  const orderId = ordRes.rows[0].id;
+
+  // 5. Insert each line and move its stock according to the stock policy
+  const itemIds = [];
+  const items = [];
+  for (const line of priced) {
+    const currQty = stock.get(stockKey(line)) || 0;
+    const { newQty, shortfallQty, backorderQty, outcome } = applyStockPolicy(
+      line,
+      currQty,
+      line.quantity,
+      stockPolicy
+    );
+    stock.set(stockKey(line), newQty);
+
+    const itemRes = await client.query(
+      `INSERT INTO order_items(order_id, product_id, variant_id, quantity, unit_price, total_price, backorder_qty, location_id, promotion_id, discount_amount, currency, tax_region, tax_rate, tax_amount, total_incl_tax, unit_cost)
+       VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16) RETURNING id;`,
+      [
+        orderId,
+        line.product_id,
+        line.variant_id,
+        line.quantity,
+        line.unit_price,
+        line.total_price,
+        backorderQty,
+        line.location_id,
+        line.promotion_id,
+        line.discount_amount,
+        line.currency,
+        line.tax_region,
+        line.tax_rate,
+        line.tax_amount,
+        line.total_incl_tax,
+        line.unit_cost,
+      ]
+    );
+    itemIds.push(itemRes.rows[0].id);
+    items.push({
+      id: itemRes.rows[0].id,
+      ...line,
+      backorder_qty: backorderQty,
+    });
+
+    await setStock(
+      client,
+      line.product_id,
+      line.location_id,
+      newQty,
+      line.variant_id
+    );
+    await client.query(
+      `INSERT INTO inventory_history(product_id, location_id, variant_id, change_qty, previous_qty, new_qty, stock_outcome, shortfall_qty)
+       VALUES($1, $2, $3, $4, $5, $6, $7, $8);`,
+      [
+        line.product_id,
+        line.location_id,
+        line.variant_id,
+        newQty - currQty,
+        currQty,
+        newQty,
+        outcome,
+        shortfallQty,
+      ]
+    );
+  }
+
+  // 6. Count the lines in the daily sales rollups
+  await addSalesToRollup(client, itemIds);
+
+  return {
+    orderId,
+    itemIds,
+    currency,
+    totalPrice: orderTotal,
+    taxAmount: orderTax,
+    totalInclTax: orderTotalInclTax,
+    items,
+  };
+}
+
+/**
+ * Records the audit trail entry for an order returned by createOrder.
+ */
+function auditOrder(client, req, order, orderDate) {
+  return recordAudit(client, req, {
+    entity: "order",
+    entityId: order.orderId,
+    action: "create",
+    after: {
+      order_date: orderDate,
+      currency: order.currency,
+      total_price: order.totalPrice,
+      tax_amount: order.taxAmount,
+      total_incl_tax: order.totalInclTax,
+      items: order.items,
+    },
+  });
+}
+
+module.exports = { createOrder, auditOrder };
@@ -0,0 +1,328 @@
+const HttpError = require("../utils/httpError");
+const { checkFields, validationError } = require("../middleware/validate");
+const { recordAudit } = require("./audit");
+const { insertCategory, checkCategoryActive } = require("./categories");
+const { resolveLocations, setStock } = require("./inventory");
+const { DEFAULT_CURRENCY } = require("../utils/currency");
+
+// CSV columns accepted by POST /api/products/import (header row required)
+const IMPORT_COLUMNS = {
+  sku: { type: "string", minLength: 1, maxLength: 64 },
+  name: { type: "string", required: true, minLength: 1, maxLength: 150 },
+  description: { type: "string" },
+  price: { type: "number", required: true, min: 0 },
+  category: { type: "string", required: true, minLength: 1, maxLength: 100 },
+  initial_quantity: { type: "integer", min: 0 },
+};
+// Columns written by GET /api/products/export that an import skips, so an
+// exported file can be edited and imported again
+const EXPORT_ONLY_COLUMNS = ["id", "quantity"];
+
+/**
+ * Checks the header row and turns each data row into a parsed object.
+ * Returns { rows: [{ line, ...fields }], count, errors: [{ in, row, field, message }] }
+ * where `line` / `row` is the 1-based line number in the file and count is
+ * the number of non-blank data rows.
+ * Throws a 400 validation error if the header itself is unusable.
+ */
+function parseRows(csvRows) {
+  if (csvRows.length === 0) {
+    throw validationError([
+      { in: "body", field: "", message: "must contain a header row." },
+    ]);
+  }
+  const header = csvRows[0].map((h) => h.trim().toLowerCase());
+  const headerErrors = [];
+  for (const h of header) {
+    if (!(h in IMPORT_COLUMNS) && !EXPORT_ONLY_COLUMNS.includes(h)) {
+      headerErrors.push({
+        in: "body",
+        field: h,
+        message: "is not a known column.",
+      });
+    }
+  }
+  for (const [name, spec] of Object.entries(IMPORT_COLUMNS)) {
+    if (spec.required && !header.includes(name)) {
+      headerErrors.push({
+        in: "body",
+        field: name,
+        message: "column is required.",
+      });
+    }
+  }
+  if (headerErrors.length > 0) throw validationError(headerErrors);
+
+  const rows = [];
+  const errors = [];
+  let count = 0;
+  csvRows.slice(1).forEach((cells, i) => {
+    const line = i + 2;
+    if (cells.every((c) => c.trim() === "")) return; // blank line
+    count++;
+    if (cells.length !== header.length) {
+      errors.push({
+        in: "body",
+        row: line,
+        field: "",
+        message: `has ${cells.length} fields; the header has ${header.length}.`,
+      });
+      return;
+    }
+    const input = Object.fromEntries(
+      header
+        .map((h, j) => [h, cells[j]])
+        .filter(([h]) => !EXPORT_ONLY_COLUMNS.includes(h))
+    );
+    const r = checkFields(input, IMPORT_COLUMNS, { emptyIsAbsent: true });
+    for (const e of r.errors) errors.push({ in: "body", row: line, ...e });
+    if (r.errors.length === 0) rows.push({ line, ...r.value });
+  });
+  return { rows, count, errors };
+}
+
+/**
+ * Imports (or, with dryRun, only plans) a product catalogue from parsed CSV
+ * rows using the given transaction client. Each row updates the product with
+ * the same sku, or the same name when the row has no sku, and otherwise
+ * creates one with initial_quantity units at the default location.
+ * Categories are matched by name (case-insensitive) and created if missing,
+ * as top-level categories. As with POST/PUT /api/products, a row cannot put a
+ * product in an archived category or change an archived product (rows that
+ * leave one unchanged are fine).
+ *
+ * Returns a report:
+ *   { dry_run, summary: { rows, created, updated, unchanged, error_rows, categories_created },
+ *     results: [{ row, action: create|update|unchanged, product_id, sku, name }],
+ *     errors: [{ in, row, field, message }] }
+ * Nothing is written when dryRun is set or any row has an error.
+ */
+async function importProducts(client, req, csvRows, { dryRun }) {
+  const { rows, count, errors } = parseRows(csvRows);
+
+  // 1. Rows in the same file must not target the same product twice
+  const seen = new Map();
+  const unique = [];
+  for (const row of rows) {
+    const key = row.sku ? `sku:${row.sku}` : `name:${row.name.toLowerCase()}`;
+    if (seen.has(key)) {
+      errors.push({
+        in: "body",
+        row: row.line,
+        field: row.sku ? "sku" : "name",
+        message: `duplicates line ${seen.get(key)}.`,
+      });
+      continue;
+    }
+    seen.set(key, row.line);
+    unique.push(row);
+  }
+
+  // 2. Find the existing products (by sku, else by name) and categories
+  const skus = unique.filter((r) => r.sku).map((r) => r.sku);
+  const names = unique.filter((r) => !r.sku).map((r) => r.name.toLowerCase());
+  const existingRes = await client.query(
+    `SELECT p.id, p.sku, p.name, p.description, p.category_id,
+            product_price_at(p.id, NOW()) AS price, p.archived_at
+     FROM products p
+     WHERE p.sku = ANY($1::text[]) OR LOWER(p.name) = ANY($2::text[])
+     FOR UPDATE;`,
+    [skus, names]
+  );
+  const bySku = new Map();
+  const byName = new Map();
+  for (const p of existingRes.rows) {
+    if (p.sku) bySku.set(p.sku, p);
+    const key = p.name.toLowerCase();
+    byName.set(key, [...(byName.get(key) || []), p]);
+  }
+
+  const catRes = await client.query("SELECT id, name FROM categories;");
+  const categories = new Map(
+    catRes.rows.map((c) => [c.name.toLowerCase(), c.id])
+  );
+  const newCategories = new Map(); // lower-cased name → name as first written
+  const activeCategories = new Set(); // ids checkCategoryActive has passed
+
+  // 3. Decide what each row does
+  const plans = [];
+  for (const row of unique) {
+    let existing = null;
+    if (row.sku) {
+      existing = bySku.get(row.sku) || null;
+    } else {
+      const matches = byName.get(row.name.toLowerCase()) || [];
+      if (matches.length > 1) {
+        errors.push({
+          in: "body",
+          row: row.line,
+          field: "name",
+          message: `matches ${matches.length} products; add a sku column to pick one.`,
+        });
+        continue;
+      }
+      existing = matches[0] || null;
+    }
+    const catKey = row.category.toLowerCase();
+    if (!categories.has(catKey) && !newCategories.has(catKey)) {
+      newCategories.set(catKey, row.category);
+    }
+
+    let action = "create";
+    if (existing) {
+      const unchanged =
+        existing.name === row.name &&
+        (row.description === undefined ||
+          existing.description === row.description) &&
+        parseFloat(existing.price) === row.price &&
+        existing.category_id === categories.get(catKey);
+      action = unchanged ? "unchanged" : "update";
+    }
+    if (action !== "unchanged" && existing?.archived_at) {
+      errors.push({
+        in: "body",
+        row: row.line,
+        field: row.sku ? "sku" : "name",
+        message: "matches an archived product; restore it first.",
+      });
+      continue;
+    }
+    const categoryId = categories.get(catKey);
+    if (
+      action !== "unchanged" &&
+      categoryId !== undefined &&
+      !activeCategories.has(categoryId)
+    ) {
+      try {
+        await checkCategoryActive(client, categoryId);
+        activeCategories.add(categoryId);
+      } catch (err) {
+        if (!(err instanceof HttpError)) throw err;
+        errors.push({
+          in: "body",
+          row: row.line,
+          field: "category",
+          message: "is archived; restore it first.",
+        });
+        continue;
+      }
+    }
+    plans.push({ row, existing, action });
+  }
+
+  const report = {
+    dry_run: dryRun,
+    summary: {
+      rows: count,
+      created: plans.filter((p) => p.action === "create").length,
+      updated: plans.filter((p) => p.action === "update").length,
+      unchanged: plans.filter((p) => p.action === "unchanged").length,
+      error_rows: new Set(errors.map((e) => e.row)).size,
+      categories_created: [...newCategories.values()],
+    },
+    results: [],
+    errors: errors.sort((a, b) => a.row - b.row),
+  };
+  const result = (plan, productId) => ({
+    row: plan.row.line,
+    action: plan.action,
+    product_id: productId,
+    sku: plan.row.sku ?? plan.existing?.sku ?? null,
+    name: plan.row.name,
+  });
+  if (dryRun || errors.length > 0) {
+    report.results = plans.map((p) => result(p, p.existing?.id ?? null));
+    return report;
+  }
+
+  // 4. Apply the plan
+  for (const name of newCategories.values()) {
+    const category = await insertCategory(client, name);
+    categories.set(name.toLowerCase(), category.id);
+    await recordAudit(client, req, {
+      entity: "category",
+      entityId: category.id,
+      action: "create",
+      after: category,
+    });
+  }
+
+  const defaultLocationId = await resolveLocations(client);
+  for (const plan of plans) {
+    const { row, existing } = plan;
+    const categoryId = categories.get(row.category.toLowerCase());
+    if (plan.action === "unchanged") {
+      report.results.push(result(plan, existing.id));
+      continue;
+    }
+
+    if (plan.action === "create") {
+      const qty = row.initial_quantity ?? 0;
+      const ins = await client.query(
+        `INSERT INTO products(sku, name, description, currency, category_id)
+         VALUES($1, $2, $3, $4, $5)
+         RETURNING id, sku, name, description, currency, category_id;`,
+        [
+          row.sku ?? null,
+          row.name,
+          row.description ?? "",
+          DEFAULT_CURRENCY,
+          categoryId,
+        ]
+      );
+      const product = ins.rows[0];
+      await client.query(
+        `INSERT INTO product_prices(product_id, price, effective_from)
+         VALUES($1, $2, NOW());`,
+        [product.id, row.price]
+      );
+      await setStock(client, product.id, defaultLocationId, qty);
+      await client.query(
+        `INSERT INTO inventory_history(product_id, location_id, change_qty, previous_qty, new_qty)
+         VALUES($1, $2, $3, $4, $5);`,
+        [product.id, defaultLocationId, qty, 0, qty]
+      );
+      await recordAudit(client, req, {
+        entity: "product",
+        entityId: product.id,
+        action: "create",
+        after: {
+          ...product,
+          price: row.price.toFixed(2),
+          initial_quantity: qty,
+          location_id: defaultLocationId,
+        },
+      });
+      report.results.push(result(plan, product.id));
+      continue;
+    }
+
+    // update: a changed price is added to the price history from now
+    if (parseFloat(existing.price) !== row.price) {
+      await client.query(
+        `INSERT INTO product_prices(product_id, price, effective_from)
+         VALUES($1, $2, NOW())
+         ON CONFLICT (product_id, effective_from) DO UPDATE SET price = EXCLUDED.price;`,
+        [existing.id, row.price]
+      );
+    }
+    const upd = await client.query(
+      `UPDATE products p
+       SET name = $1, description = COALESCE($2, description), category_id = $3, updated_at = NOW()
+       WHERE id = $4
+       RETURNING id, sku, name, description, product_price_at(p.id, NOW()) AS price, category_id;`,
+      [row.name, row.description ?? null, categoryId, existing.id]
+    );
+    await recordAudit(client, req, {
+      entity: "product",
+      entityId: existing.id,
+      action: "update",
+      before: existing,
+      after: upd.rows[0],
+    });
+    report.results.push(result(plan, existing.id));
+  }
+  return report;
+}
+
+module.exports = { IMPORT_COLUMNS, importProducts };
@@ -0,0 +1,160 @@
+const HttpError = require("../utils/httpError");
+
+// Columns returned for a promotion (see migration 012)
+const PROMOTION_COLUMNS = `id, name, kind, value, buy_quantity, get_quantity,
+  product_id, category_id, starts_at, ends_at, coupon_code, usage_limit,
+  times_used, active, created_at, updated_at`;
+
+/**
+ * Helper: SQL condition that promotion `pr` runs on the date in `dateParam`.
+ */
+function runningSql(dateParam) {
+  return `pr.active
+    AND (pr.starts_at IS NULL OR pr.starts_at <= ${dateParam})
+    AND (pr.ends_at IS NULL OR pr.ends_at > ${dateParam})`;
+}
+
+/**
+ * Helper: the discount in cents promotion `promo` gives on `quantity` units
+ * at `unitCents` each (see migration 012 for the kinds).
+ */
+function discountCents(promo, unitCents, quantity) {
+  const value = promo.value == null ? null : parseFloat(promo.value);
+  switch (promo.kind) {
+    case "percentage":
+      return Math.round((unitCents * quantity * value) / 100);
+    case "fixed":
+      return Math.min(Math.round(value * 100), unitCents) * quantity;
+    case "buy_x_get_y": {
+      const groups = Math.floor(
+        quantity / (promo.buy_quantity + promo.get_quantity)
+      );
+      const percent = value ?? 100;
+      return Math.round(
+        (groups * promo.get_quantity * unitCents * percent) / 100
+      );
+    }
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Helper: loads and locks the promotion with coupon code `code` and checks it
+ * can be used on orderDate. Throws HttpError(404) for an unknown code, or
+ * HttpError(409) if it is inactive, outside its dates or used up.
+ */
+async function redeemableCoupon(client, code, orderDate) {
+  const res = await client.query(
+    `SELECT ${PROMOTION_COLUMNS}, ${runningSql("$2")} AS running
+     FROM promotions pr WHERE coupon_code = UPPER($1) FOR UPDATE;`,
+    [code, orderDate]
+  );
+  if (res.rows.length === 0) {
+    throw new HttpError(404, "Coupon not found.", { coupon_code: code });
+  }
+  const coupon = res.rows[0];
+  if (!coupon.running) {
+    throw new HttpError(409, "Coupon is not valid on this date.", {
+      coupon_code: coupon.coupon_code,
+      active: coupon.active,
+      starts_at: coupon.starts_at,
+      ends_at: coupon.ends_at,
+    });
+  }
+  if (coupon.usage_limit != null && coupon.times_used >= coupon.usage_limit) {
+    throw new HttpError(409, "Coupon usage limit reached.", {
+      coupon_code: coupon.coupon_code,
+      usage_limit: coupon.usage_limit,
+    });
+  }
+  return coupon;
+}
+
+/**
+ * Picks the promotion for each priced sale line using the given transaction
+ * client. lines: [{ product_id, quantity, unit_price }] (unit_price a
+ * number). A line gets the coupon's promotion when couponCode is given and
+ * takes something off it, otherwise whichever promotion without a coupon
+ * that runs on orderDate and covers the product gives the largest discount.
+ *
+ * Returns [{ promotion_id, discount_amount }] in the order of `lines`
+ * (promotion_id null and discount_amount 0 where none applies), and counts
+ * one use of the coupon.
+ * Throws HttpError(404) for an unknown coupon, or HttpError(409) if the
+ * coupon is inactive, outside its dates, used up or takes nothing off any
+ * line.
+ */
+async function applyPromotions(client, lines, orderDate, couponCode = null) {
+  const coupon =
+    couponCode == null
+      ? null
+      : await redeemableCoupon(client, couponCode, orderDate);
+
+  // Promotions covering each product: for that product, a category above
+  // it, or every product
+  const productIds = [...new Set(lines.map((l) => l.product_id))];
+  const res = await client.query(
+    `SELECT p.id AS product_id, pr.id, pr.kind, pr.value, pr.buy_quantity,
+            pr.get_quantity, pr.coupon_code
+     FROM products p
+     JOIN promotions pr
+       ON pr.product_id = p.id
+       OR p.category_id IN (SELECT category_subtree(pr.category_id))
+       OR (pr.product_id IS NULL AND pr.category_id IS NULL)
+     WHERE p.id = ANY($1::int[])
+       AND ${runningSql("$2")}
+       AND (pr.coupon_code IS NULL OR pr.id = $3)
+     ORDER BY pr.id;`,
+    [productIds, orderDate, coupon ? coupon.id : null]
+  );
+  const byProduct = new Map();
+  for (const row of res.rows) {
+    if (!byProduct.has(row.product_id)) byProduct.set(row.product_id, []);
+    byProduct.get(row.product_id).push(row);
+  }
+
+  let couponUsed = false;
+  const applied = lines.map((line) => {
+    const unitCents = Math.round(line.unit_price * 100);
+    const candidates = byProduct.get(line.product_id) || [];
+    let best = null;
+    let bestCents = 0;
+    const quoted = candidates.find((c) => c.coupon_code != null);
+    const quotedCents = quoted
+      ? discountCents(quoted, unitCents, line.quantity)
+      : 0;
+    if (quotedCents > 0) {
+      best = quoted;
+      bestCents = quotedCents;
+      couponUsed = true;
+    } else {
+      for (const promo of candidates) {
+        const cents = discountCents(promo, unitCents, line.quantity);
+        if (cents > bestCents) {
+          best = promo;
+          bestCents = cents;
+        }
+      }
+    }
+    return {
+      promotion_id: best ? best.id : null,
+      discount_amount: (bestCents / 100).toFixed(2),
+    };
+  });
+
+  if (coupon) {
+    if (!couponUsed) {
+      throw new HttpError(409, "Coupon does not apply to any item.", {
+        coupon_code: coupon.coupon_code,
+      });
+    }
+    await client.query(
+      "UPDATE promotions SET times_used = times_used + 1 WHERE id = $1;",
+      [coupon.id]
+    );
+  }
+  return applied;
+}
+
+module.exports = { PROMOTION_COLUMNS, applyPromotions };
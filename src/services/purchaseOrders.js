@@ -0,0 +1,230 @@
+const HttpError = require("../utils/httpError");
+const { validationError } = require("../middleware/validate");
+const { recordAudit } = require("./audit");
+const {
+  resolveLocations,
+  resolveVariants,
+  receiveStock,
+} = require("./inventory");
+
+// Statuses a purchase order can be received in (draft ones have not been sent)
+const RECEIVABLE = ["sent", "partially_received"];
+
+// A purchase order has one line per product, or per variant of a product
+const lineKey = (l) => `${l.product_id}:${l.variant_id ?? ""}`;
+
+/**
+ * Checks the lines of a draft purchase order and the supplier and location
+ * it names, using the given transaction client. Returns the location id to
+ * use (the default location when locationId is null).
+ *
+ * lines: [{ product_id, variant_id, quantity, unit_cost }] with
+ * already-validated values.
+ * Throws a 400 validation error if a product (or variant) appears on two
+ * lines, HttpError(404) for an unknown supplier, location, products or
+ * variants, HttpError(409) for archived products, or HttpError(400) for a
+ * product with variants given without one.
+ */
+async function checkDraft(client, { supplierId, locationId, lines }) {
+  const seen = new Set();
+  const dupes = [];
+  lines.forEach((l, i) => {
+    if (seen.has(lineKey(l))) {
+      dupes.push({
+        in: "body",
+        field: `items[${i}].${
+          l.variant_id == null ? "product_id" : "variant_id"
+        }`,
+        message: "appears on more than one line.",
+      });
+    }
+    seen.add(lineKey(l));
+  });
+  if (dupes.length > 0) throw validationError(dupes);
+
+  const sup = await client.query("SELECT id FROM suppliers WHERE id = $1;", [
+    supplierId,
+  ]);
+  if (sup.rows.length === 0) throw new HttpError(404, "Supplier not found.");
+
+  const productIds = [...new Set(lines.map((l) => l.product_id))];
+  const pRes = await client.query(
+    "SELECT id, archived_at FROM products WHERE id = ANY($1::int[]);",
+    [productIds]
+  );
+  const known = new Set(pRes.rows.map((r) => r.id));
+  const missing = productIds.filter((id) => !known.has(id));
+  if (missing.length > 0) {
+    throw new HttpError(404, "Product not found.", { product_ids: missing });
+  }
+  const archived = pRes.rows.filter((r) => r.archived_at).map((r) => r.id);
+  if (archived.length > 0) {
+    throw new HttpError(409, "Archived products cannot be ordered.", {
+      product_ids: archived,
+    });
+  }
+  await resolveVariants(client, lines);
+
+  const defaultLocationId = await resolveLocations(client, [locationId]);
+  return locationId ?? defaultLocationId;
+}
+
+/**
+ * Replaces the lines of a (draft) purchase order.
+ */
+async function writeLines(client, purchaseOrderId, lines) {
+  await client.query(
+    "DELETE FROM purchase_order_items WHERE purchase_order_id = $1;",
+    [purchaseOrderId]
+  );
+  for (const l of lines) {
+    await client.query(
+      `INSERT INTO purchase_order_items(purchase_order_id, product_id, variant_id, quantity_ordered, unit_cost)
+       VALUES($1, $2, $3, $4, $5);`,
+      [
+        purchaseOrderId,
+        l.product_id,
+        l.variant_id ?? null,
+        l.quantity,
+        l.unit_cost ?? null,
+      ]
+    );
+  }
+}
+
+/**
+ * Books stock arriving on a purchase order using the given transaction
+ * client. For every received line this:
+ *   - averages the units into the product's unit_cost at the line's
+ *     unit_cost (see receiveStock in services/inventory.js),
+ *   - increments inventory of the line's product (or variant) at the
+ *     purchase order's location,
+ *   - writes an inventory_history row tagged with the purchase order id,
+ *   - adds the units to the line's quantity_received.
+ * The order then becomes `received` when every line is complete, otherwise
+ * `partially_received`, and the change is audited.
+ *
+ * receipts: [{ product_id, variant_id, quantity }], or null to receive
+ * everything still outstanding.
+ * Returns false if the purchase order does not exist.
+ * Throws HttpError(409) if the order is not sent yet (or already received)
+ * or a receipt exceeds what is outstanding on its line, and a 400 validation
+ * error for products (or variants) not on the order; any of these rolls the transaction back.
+ */
+async function receivePurchaseOrder(client, req, purchaseOrderId, receipts) {
+  // 1. Lock the order and its lines so concurrent receipts cannot overshoot
+  const poRes = await client.query(
+    `SELECT id, status, location_id, received_at
+     FROM purchase_orders WHERE id = $1 FOR UPDATE;`,
+    [purchaseOrderId]
+  );
+  if (poRes.rows.length === 0) return false;
+  const po = poRes.rows[0];
+  if (!RECEIVABLE.includes(po.status)) {
+    throw new HttpError(
+      409,
+      "Only sent or partially received purchase orders can be received.",
+      { status: po.status }
+    );
+  }
+  const itemsRes = await client.query(
+    `SELECT id, product_id, variant_id, quantity_ordered, quantity_received,
+            unit_cost
+     FROM purchase_order_items WHERE purchase_order_id = $1
+     ORDER BY product_id, variant_id FOR UPDATE;`,
+    [purchaseOrderId]
+  );
+  const lines = new Map(itemsRes.rows.map((r) => [lineKey(r), r]));
+  const outstanding = (line) => line.quantity_ordered - line.quantity_received;
+
+  // 2. Work out what arrives on each line
+  let arriving;
+  if (receipts == null) {
+    arriving = itemsRes.rows
+      .filter((line) => outstanding(line) > 0)
+      .map((line) => ({ line, quantity: outstanding(line) }));
+  } else {
+    const errors = [];
+    const seen = new Set();
+    receipts.forEach((r, i) => {
+      const field = `items[${i}].${
+        r.variant_id == null ? "product_id" : "variant_id"
+      }`;
+      if (!lines.has(lineKey(r))) {
+        errors.push({
+          in: "body",
+          field,
+          message: "is not on this purchase order.",
+        });
+      } else if (seen.has(lineKey(r))) {
+        errors.push({
+          in: "body",
+          field,
+          message: "appears on more than one line.",
+        });
+      }
+      seen.add(lineKey(r));
+    });
+    if (errors.length > 0) throw validationError(errors);
+
+    arriving = receipts.map((r) => ({
+      line: lines.get(lineKey(r)),
+      quantity: r.quantity,
+    }));
+    const over = arriving.find((a) => a.quantity > outstanding(a.line));
+    if (over) {
+      throw new HttpError(409, "Receipt exceeds the quantity outstanding.", {
+        product_id: over.line.product_id,
+        variant_id: over.line.variant_id,
+        requested_quantity: over.quantity,
+        outstanding_quantity: outstanding(over.line),
+      });
+    }
+  }
+  arriving.sort((a, b) => a.line.id - b.line.id);
+
+  // 3. Put the units on the shelf at the order's location
+  for (const { line, quantity } of arriving) {
+    await receiveStock(client, {
+      productId: line.product_id,
+      variantId: line.variant_id,
+      locationId: po.location_id,
+      quantity,
+      unitCost: line.unit_cost,
+      purchaseOrderId: po.id,
+    });
+    await client.query(
+      `UPDATE purchase_order_items SET quantity_received = quantity_received + $1
+       WHERE id = $2;`,
+      [quantity, line.id]
+    );
+    line.quantity_received += quantity;
+  }
+
+  // 4. Complete the order once every line has arrived
+  const complete = itemsRes.rows.every((line) => outstanding(line) === 0);
+  const after = await client.query(
+    `UPDATE purchase_orders
+     SET status = $1, received_at = CASE WHEN $2 THEN NOW() ELSE received_at END
+     WHERE id = $3
+     RETURNING id, status, received_at;`,
+    [complete ? "received" : "partially_received", complete, po.id]
+  );
+  await recordAudit(client, req, {
+    entity: "purchase_order",
+    entityId: po.id,
+    action: "update",
+    before: { id: po.id, status: po.status, received_at: po.received_at },
+    after: {
+      ...after.rows[0],
+      received: arriving.map((a) => ({
+        product_id: a.line.product_id,
+        variant_id: a.line.variant_id,
+        quantity: a.quantity,
+      })),
+    },
+  });
+  return true;
+}
+
+module.exports = { checkDraft, writeLines, receivePurchaseOrder };
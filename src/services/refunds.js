@@ -0,0 +1,98 @@
+const HttpError = require("../utils/httpError");
+const { recordAudit } = require("./audit");
+const { receiveStock } = require("./inventory");
+const { addRefundToRollup } = require("./salesRollup");
+
+/**
+ * Refunds part or all of a sale (one order line) using the given
+ * transaction client. This:
+ *   - checks the quantity against what is still refundable on the line,
+ *   - inserts a refunds row worth the line's share of total_price (what was
+ *     paid, after any discount) and of its tax_amount for quantity units and
+ *     adds it to the daily sales rollups,
+ *   - when `restock` is set, puts the units back into inventory at the
+ *     location (and variant) the sale came from, at the unit cost they were
+ *     sold at, and writes an inventory_history row tagged
+ *     with the refund id,
+ *   - records the audit trail entry.
+ *
+ * Returns the refund row, or null if the sale does not exist.
+ * Throws HttpError(409) if the quantity exceeds what is still refundable,
+ * which rolls the surrounding transaction back.
+ */
+async function createRefund(client, req, saleId, quantity, { restock }) {
+  // 1. Lock the line so concurrent refunds cannot both pass the check
+  const saleRes = await client.query(
+    `SELECT id, product_id, variant_id, location_id, quantity, total_price,
+            tax_amount, unit_cost
+     FROM order_items WHERE id = $1 FOR UPDATE;`,
+    [saleId]
+  );
+  if (saleRes.rows.length === 0) return null;
+  const sale = saleRes.rows[0];
+
+  const refundedRes = await client.query(
+    `SELECT COALESCE(SUM(quantity), 0)::int AS quantity,
+            COALESCE(SUM(amount), 0) AS amount,
+            COALESCE(SUM(tax_amount), 0) AS tax_amount
+     FROM refunds WHERE sale_id = $1;`,
+    [saleId]
+  );
+  const refundable = sale.quantity - refundedRes.rows[0].quantity;
+  if (quantity > refundable) {
+    throw new HttpError(409, "Refund exceeds the quantity still refundable.", {
+      sale_id: saleId,
+      requested_quantity: quantity,
+      refundable_quantity: refundable,
+    });
+  }
+
+  // 2. Record the refund at the price the line was sold for. A discount is
+  //    spread evenly over the units; the last refund takes what is left, so
+  //    the refunds of a line add up to its total_price (and tax_amount)
+  const share = (total, refunded) => {
+    const totalCents = Math.round(parseFloat(total) * 100);
+    const cents =
+      quantity === refundable
+        ? totalCents - Math.round(parseFloat(refunded) * 100)
+        : Math.round((totalCents * quantity) / sale.quantity);
+    return (cents / 100).toFixed(2);
+  };
+  const amount = share(sale.total_price, refundedRes.rows[0].amount);
+  const taxAmount = share(sale.tax_amount, refundedRes.rows[0].tax_amount);
+  const refundRes = await client.query(
+    `INSERT INTO refunds(sale_id, quantity, amount, tax_amount, restocked)
+     VALUES($1, $2, $3, $4, $5)
+     RETURNING id, sale_id, quantity, amount, tax_amount, restocked, refund_date;`,
+    [saleId, quantity, amount, taxAmount, restock]
+  );
+  const refund = refundRes.rows[0];
+  await addRefundToRollup(client, refund.id);
+
+  // 3. Put the units back on the shelf
+  if (restock) {
+    await receiveStock(client, {
+      productId: sale.product_id,
+      variantId: sale.variant_id,
+      locationId: sale.location_id,
+      quantity,
+      unitCost: sale.unit_cost,
+      refundId: refund.id,
+    });
+  }
+
+  await recordAudit(client, req, {
+    entity: "refund",
+    entityId: refund.id,
+    action: "create",
+    after: {
+      ...refund,
+      product_id: sale.product_id,
+      variant_id: sale.variant_id,
+      location_id: sale.location_id,
+    },
+  });
+  return refund;
+}
+
+module.exports = { createRefund };
@@ -0,0 +1,484 @@
+const HttpError = require("../utils/httpError");
+const { validationError } = require("../middleware/validate");
+const { DEFAULT_TIMEZONE, localMidnightSql } = require("../utils/dates");
+const { DEFAULT_CURRENCY } = require("../utils/currency");
+const { rollupTimezone } = require("./salesRollup");
+const { categoryFilterSql } = require("./categories");
+
+// Most buckets one aggregate series may have
+const MAX_BUCKETS = 2000;
+
+/**
+ * Helper: bucketing for a calendar unit date_trunc knows (day, week, month,
+ * quarter, year), one unit per bucket.
+ */
+function calendarBucketing(unit, step, labelFormat) {
+  return {
+    step,
+    alignSql: (ts) => `DATE_TRUNC('${unit}', ${ts})`,
+    bucketSql: (ts) => `DATE_TRUNC('${unit}', ${ts})`,
+    labelFormat,
+    startFormat: "YYYY-MM-DD",
+    wholeDays: true,
+  };
+}
+
+// Buckets for each ?period= of GET /api/sales/aggregate
+const PERIODS = {
+  daily: calendarBucketing("day", "1 day", "YYYY-MM-DD"),
+  weekly: calendarBucketing("week", "1 week", "IYYY-IW"), // ISO week
+  monthly: calendarBucketing("month", "1 month", "YYYY-MM"),
+  quarterly: calendarBucketing("quarter", "3 months", 'YYYY-"Q"Q'),
+  yearly: calendarBucketing("year", "1 year", "YYYY"),
+};
+
+/**
+ * Parses an ?interval= of GET /api/sales/aggregate such as "6 hours" or
+ * "2 weeks" into its bucketing, or null if it is not one.
+ * Hour, day and week buckets start at local midnight of startDate (or of the
+ * first sale); month, quarter and year buckets at the start of its month.
+ */
+function parseBucketInterval(interval) {
+  const m = /^\s*(\d{1,4})\s*(hour|day|week|month|quarter|year)s?\s*$/i.exec(
+    interval
+  );
+  if (!m || Number(m[1]) < 1) return null;
+  const count = Number(m[1]);
+  const unit = m[2].toLowerCase();
+
+  if (["hour", "day", "week"].includes(unit)) {
+    return {
+      step: `${count} ${unit}s`,
+      alignSql: (ts) => `DATE_TRUNC('day', ${ts})`,
+      bucketSql: (ts, origin, step) =>
+        `${origin} + ${step} * FLOOR(EXTRACT(EPOCH FROM ${ts} - ${origin}) / EXTRACT(EPOCH FROM ${step}))`,
+      labelFormat: unit === "hour" ? "YYYY-MM-DD HH24:MI" : "YYYY-MM-DD",
+      startFormat: unit === "hour" ? 'YYYY-MM-DD"T"HH24:MI' : "YYYY-MM-DD",
+      wholeDays: unit !== "hour",
+    };
+  }
+  const months = count * { month: 1, quarter: 3, year: 12 }[unit];
+  const monthIndex = (ts) =>
+    `(EXTRACT(YEAR FROM ${ts}) * 12 + EXTRACT(MONTH FROM ${ts}))`;
+  return {
+    step: `${months} months`,
+    alignSql: (ts) => `DATE_TRUNC('month', ${ts})`,
+    bucketSql: (ts, origin, step) => {
+      const monthsSinceOrigin = `${monthIndex(ts)} - ${monthIndex(origin)}`;
+      return `${origin} + ${step} * FLOOR((${monthsSinceOrigin}) / ${months})`;
+    },
+    labelFormat: "YYYY-MM",
+    startFormat: "YYYY-MM-DD",
+    wholeDays: true,
+  };
+}
+
+// What an aggregate can split its series by
+const AGGREGATE_GROUPS = {
+  category: {
+    key: "p.category_id",
+    idField: "category_id",
+    nameField: "category_name",
+    namesSql: "SELECT id, name FROM categories WHERE id = ANY($1::int[]);",
+  },
+  product: {
+    key: "p.id",
+    idField: "product_id",
+    nameField: "product_name",
+    namesSql: "SELECT id, name FROM products WHERE id = ANY($1::int[]);",
+  },
+};
+
+/**
+ * Turns the shared sale filters (startDate, endDate, product_id, category_id,
+ * include_descendants, tz; see the sales routes) into SQL conditions on `sales s JOIN products p`,
+ * pushing their values onto `values`. Dates are calendar days in tz (the
+ * business time zone by default) and endDate includes the whole day.
+ */
+function saleFilterSql(
+  {
+    startDate,
+    endDate,
+    product_id,
+    category_id,
+    include_descendants,
+    tz = DEFAULT_TIMEZONE,
+  },
+  values
+) {
+  const filters = [];
+  if (startDate || endDate) values.push(tz);
+  const tzParam = `$${values.length}`;
+  if (startDate) {
+    values.push(startDate);
+    const start = localMidnightSql(`$${values.length}::date`, tzParam);
+    filters.push(`s.sale_date >= ${start}`);
+  }
+  if (endDate) {
+    // up to the midnight after endDate, to include the entire endDate
+    values.push(endDate);
+    const end = localMidnightSql(`$${values.length}::date + 1`, tzParam);
+    filters.push(`s.sale_date < ${end}`);
+  }
+  if (product_id != null) {
+    values.push(product_id);
+    filters.push(`s.product_id = $${values.length}`);
+  }
+  if (category_id != null) {
+    values.push(category_id);
+    filters.push(
+      categoryFilterSql(
+        "p.category_id",
+        `$${values.length}`,
+        include_descendants
+      )
+    );
+  }
+  return filters;
+}
+
+/**
+ * Helper: the same filters as saleFilterSql, on `sales_daily_rollups r JOIN
+ * products p` (whose days are already in the rollup time zone).
+ */
+function rollupFilterSql(
+  { startDate, endDate, product_id, category_id, include_descendants },
+  values
+) {
+  const filters = [];
+  if (startDate) {
+    values.push(startDate);
+    filters.push(`r.sale_day >= $${values.length}::date`);
+  }
+  if (endDate) {
+    values.push(endDate);
+    filters.push(`r.sale_day <= $${values.length}::date`);
+  }
+  if (product_id != null) {
+    values.push(product_id);
+    filters.push(`r.product_id = $${values.length}`);
+  }
+  if (category_id != null) {
+    values.push(category_id);
+    filters.push(
+      categoryFilterSql(
+        "p.category_id",
+        `$${values.length}`,
+        include_descendants
+      )
+    );
+  }
+  return filters;
+}
+
+/**
+ * Helper: whether a report in time zone `tz` can read the daily rollups:
+ * they must be kept in that time zone and the report must not split days.
+ */
+async function canUseRollups(client, tz, wholeDays) {
+  return wholeDays && (await rollupTimezone(client)) === tz;
+}
+
+/**
+ * Helper: SQL for the rows a report sums, filtered by `filters` (see
+ * saleFilterSql), with columns local_date (a timestamp in tz), group_key,
+ * gross_revenue (before discounts), discount_amount, quantity,
+ * refunded_amount, refunded_qty, cost_amount (unit_cost of the units sold)
+ * and refunded_cost (of the refunded units that were restocked). The rows are
+ * order lines from the sales view, or with fromRollups one row per product
+ * and day from sales_daily_rollups.
+ * Amounts are converted to filters.currency (default DEFAULT_CURRENCY) at
+ * the exchange rate of the sale's day; the columns currency and rate give
+ * the sale's currency and that rate (NULL if there is none, see
+ * checkExchangeRates).
+ */
+function reportRowsSql(
+  filters,
+  values,
+  { fromRollups, groupKey = "NULL::int" }
+) {
+  let from, where;
+  if (fromRollups) {
+    where = rollupFilterSql(filters, values);
+    values.push(filters.currency ?? DEFAULT_CURRENCY);
+    from = `
+      SELECT
+        r.sale_day::timestamp AS local_date,
+        ${groupKey} AS group_key,
+        r.gross_revenue * x.rate AS gross_revenue,
+        r.discount_amount * x.rate AS discount_amount, r.quantity,
+        r.refunded_amount * x.rate AS refunded_amount, r.refunded_qty,
+        r.cost_amount * x.rate AS cost_amount,
+        r.refunded_cost * x.rate AS refunded_cost,
+        r.currency, x.rate
+      FROM sales_daily_rollups r
+      JOIN products p ON r.product_id = p.id
+      CROSS JOIN LATERAL (
+        SELECT exchange_rate_at(r.currency, $${values.length}, r.sale_day) AS rate
+      ) x
+    `;
+  } else {
+    where = saleFilterSql(filters, values);
+    values.push(filters.tz ?? DEFAULT_TIMEZONE);
+    const localDate = `(s.sale_date AT TIME ZONE $${values.length})`;
+    values.push(filters.currency ?? DEFAULT_CURRENCY);
+    from = `
+      SELECT
+        ${localDate} AS local_date,
+        ${groupKey} AS group_key,
+        (s.total_price + s.discount_amount) * x.rate AS gross_revenue,
+        s.discount_amount * x.rate AS discount_amount, s.quantity,
+        s.refunded_amount * x.rate AS refunded_amount, s.refunded_qty,
+        COALESCE(s.unit_cost, 0) * s.quantity * x.rate AS cost_amount,
+        COALESCE(s.unit_cost, 0) * s.restocked_qty * x.rate AS refunded_cost,
+        s.currency, x.rate
+      FROM sales s
+      JOIN products p ON s.product_id = p.id
+      CROSS JOIN LATERAL (
+        SELECT exchange_rate_at(s.currency, $${values.length}, ${localDate}::date) AS rate
+      ) x
+    `;
+  }
+  return where.length > 0 ? `${from} WHERE ${where.join(" AND ")}` : from;
+}
+
+/**
+ * Helper: SQL for the gross margin columns of a report, given SQL for its
+ * net revenue and its cost of goods sold (both rounded to the cent):
+ * cogs, gross_profit = revenue - cogs and margin_percent = gross_profit as a
+ * percentage of revenue (null without revenue).
+ */
+function marginSql(revenue, cogs) {
+  return `${cogs} AS cogs,
+    ${revenue} - ${cogs} AS gross_profit,
+    ROUND((${revenue} - ${cogs}) / NULLIF(${revenue}, 0) * 100, 2)::float8 AS margin_percent`;
+}
+
+/**
+ * Checks that the rows of a report (rowsSql and its values, from
+ * reportRowsSql) can all be converted to the reporting currency.
+ * Throws HttpError(409) naming the first sale currency and day without an
+ * exchange rate.
+ */
+async function checkExchangeRates(client, rowsSql, values, currency) {
+  const res = await client.query(
+    `SELECT f.currency, TO_CHAR(f.local_date, 'YYYY-MM-DD') AS date
+     FROM (${rowsSql}) f
+     WHERE f.rate IS NULL
+     ORDER BY f.local_date, f.currency
+     LIMIT 1;`,
+    values
+  );
+  if (res.rows.length > 0) {
+    throw new HttpError(
+      409,
+      "No exchange rate to the reporting currency for some sales.",
+      {
+        currency: res.rows[0].currency,
+        reporting_currency: currency ?? DEFAULT_CURRENCY,
+        date: res.rows[0].date,
+      }
+    );
+  }
+}
+
+/**
+ * Sales totals per time bucket, for GET /api/sales/aggregate.
+ *
+ * params: { bucketing (from PERIODS or parseBucketInterval), startDate,
+ *           endDate, product_id, category_id, include_descendants, group_by,
+ *           tz, currency }
+ * Every bucket from startDate (or the first sale) to endDate (or the last
+ * sale) is returned, newest first, with zeros where nothing sold:
+ *   [{ period_label, period_start, total_revenue, total_quantity,
+ *      gross_revenue, discount_amount, net_revenue, refunded_revenue,
+ *      refunded_quantity, cogs, gross_profit, margin_percent }…]
+ * where net_revenue = gross_revenue - discount_amount and total_revenue =
+ * net_revenue - refunded_revenue, all in currency (default DEFAULT_CURRENCY)
+ * and excluding tax; cogs is the cost of the units sold less those refunded
+ * back into stock (see marginSql).
+ * With group_by, one such series per category (or product) that sold:
+ *   [{ category_id, category_name, series: [...] }…]
+ *
+ * The sums come from the daily rollups when they cover the request (see
+ * canUseRollups), otherwise from the sales view; options.useRollups forces
+ * one or the other.
+ * Throws a 400 validation error if a series would exceed MAX_BUCKETS, or
+ * HttpError(409) if a sale has no exchange rate to currency.
+ */
+async function aggregateSales(client, params, options = {}) {
+  const { bucketing, startDate, endDate, tz = DEFAULT_TIMEZONE } = params;
+  const fromRollups =
+    options.useRollups ??
+    (await canUseRollups(client, tz, bucketing.wholeDays));
+  const group = params.group_by ? AGGREGATE_GROUPS[params.group_by] : null;
+
+  const values = [];
+  const rowsSql = reportRowsSql(params, values, {
+    fromRollups,
+    groupKey: group ? group.key : undefined,
+  });
+  await checkExchangeRates(client, rowsSql, values, params.currency);
+  let rangeStart = "NULL::timestamp";
+  if (startDate) {
+    values.push(startDate);
+    rangeStart = `$${values.length}::date::timestamp`;
+  }
+  let rangeLast = "NULL::timestamp";
+  if (endDate) {
+    values.push(endDate);
+    rangeLast = `(($${values.length}::date + 1)::timestamp - INTERVAL '1 microsecond')`;
+  }
+  values.push(bucketing.step);
+  const step = `$${values.length}::interval`;
+  const origin = bucketing.alignSql(`COALESCE(${rangeStart}, MIN(local_date))`);
+  const bucketOf = (ts) => bucketing.bucketSql(ts, "bounds.origin", step);
+  const lastBucket = bucketOf("bounds.last_date");
+  // Ungrouped, the single series is filled in even when nothing sold
+  const groupsSql = group
+    ? "SELECT DISTINCT group_key FROM totals"
+    : "SELECT NULL::int AS group_key";
+
+  const result = await client.query(
+    `
+    WITH filtered AS (${rowsSql}),
+    bounds AS (
+      SELECT
+        ${origin} AS origin,
+        COALESCE(${rangeLast}, MAX(local_date)) AS last_date
+      FROM filtered
+    ),
+    buckets AS (
+      SELECT b AS bucket_start
+      FROM bounds, generate_series(bounds.origin, ${lastBucket}, ${step}) b
+      LIMIT ${MAX_BUCKETS + 1}
+    ),
+    totals AS (
+      SELECT
+        ${bucketOf("f.local_date")} AS bucket_start,
+        f.group_key,
+        SUM(f.gross_revenue - f.discount_amount - f.refunded_amount) AS total_revenue,
+        SUM(f.quantity - f.refunded_qty) AS total_quantity,
+        SUM(f.gross_revenue) AS gross_revenue,
+        SUM(f.discount_amount) AS discount_amount,
+        SUM(f.refunded_amount) AS refunded_revenue,
+        SUM(f.refunded_qty) AS refunded_quantity,
+        SUM(f.cost_amount - f.refunded_cost) AS cogs
+      FROM filtered f, bounds
+      GROUP BY 1, 2
+    ),
+    groups AS (${groupsSql})
+    SELECT
+      g.group_key,
+      (SELECT COUNT(*) FROM buckets)::int AS bucket_count,
+      TO_CHAR(b.bucket_start, '${bucketing.labelFormat}') AS period_label,
+      TO_CHAR(b.bucket_start, '${bucketing.startFormat}') AS period_start,
+      COALESCE(t.total_revenue, 0)::NUMERIC(14,2) AS total_revenue,
+      COALESCE(t.total_quantity, 0) AS total_quantity,
+      COALESCE(t.gross_revenue, 0)::NUMERIC(14,2) AS gross_revenue,
+      COALESCE(t.discount_amount, 0)::NUMERIC(14,2) AS discount_amount,
+      COALESCE(t.gross_revenue - t.discount_amount, 0)::NUMERIC(14,2) AS net_revenue,
+      COALESCE(t.refunded_revenue, 0)::NUMERIC(14,2) AS refunded_revenue,
+      COALESCE(t.refunded_quantity, 0) AS refunded_quantity,
+      ${marginSql(
+        "COALESCE(t.total_revenue, 0)::NUMERIC(14,2)",
+        "COALESCE(t.cogs, 0)::NUMERIC(14,2)"
+      )}
+    FROM buckets b
+    CROSS JOIN groups g
+    LEFT JOIN totals t
+      ON t.bucket_start = b.bucket_start
+      AND t.group_key IS NOT DISTINCT FROM g.group_key
+    ORDER BY g.group_key NULLS LAST, b.bucket_start DESC;
+    `,
+    values
+  );
+  if (result.rows.length > 0 && result.rows[0].bucket_count > MAX_BUCKETS) {
+    throw validationError([
+      {
+        in: "query",
+        field: params.period != null ? "period" : "interval",
+        message: `gives more than ${MAX_BUCKETS} buckets; narrow the date range or use longer buckets.`,
+      },
+    ]);
+  }
+
+  // One series, or one per group in the order the query returned them
+  const seriesByKey = new Map();
+  for (const row of result.rows) {
+    const { group_key: key, bucket_count: _count, ...bucket } = row;
+    if (!seriesByKey.has(key)) seriesByKey.set(key, []);
+    seriesByKey.get(key).push(bucket);
+  }
+  if (!group) return seriesByKey.get(null) || [];
+
+  const keys = [...seriesByKey.keys()];
+  const ids = keys.filter((k) => k != null);
+  const names = await client.query(group.namesSql, [ids]);
+  const nameById = new Map(names.rows.map((r) => [r.id, r.name]));
+  return keys.map((key) => ({
+    [group.idField]: key,
+    [group.nameField]: key == null ? null : nameById.get(key),
+    series: seriesByKey.get(key),
+  }));
+}
+
+/**
+ * Sales totals for one date range, for GET /api/sales/comparison.
+ *
+ * params: { startDate, endDate, product_id, category_id, tz, currency }
+ * Returns { total_revenue, total_quantity, gross_revenue, discount_amount,
+ *           net_revenue, refunded_revenue, refunded_quantity, cogs,
+ *           gross_profit, margin_percent } in currency,
+ * reading the daily rollups when they are kept
+ * in tz (options.useRollups forces one source or the other).
+ * Throws HttpError(409) if a sale has no exchange rate to currency.
+ */
+async function rangeTotals(client, params, options = {}) {
+  const { tz = DEFAULT_TIMEZONE } = params;
+  const fromRollups =
+    options.useRollups ?? (await canUseRollups(client, tz, true));
+
+  const values = [];
+  const rowsSql = reportRowsSql(params, values, { fromRollups });
+  await checkExchangeRates(client, rowsSql, values, params.currency);
+  const r = await client.query(
+    `SELECT
+       SUM(f.gross_revenue - f.discount_amount - f.refunded_amount)::NUMERIC(14,2) AS total_revenue,
+       SUM(f.quantity - f.refunded_qty) AS total_quantity,
+       SUM(f.gross_revenue)::NUMERIC(14,2) AS gross_revenue,
+       SUM(f.discount_amount)::NUMERIC(14,2) AS discount_amount,
+       SUM(f.gross_revenue - f.discount_amount)::NUMERIC(14,2) AS net_revenue,
+       SUM(f.refunded_amount)::NUMERIC(14,2) AS refunded_revenue,
+       SUM(f.refunded_qty) AS refunded_quantity,
+       ${marginSql(
+         "SUM(f.gross_revenue - f.discount_amount - f.refunded_amount)::NUMERIC(14,2)",
+         "SUM(f.cost_amount - f.refunded_cost)::NUMERIC(14,2)"
+       )}
+     FROM (${rowsSql}) f;`,
+    values
+  );
+  return {
+    total_revenue: r.rows[0].total_revenue || 0,
+    total_quantity: parseInt(r.rows[0].total_quantity || 0, 10),
+    gross_revenue: r.rows[0].gross_revenue || 0,
+    discount_amount: r.rows[0].discount_amount || 0,
+    net_revenue: r.rows[0].net_revenue || 0,
+    refunded_revenue: r.rows[0].refunded_revenue || 0,
+    refunded_quantity: parseInt(r.rows[0].refunded_quantity || 0, 10),
+    cogs: r.rows[0].cogs || 0,
+    gross_profit: r.rows[0].gross_profit || 0,
+    margin_percent: r.rows[0].margin_percent,
+  };
+}
+
+module.exports = {
+  PERIODS,
+  parseBucketInterval,
+  saleFilterSql,
+  reportRowsSql,
+  marginSql,
+  checkExchangeRates,
+  aggregateSales,
+  rangeTotals,
+};
@@ -0,0 +1,125 @@
+// Sums one rollup row per day (in the rollup time zone), product and
+// currency; gross_revenue is before discounts (total_price + discount_amount)
+// and, like every amount in the rollups, excludes tax. cost_amount and
+// refunded_cost are the unit_cost of the units sold and of the refunded units
+// that were restocked
+const ROLLUP_COLUMNS =
+  "sale_day, product_id, currency, quantity, gross_revenue, discount_amount, refunded_qty, refunded_amount, cost_amount, refunded_cost";
+const ADD_TO_ROLLUP = `
+  ON CONFLICT (sale_day, product_id, currency) DO UPDATE SET
+    quantity = sales_daily_rollups.quantity + EXCLUDED.quantity,
+    gross_revenue = sales_daily_rollups.gross_revenue + EXCLUDED.gross_revenue,
+    discount_amount = sales_daily_rollups.discount_amount + EXCLUDED.discount_amount,
+    refunded_qty = sales_daily_rollups.refunded_qty + EXCLUDED.refunded_qty,
+    refunded_amount = sales_daily_rollups.refunded_amount + EXCLUDED.refunded_amount,
+    cost_amount = sales_daily_rollups.cost_amount + EXCLUDED.cost_amount,
+    refunded_cost = sales_daily_rollups.refunded_cost + EXCLUDED.refunded_cost
+`;
+
+/**
+ * Returns the time zone whose calendar days the rollups are kept in.
+ */
+async function rollupTimezone(client) {
+  const res = await client.query("SELECT timezone FROM sales_rollup_settings;");
+  return res.rows[0].timezone;
+}
+
+/**
+ * Adds newly inserted order lines to the daily rollups, using the given
+ * transaction client (so they appear in the reports together with the sale).
+ */
+async function addSalesToRollup(client, itemIds) {
+  await client.query(
+    `INSERT INTO sales_daily_rollups(${ROLLUP_COLUMNS})
+     SELECT
+       (o.order_date AT TIME ZONE st.timezone)::date,
+       oi.product_id,
+       oi.currency,
+       SUM(oi.quantity),
+       SUM(oi.total_price + oi.discount_amount),
+       SUM(oi.discount_amount),
+       0,
+       0,
+       SUM(COALESCE(oi.unit_cost, 0) * oi.quantity),
+       0
+     FROM order_items oi
+     JOIN orders o ON oi.order_id = o.id
+     CROSS JOIN sales_rollup_settings st
+     WHERE oi.id = ANY($1::int[])
+     GROUP BY 1, 2, 3
+     ${ADD_TO_ROLLUP};`,
+    [itemIds]
+  );
+}
+
+/**
+ * Adds a newly inserted refund to the daily rollups, against the day of the
+ * sale it reverses, using the given transaction client.
+ */
+async function addRefundToRollup(client, refundId) {
+  await client.query(
+    `INSERT INTO sales_daily_rollups(${ROLLUP_COLUMNS})
+     SELECT
+       (o.order_date AT TIME ZONE st.timezone)::date,
+       oi.product_id,
+       oi.currency,
+       0,
+       0,
+       0,
+       r.quantity,
+       r.amount,
+       0,
+       CASE WHEN r.restocked THEN COALESCE(oi.unit_cost, 0) * r.quantity ELSE 0 END
+     FROM refunds r
+     JOIN order_items oi ON r.sale_id = oi.id
+     JOIN orders o ON oi.order_id = o.id
+     CROSS JOIN sales_rollup_settings st
+     WHERE r.id = $1
+     ${ADD_TO_ROLLUP};`,
+    [refundId]
+  );
+}
+
+/**
+ * Recomputes every rollup row from the sales view, with days in `timezone`
+ * (an IANA name), using the given transaction client. Sales and refunds
+ * recorded meanwhile wait for the rebuild to commit, then add themselves.
+ *
+ * Returns { timezone, rows, days } for the rebuilt table.
+ */
+async function rebuildSalesRollup(client, timezone) {
+  await client.query("LOCK TABLE sales_daily_rollups IN EXCLUSIVE MODE;");
+  await client.query("DELETE FROM sales_daily_rollups;");
+  await client.query("UPDATE sales_rollup_settings SET timezone = $1;", [
+    timezone,
+  ]);
+  await client.query(
+    `INSERT INTO sales_daily_rollups(${ROLLUP_COLUMNS})
+     SELECT
+       (sale_date AT TIME ZONE $1)::date,
+       product_id,
+       currency,
+       SUM(quantity),
+       SUM(total_price + discount_amount),
+       SUM(discount_amount),
+       SUM(refunded_qty),
+       SUM(refunded_amount),
+       SUM(COALESCE(unit_cost, 0) * quantity),
+       SUM(COALESCE(unit_cost, 0) * restocked_qty)
+     FROM sales
+     GROUP BY 1, 2, 3;`,
+    [timezone]
+  );
+  const res = await client.query(
+    `SELECT COUNT(*)::int AS rows, COUNT(DISTINCT sale_day)::int AS days
+     FROM sales_daily_rollups;`
+  );
+  return { timezone, ...res.rows[0] };
+}
+
+module.exports = {
+  rollupTimezone,
+  addSalesToRollup,
+  addRefundToRollup,
+  rebuildSalesRollup,
+};
@@ -0,0 +1,62 @@
+const HttpError = require("../utils/httpError");
+
+/**
+ * What to do when a sale asks for more units than are in stock:
+ *   - reject:    refuse the sale with 409 and the available quantity.
+ *   - backorder: record the full sale, stock goes to zero and the missing
+ *                units are tracked as backorder_qty.
+ *   - clamp:     record the full sale and clamp stock at zero (legacy behaviour).
+ */
+const STOCK_POLICIES = ["reject", "backorder", "clamp"];
+
+// Set with STOCK_POLICY in .env; defaults to rejecting oversells
+const DEFAULT_STOCK_POLICY = process.env.STOCK_POLICY || "reject";
+if (!STOCK_POLICIES.includes(DEFAULT_STOCK_POLICY)) {
+  throw new Error(
+    `STOCK_POLICY must be one of: ${STOCK_POLICIES.join(
+      ", "
+    )} (got "${DEFAULT_STOCK_POLICY}").`
+  );
+}
+
+/**
+ * Works out how a sale of `requested` units affects a product holding
+ * `available` units at one location under `policy`. `stockRow` is
+ * { product_id, location_id }, echoed back in the 409 details.
+ *
+ * Returns { newQty, shortfallQty, backorderQty, outcome } where outcome is
+ * 'fulfilled' | 'backordered' | 'clamped' (stored on inventory_history).
+ * Throws HttpError(409) under the reject policy when stock is insufficient.
+ */
+function applyStockPolicy(stockRow, available, requested, policy) {
+  if (requested <= available) {
+    return {
+      newQty: available - requested,
+      shortfallQty: 0,
+      backorderQty: 0,
+      outcome: "fulfilled",
+    };
+  }
+
+  const shortfallQty = requested - available;
+  switch (policy) {
+    case "backorder":
+      return {
+        newQty: 0,
+        shortfallQty,
+        backorderQty: shortfallQty,
+        outcome: "backordered",
+      };
+    case "clamp":
+      return { newQty: 0, shortfallQty, backorderQty: 0, outcome: "clamped" };
+    default:
+      throw new HttpError(409, "Insufficient stock.", {
+        product_id: stockRow.product_id,
+        location_id: stockRow.location_id,
+        requested_quantity: requested,
+        available_quantity: available,
+      });
+  }
+}
+
+module.exports = { STOCK_POLICIES, DEFAULT_STOCK_POLICY, applyStockPolicy };
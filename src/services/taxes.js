@@ -0,0 +1,56 @@
+// Columns returned for a tax rate (see migration 013)
+const TAX_RATE_COLUMNS =
+  "id, region, category_id, rate, created_at, updated_at";
+
+/**
+ * Works out the tax of each sale line using the given client. lines:
+ * [{ product_id, location_id, tax_region }] where tax_region (optional)
+ * overrides the tax_region of the line's location. A line is taxed at the
+ * rate for its region and its product's category, or the nearest category
+ * above it, else at the region's rate without a category, else not at all.
+ *
+ * Returns [{ tax_region, tax_rate }] in the order of `lines` (tax_rate a
+ * number, 0 where no rate applies).
+ */
+async function resolveTaxRates(client, lines) {
+  const locationIds = [...new Set(lines.map((l) => l.location_id))];
+  const locRes = await client.query(
+    "SELECT id, tax_region FROM locations WHERE id = ANY($1::int[]);",
+    [locationIds]
+  );
+  const locationRegions = new Map(locRes.rows.map((r) => [r.id, r.tax_region]));
+  const regions = lines.map(
+    (l) => l.tax_region ?? locationRegions.get(l.location_id) ?? null
+  );
+
+  // Walk up each product's categories; the top one's parent_id (NULL)
+  // matches the region-wide rate
+  const rateRes = await client.query(
+    `WITH RECURSIVE chain AS (
+       SELECT id AS product_id, category_id, 0 AS depth
+       FROM products WHERE id = ANY($1::int[])
+       UNION ALL
+       SELECT ch.product_id, c.parent_id, ch.depth + 1
+       FROM chain ch JOIN categories c ON c.id = ch.category_id
+     )
+     SELECT DISTINCT ON (ch.product_id, t.region)
+       ch.product_id, t.region, t.rate
+     FROM chain ch
+     JOIN tax_rates t ON t.category_id IS NOT DISTINCT FROM ch.category_id
+     WHERE t.region = ANY($2::text[])
+     ORDER BY ch.product_id, t.region, ch.depth;`,
+    [
+      [...new Set(lines.map((l) => l.product_id))],
+      [...new Set(regions.filter((r) => r != null))],
+    ]
+  );
+  const rates = new Map(
+    rateRes.rows.map((r) => [`${r.product_id}:${r.region}`, r.rate])
+  );
+  return lines.map((l, i) => ({
+    tax_region: regions[i],
+    tax_rate: parseFloat(rates.get(`${l.product_id}:${regions[i]}`) ?? 0),
+  }));
+}
+
+module.exports = { TAX_RATE_COLUMNS, resolveTaxRates };
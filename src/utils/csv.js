@@ -0,0 +1,104 @@
+/**
+ * Minimal RFC 4180 CSV support for the import/export endpoints.
+ */
+
+/**
+ * Parses CSV text into an array of rows (arrays of strings).
+ * Handles quoted fields with commas, doubled quotes and line breaks,
+ * CRLF or LF line endings, a leading BOM and a trailing newline.
+ * Throws Error on an unterminated quoted field.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (inQuotes) throw new Error("Unterminated quoted field.");
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Formats one row (array of values) as a CSV line, quoting where needed.
+ * null/undefined become empty fields; Dates are written as ISO strings.
+ */
+function formatCsvRow(values) {
+  return (
+    values
+      .map((v) => {
+        if (v == null) return "";
+        const s = v instanceof Date ? v.toISOString() : String(v);
+        return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+      })
+      .join(",") + "\r\n"
+  );
+}
+
+/**
+ * Streams a CSV download without holding the whole result in memory.
+ * `columns` names the header and the row keys to write; `fetchBatch(last)`
+ * returns the next batch of rows after `last` (undefined on the first call)
+ * and an empty array when done.
+ */
+async function streamCsv(res, filename, columns, fetchBatch) {
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.write(formatCsvRow(columns));
+  try {
+    let last;
+    for (;;) {
+      const rows = await fetchBatch(last);
+      if (rows.length === 0) break;
+      const chunk = rows
+        .map((r) => formatCsvRow(columns.map((c) => r[c])))
+        .join("");
+      // Let a slow client drain before fetching more; stop if it hangs up
+      if (!res.write(chunk)) {
+        await new Promise((r) => {
+          res.once("drain", r);
+          res.once("close", r);
+        });
+        if (res.destroyed) return;
+      }
+      last = rows[rows.length - 1];
+    }
+    res.end();
+  } catch (err) {
+    // Too late for an error response; cut the download short instead
+    console.error(`CSV export ${filename} failed:`, err);
+    res.destroy(err);
+  }
+}
+
+module.exports = { parseCsv, formatCsvRow, streamCsv };
@@ -0,0 +1,23 @@
+/**
+ * Helper: returns `code` as an ISO 4217 currency code in upper case (e.g.
+ * "eur" → "EUR"), or null if it is not three letters.
+ */
+function canonicalCurrency(code) {
+  if (typeof code !== "string" || !/^[A-Za-z]{3}$/.test(code.trim())) {
+    return null;
+  }
+  return code.trim().toUpperCase();
+}
+
+// Currency of new products and of the sales reports unless a request passes
+// ?currency=. Set with DEFAULT_CURRENCY in .env; defaults to USD.
+const DEFAULT_CURRENCY = canonicalCurrency(
+  process.env.DEFAULT_CURRENCY || "USD"
+);
+if (!DEFAULT_CURRENCY) {
+  throw new Error(
+    `DEFAULT_CURRENCY must be a three-letter ISO 4217 code such as "EUR" (got "${process.env.DEFAULT_CURRENCY}").`
+  );
+}
+
+module.exports = { canonicalCurrency, DEFAULT_CURRENCY };
@@ -0,0 +1,42 @@
+/**
+ * Helper: returns the canonical IANA name for `tz` (e.g. "europe/paris" →
+ * "Europe/Paris"), or null if it is not a named time zone.
+ */
+function canonicalTimeZone(tz) {
+  // Names only: Postgres reads bare offsets like "+05:00" with the sign flipped
+  if (typeof tz !== "string" || !/^[A-Za-z][A-Za-z0-9_+\-/]*$/.test(tz)) {
+    return null;
+  }
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone: tz }).resolvedOptions()
+      .timeZone;
+  } catch (_err) {
+    return null;
+  }
+}
+
+// Time zone whose calendar days the sales reports use unless a request
+// passes ?tz=. Set with BUSINESS_TIMEZONE in .env; defaults to UTC.
+const DEFAULT_TIMEZONE = canonicalTimeZone(
+  process.env.BUSINESS_TIMEZONE || "UTC"
+);
+if (!DEFAULT_TIMEZONE) {
+  throw new Error(
+    `BUSINESS_TIMEZONE must be an IANA time zone name such as "Europe/London" (got "${process.env.BUSINESS_TIMEZONE}").`
+  );
+}
+
+/**
+ * SQL for the instant local midnight starts the day `dateSql` (a SQL date
+ * expression) in the time zone named by `tzSql`, e.g.
+ * localMidnightSql("$1::date + 1", "$2").
+ */
+function localMidnightSql(dateSql, tzSql) {
+  return `((${dateSql})::timestamp AT TIME ZONE ${tzSql})`;
+}
+
+module.exports = {
+  canonicalTimeZone,
+  DEFAULT_TIMEZONE,
+  localMidnightSql,
+};
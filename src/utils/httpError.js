@@ -0,0 +1,16 @@
+/**
+ * Error carrying an HTTP status (and optional extra JSON fields) so code
+ * running deep inside a transaction can abort it and still produce a
+ * specific client response. The global error handler in index.js turns it
+ * into `res.status(status).json({ error: message, ...details })`.
+ */
+class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = HttpError;
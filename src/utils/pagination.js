@@ -0,0 +1,133 @@
+const { validationError } = require("../middleware/validate");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function queryError(field, message) {
+  return validationError([{ in: "query", field, message }]);
+}
+
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (payload && typeof payload === "object") return payload;
+  } catch (_err) {
+    // fall through
+  }
+  return null;
+}
+
+/**
+ * Parses the shared list query params (limit, cursor, sort, fields) for a
+ * keyset-paginated endpoint. Throws the same 400 error as the validation
+ * middleware on invalid input.
+ *
+ * options:
+ *   sorts:       { key: { expr: 'p.name', type: 'text' }, … } — whitelisted sort keys;
+ *                `type` is the Postgres type the cursor value is cast back to.
+ *   defaultSort: e.g. 'name' or '-sale_date' ('-' prefix = descending)
+ *   idExpr:      unique tiebreaker column, e.g. 'p.id'
+ *   fields:      output columns a client may ask for with fields=a,b
+ *
+ * Returns helpers to splice into a query:
+ *   selectCursor()                  extra select columns used to build next_cursor
+ *   applyCursor(filters, values)    pushes the keyset condition (placeholders follow values.length)
+ *   orderBy()                       ORDER BY … LIMIT … clause (fetches one extra row)
+ *   page(rows)                      { data, next_cursor } with fields projected
+ */
+function parseListParams(query, { sorts, defaultSort, idExpr, fields }) {
+  let limit = DEFAULT_LIMIT;
+  if (query.limit != null) {
+    limit = /^\d+$/.test(String(query.limit)) ? Number(query.limit) : NaN;
+    if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw queryError(
+        "limit",
+        `must be an integer between 1 and ${MAX_LIMIT}.`
+      );
+    }
+  }
+
+  const sortParam = query.sort || defaultSort;
+  const desc = sortParam.startsWith("-");
+  const sortKey = desc ? sortParam.slice(1) : sortParam;
+  const sort = sorts[sortKey];
+  if (!sort) {
+    throw queryError(
+      "sort",
+      `must be one of: ${Object.keys(sorts).join(
+        ", "
+      )} (prefix with - for descending).`
+    );
+  }
+
+  let selected = fields;
+  if (query.fields) {
+    selected = String(query.fields)
+      .split(",")
+      .map((f) => f.trim())
+      .filter(Boolean);
+    const unknown = selected.filter((f) => !fields.includes(f));
+    if (selected.length === 0 || unknown.length > 0) {
+      throw queryError("fields", `must be a subset of: ${fields.join(", ")}.`);
+    }
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(String(query.cursor));
+    // A cursor is only valid for the sort order that produced it
+    if (!cursor || cursor.sort !== sortParam || cursor.id == null) {
+      throw queryError("cursor", "is not valid for this sort order.");
+    }
+  }
+
+  const dir = desc ? "DESC" : "ASC";
+
+  return {
+    limit,
+
+    selectCursor() {
+      return `(${sort.expr})::text AS _cursor_value, ${idExpr} AS _cursor_id`;
+    },
+
+    applyCursor(filters, values) {
+      if (!cursor) return;
+      const op = desc ? "<" : ">";
+      values.push(cursor.value, cursor.id);
+      const v = values.length - 1;
+      filters.push(
+        `(${sort.expr}, ${idExpr}) ${op} ($${v}::${sort.type}, $${v + 1}::int)`
+      );
+    },
+
+    orderBy() {
+      return ` ORDER BY ${sort.expr} ${dir}, ${idExpr} ${dir} LIMIT ${
+        limit + 1
+      }`;
+    },
+
+    page(rows) {
+      const hasMore = rows.length > limit;
+      const pageRows = hasMore ? rows.slice(0, limit) : rows;
+      const last = pageRows[pageRows.length - 1];
+      return {
+        data: pageRows.map((row) =>
+          Object.fromEntries(selected.map((f) => [f, row[f]]))
+        ),
+        next_cursor: hasMore
+          ? encodeCursor({
+              sort: sortParam,
+              value: last._cursor_value,
+              id: last._cursor_id,
+            })
+          : null,
+      };
+    },
+  };
+}
+
+module.exports = { parseListParams, DEFAULT_LIMIT, MAX_LIMIT };
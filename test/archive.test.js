@@ -0,0 +1,93 @@
+// Archived products stay out of the CSV exports like they do the listings.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, uniqueName } = require("./helpers");
+
+let api;
+
+before(async () => {
+  api = await startApp();
+});
+
+after(() => api.close());
+
+async function createProduct(categoryId) {
+  const res = await api.request("POST", "/api/products", {
+    name: uniqueName("Product"),
+    price: 3,
+    category_id: categoryId,
+    initial_quantity: 2,
+  });
+  assert.equal(res.status, 201);
+  return res.body;
+}
+
+test("the product and inventory exports leave archived products out unless asked", async () => {
+  const category = await api.request("POST", "/api/categories", {
+    name: uniqueName("Category"),
+  });
+  const kept = await createProduct(category.body.id);
+  const archived = await createProduct(category.body.id);
+  const res = await api.request(
+    "POST",
+    `/api/products/${archived.id}/archive`,
+    {}
+  );
+  assert.equal(res.status, 200);
+
+  for (const url of ["/api/products/export", "/api/inventory/export"]) {
+    const csv = (await api.request("GET", url)).body;
+    assert.ok(csv.includes(kept.name), url);
+    assert.ok(!csv.includes(archived.name), url);
+
+    const all = (await api.request("GET", `${url}?include_archived=true`)).body;
+    assert.ok(all.includes(archived.name), url);
+  }
+});
+
+test("the CSV import refuses rows that change archived products or use archived categories", async () => {
+  const category = await api.request("POST", "/api/categories", {
+    name: uniqueName("Category"),
+  });
+  const archivedCategory = await api.request("POST", "/api/categories", {
+    name: uniqueName("Category"),
+  });
+  const archived = await createProduct(category.body.id);
+  await api.request("POST", `/api/products/${archived.id}/archive`, {});
+  await api.request(
+    "POST",
+    `/api/categories/${archivedCategory.body.id}/archive`,
+    {}
+  );
+  const fresh = uniqueName("Product");
+
+  const csv = [
+    "name,price,category",
+    `${archived.name},3,${category.body.name}`,
+    `${archived.name} renamed,3,${category.body.name}`,
+    `${fresh},4,${archivedCategory.body.name}`,
+  ].join("\n");
+  // Only the unchanged archived product is fine; a rename creates a product
+  // and so does the fresh name, in an archived category
+  const res = await api.request("POST", "/api/products/import", csv);
+  assert.equal(res.status, 400);
+  assert.deepEqual(
+    res.body.details.map((d) => [d.row, d.field]),
+    [[4, "category"]]
+  );
+
+  const changed = [
+    "name,price,category",
+    `${archived.name},5,${category.body.name}`,
+  ].join("\n");
+  const res2 = await api.request("POST", "/api/products/import", changed);
+  assert.equal(res2.status, 400);
+  assert.deepEqual(
+    res2.body.details.map((d) => [d.row, d.field, d.message]),
+    [[2, "name", "matches an archived product; restore it first."]]
+  );
+
+  const product = await api.request("GET", `/api/products/${archived.id}`);
+  assert.equal(product.body.price, "3.00");
+});
@@ -0,0 +1,44 @@
+// The audit log's date filter uses the same days as the sales reports.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const db = require("../src/db/db");
+const { DEFAULT_TIMEZONE } = require("../src/utils/dates");
+const { startApp } = require("./helpers");
+
+let api;
+
+before(async () => {
+  api = await startApp();
+});
+
+after(() => api.close());
+
+test("startDate and endDate are whole days in the business time zone", async () => {
+  // An entity id no other run uses, logged at 23:30 UTC (00:30 in Paris)
+  const entityId = crypto.randomInt(1e9, 2e9);
+  await db.query(
+    `INSERT INTO audit_log(entity, entity_id, action, created_at)
+     VALUES('category', $1, 'create', '2024-03-10T23:30:00Z');`,
+    [entityId]
+  );
+  const found = async (day, tz) => {
+    const res = await api.request(
+      "GET",
+      `/api/audit?entity=category&entity_id=${entityId}` +
+        `&startDate=${day}&endDate=${day}${tz ? `&tz=${tz}` : ""}`
+    );
+    assert.equal(res.status, 200);
+    return res.body.data.length === 1;
+  };
+
+  assert.equal(await found("2024-03-10", "UTC"), true);
+  assert.equal(await found("2024-03-11", "UTC"), false);
+  assert.equal(await found("2024-03-10", "Europe/Paris"), false);
+  assert.equal(await found("2024-03-11", "Europe/Paris"), true);
+  assert.equal(
+    await found("2024-03-10"),
+    await found("2024-03-10", DEFAULT_TIMEZONE)
+  );
+});
@@ -0,0 +1,43 @@
+// Deleting a category must not silently drop what refers to it.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const db = require("../src/db/db");
+const { startApp, uniqueName } = require("./helpers");
+
+let api;
+
+before(async () => {
+  api = await startApp();
+});
+
+after(() => api.close());
+
+test("DELETE /api/categories/:id refuses a category with tax rates", async () => {
+  const category = await api.request("POST", "/api/categories", {
+    name: uniqueName("Category"),
+  });
+  const rate = await api.request("POST", "/api/tax-rates", {
+    region: uniqueName("R").slice(0, 14).replace(" ", "-"),
+    category_id: category.body.id,
+    rate: 7,
+  });
+  assert.equal(rate.status, 201);
+
+  const res = await api.request(
+    "DELETE",
+    `/api/categories/${category.body.id}`
+  );
+  assert.equal(res.status, 409);
+  const left = await db.query("SELECT id FROM tax_rates WHERE id = $1;", [
+    rate.body.id,
+  ]);
+  assert.equal(left.rows.length, 1);
+
+  // The foreign key backs the check up: a foreign_key_violation (23503), or
+  // restrict_violation (23001) from Postgres 18 on
+  await assert.rejects(
+    db.query("DELETE FROM categories WHERE id = $1;", [category.body.id]),
+    { code: /^23(503|001)$/, constraint: "tax_rates_category_id_fkey" }
+  );
+});
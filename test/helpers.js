@@ -0,0 +1,91 @@
+/**
+ * Shared setup for the integration tests (run with `npm test`).
+ *
+ * The tests need a PostgreSQL database of their own, named by the usual PG*
+ * variables (see .env); it is migrated to the latest version first. Every
+ * test creates the rows it needs and only looks at those, so the database
+ * does not have to be empty.
+ */
+
+const crypto = require("crypto");
+const app = require("../index");
+const db = require("../src/db/db");
+const migrator = require("../src/db/migrator");
+const { issueApiKey } = require("../src/services/apiKeys");
+
+/**
+ * Migrates the database, serves the app on a free port and issues an admin
+ * API key. Returns { request(method, url, body), close() }, where request
+ * sends body as JSON, or as CSV when it is a string, and resolves to
+ * { status, body } (body parsed as JSON when it is JSON).
+ */
+async function startApp() {
+  await migrator.up();
+  const tag = crypto.randomBytes(6).toString("hex");
+  const user = await db.query(
+    "INSERT INTO users(name, email, role) VALUES($1, $2, 'admin') RETURNING id;",
+    [`test ${tag}`, `test-${tag}@example.com`]
+  );
+  const { key } = await issueApiKey(db, user.rows[0].id, "tests");
+
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, url, body) {
+    const csv = typeof body === "string";
+    const res = await fetch(base + url, {
+      method,
+      headers: {
+        authorization: `Bearer ${key}`,
+        "content-type": csv ? "text/csv" : "application/json",
+      },
+      body: body === undefined || csv ? body : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      // not JSON (e.g. a CSV export); keep the text
+    }
+    return { status: res.status, body: parsed };
+  }
+
+  async function close() {
+    await new Promise((resolve) => server.close(resolve));
+    await db.pool.end();
+  }
+
+  return { request, close };
+}
+
+/**
+ * Makes every `operation` (INSERT, UPDATE or DELETE) on `table` fail with an
+ * error until the returned function is called, to break a request partway
+ * through its transaction.
+ */
+async function failOn(table, operation) {
+  await db.query(
+    `CREATE OR REPLACE FUNCTION test_forced_failure() RETURNS trigger AS $$
+     BEGIN
+       RAISE EXCEPTION 'forced failure on %', TG_TABLE_NAME;
+     END;
+     $$ LANGUAGE plpgsql;`
+  );
+  await db.query(
+    `CREATE TRIGGER test_forced_failure BEFORE ${operation} ON ${table}
+     FOR EACH ROW EXECUTE FUNCTION test_forced_failure();`
+  );
+  return () =>
+    db.query(`DROP TRIGGER IF EXISTS test_forced_failure ON ${table};`);
+}
+
+/**
+ * Returns a name no other test run has used, for rows with unique names.
+ */
+function uniqueName(prefix) {
+  return `${prefix} ${crypto.randomBytes(6).toString("hex")}`;
+}
+
+module.exports = { startApp, failOn, uniqueName };
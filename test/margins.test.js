@@ -0,0 +1,92 @@
+// Cost of goods: refunded units only come off it when they are restocked,
+// and backdated sales are costed as of their day.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, uniqueName } = require("./helpers");
+
+let api;
+
+before(async () => {
+  api = await startApp();
+});
+
+after(() => api.close());
+
+test("cogs keeps the cost of refunds that were not restocked", async () => {
+  const category = await api.request("POST", "/api/categories", {
+    name: uniqueName("Category"),
+  });
+  const product = await api.request("POST", "/api/products", {
+    name: uniqueName("Product"),
+    price: 10,
+    unit_cost: 4,
+    category_id: category.body.id,
+    initial_quantity: 10,
+  });
+  assert.equal(product.status, 201);
+  const sale = await api.request("POST", "/api/sales", {
+    product_id: product.body.id,
+    quantity: 3,
+  });
+  assert.equal(sale.status, 201);
+
+  // From the daily rollups, and from the sales themselves in another zone
+  const cogs = async () => {
+    const figures = [];
+    for (const tz of ["", "&tz=Pacific/Kiritimati"]) {
+      const res = await api.request(
+        "GET",
+        `/api/sales/aggregate?period=yearly&product_id=${product.body.id}${tz}`
+      );
+      assert.equal(res.status, 200);
+      figures.push(res.body.find((b) => b.total_quantity !== 0).cogs);
+    }
+    return figures;
+  };
+  assert.deepEqual(await cogs(), ["12.00", "12.00"]);
+
+  const refund = (restock) =>
+    api.request("POST", `/api/sales/${sale.body.id}/refunds`, {
+      quantity: 1,
+      restock,
+    });
+  assert.equal((await refund(false)).status, 201);
+  assert.deepEqual(await cogs(), ["12.00", "12.00"]);
+  assert.equal((await refund(true)).status, 201);
+  assert.deepEqual(await cogs(), ["8.00", "8.00"]);
+});
+
+test("a backdated sale records the cost of its day", async () => {
+  const category = await api.request("POST", "/api/categories", {
+    name: uniqueName("Category"),
+  });
+  const product = await api.request("POST", "/api/products", {
+    name: uniqueName("Product"),
+    price: 10,
+    unit_cost: 4,
+    category_id: category.body.id,
+    initial_quantity: 10,
+  });
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  const earlier = new Date().toISOString();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  const restock = await api.request(
+    "PUT",
+    `/api/inventory/${product.body.id}`,
+    { new_quantity: 20, unit_cost: 8 }
+  );
+  assert.equal(restock.body.unit_cost, "6.0000");
+
+  const sell = async (saleDate) => {
+    const res = await api.request("POST", "/api/sales", {
+      product_id: product.body.id,
+      quantity: 1,
+      sale_date: saleDate,
+    });
+    assert.equal(res.status, 201);
+    return res.body.unit_cost;
+  };
+  assert.equal(await sell(undefined), "6.0000");
+  assert.equal(await sell(earlier), "4.0000");
+});
@@ -0,0 +1,105 @@
+// Refunds are worth an even share of what the sale brought in, and the last
+// one takes what is left, so a sale's refunds add up to it exactly.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, uniqueName } = require("./helpers");
+
+let api;
+
+before(async () => {
+  api = await startApp();
+});
+
+after(() => api.close());
+
+test("the last refund of a sale takes the remainder of its price and tax", async () => {
+  const category = await api.request("POST", "/api/categories", {
+    name: uniqueName("Category"),
+  });
+  const product = await api.request("POST", "/api/products", {
+    name: uniqueName("Product"),
+    price: 3.33,
+    category_id: category.body.id,
+    initial_quantity: 5,
+  });
+  const promotion = await api.request("POST", "/api/promotions", {
+    name: uniqueName("Promotion"),
+    kind: "percentage",
+    value: 10,
+    product_id: product.body.id,
+  });
+  assert.equal(promotion.status, 201);
+  const region = uniqueName("R").slice(0, 14).replace(" ", "-");
+  await api.request("POST", "/api/tax-rates", {
+    region,
+    category_id: category.body.id,
+    rate: 7.5,
+  });
+
+  // 9.99 less 1.00 off is 8.99, taxed 0.67: neither splits evenly in three
+  const sale = await api.request("POST", "/api/sales", {
+    product_id: product.body.id,
+    quantity: 3,
+    tax_region: region,
+  });
+  assert.equal(sale.status, 201);
+  assert.equal(sale.body.total_price, "8.99");
+  assert.equal(sale.body.tax_amount, "0.67");
+
+  const refund = (quantity) =>
+    api.request("POST", `/api/sales/${sale.body.id}/refunds`, { quantity });
+  const refunds = [];
+  for (let i = 0; i < 3; i++) {
+    const res = await refund(1);
+    assert.equal(res.status, 201);
+    refunds.push([res.body.amount, res.body.tax_amount]);
+  }
+  assert.deepEqual(refunds, [
+    ["3.00", "0.22"],
+    ["3.00", "0.22"],
+    ["2.99", "0.23"],
+  ]);
+
+  const over = await refund(1);
+  assert.equal(over.status, 409);
+  assert.equal(over.body.refundable_quantity, 0);
+
+  const sales = await api.request(
+    "GET",
+    `/api/sales?product_id=${product.body.id}`
+  );
+  const row = sales.body.data[0];
+  assert.equal(row.refunded_qty, 3);
+  assert.equal(row.refunded_amount, "8.99");
+  assert.equal(row.refunded_tax, "0.67");
+});
+
+test("a refund cannot exceed what is still refundable", async () => {
+  const category = await api.request("POST", "/api/categories", {
+    name: uniqueName("Category"),
+  });
+  const product = await api.request("POST", "/api/products", {
+    name: uniqueName("Product"),
+    price: 10,
+    category_id: category.body.id,
+    initial_quantity: 5,
+  });
+  const sale = await api.request("POST", "/api/sales", {
+    product_id: product.body.id,
+    quantity: 3,
+  });
+
+  const first = await api.request(
+    "POST",
+    `/api/sales/${sale.body.id}/refunds`,
+    { quantity: 2 }
+  );
+  assert.equal(first.body.amount, "20.00");
+  const over = await api.request("POST", `/api/sales/${sale.body.id}/refunds`, {
+    quantity: 2,
+  });
+  assert.equal(over.status, 409);
+  assert.equal(over.body.requested_quantity, 2);
+  assert.equal(over.body.refundable_quantity, 1);
+});
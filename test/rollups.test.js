@@ -0,0 +1,78 @@
+// The daily rollups kept up by each sale and refund match a full rebuild.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const db = require("../src/db/db");
+const {
+  rollupTimezone,
+  rebuildSalesRollup,
+} = require("../src/services/salesRollup");
+const { startApp, uniqueName } = require("./helpers");
+
+let api;
+
+before(async () => {
+  api = await startApp();
+});
+
+after(() => api.close());
+
+async function rollupRows(productId) {
+  const res = await db.query(
+    `SELECT sale_day::text, quantity, gross_revenue, discount_amount,
+            refunded_qty, refunded_amount, cost_amount, refunded_cost
+     FROM sales_daily_rollups WHERE product_id = $1
+     ORDER BY sale_day;`,
+    [productId]
+  );
+  return res.rows;
+}
+
+test("incremental rollups match a rebuild, with refunds on the sale's day", async () => {
+  const category = await api.request("POST", "/api/categories", {
+    name: uniqueName("Category"),
+  });
+  const product = await api.request("POST", "/api/products", {
+    name: uniqueName("Product"),
+    price: 10,
+    unit_cost: 4,
+    category_id: category.body.id,
+    initial_quantity: 20,
+  });
+  const productId = product.body.id;
+
+  const sell = async (quantity, saleDate) => {
+    const res = await api.request("POST", "/api/sales", {
+      product_id: productId,
+      quantity,
+      sale_date: saleDate,
+    });
+    assert.equal(res.status, 201);
+    return res.body;
+  };
+  const backdated = await sell(3, "2024-01-15T12:00:00Z");
+  await sell(2, "2024-01-15T11:00:00Z");
+  await sell(4, "2024-02-01T12:00:00Z");
+  const refund = await api.request(
+    "POST",
+    `/api/sales/${backdated.id}/refunds`,
+    { quantity: 1, restock: true }
+  );
+  assert.equal(refund.status, 201);
+
+  const incremental = await rollupRows(productId);
+  // The refund (made today) counts against the day of the sale it reverses
+  assert.deepEqual(
+    incremental.map((r) => [r.sale_day, r.quantity, r.refunded_qty]),
+    [
+      ["2024-01-15", 5, 1],
+      ["2024-02-01", 4, 0],
+    ]
+  );
+  assert.equal(incremental[0].refunded_amount, "10.00");
+
+  await db.withTransaction(async (client) =>
+    rebuildSalesRollup(client, await rollupTimezone(client))
+  );
+  assert.deepEqual(await rollupRows(productId), incremental);
+});
@@ -0,0 +1,117 @@
+// What a sale does when it asks for more than is in stock, under each
+// STOCK_POLICY (see services/stock.js).
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const db = require("../src/db/db");
+const { createOrder } = require("../src/services/orders");
+const { startApp, uniqueName } = require("./helpers");
+
+let api;
+
+before(async () => {
+  api = await startApp();
+});
+
+after(() => api.close());
+
+async function createProduct(initialQuantity) {
+  const category = await api.request("POST", "/api/categories", {
+    name: uniqueName("Category"),
+  });
+  const res = await api.request("POST", "/api/products", {
+    name: uniqueName("Product"),
+    price: 5,
+    category_id: category.body.id,
+    initial_quantity: initialQuantity,
+  });
+  assert.equal(res.status, 201);
+  return res.body;
+}
+
+// Sells 3 units of a product holding 2 under `policy`, and returns what was
+// recorded: the stock left, the line's backorder_qty and the history row
+async function oversell(policy) {
+  const product = await createProduct(2);
+  const order = await db.withTransaction((client) =>
+    createOrder(client, [{ product_id: product.id, quantity: 3 }], new Date(), {
+      stockPolicy: policy,
+    })
+  );
+  const stock = await api.request("GET", `/api/products/${product.id}`);
+  const line = await db.query(
+    "SELECT quantity, backorder_qty FROM order_items WHERE id = $1;",
+    [order.itemIds[0]]
+  );
+  const history = await db.query(
+    `SELECT change_qty, new_qty, stock_outcome, shortfall_qty
+     FROM inventory_history WHERE product_id = $1 ORDER BY id DESC LIMIT 1;`,
+    [product.id]
+  );
+  return {
+    quantity: stock.body.quantity,
+    line: line.rows[0],
+    history: history.rows[0],
+  };
+}
+
+test("the reject policy refuses an oversell and records nothing", async () => {
+  const product = await createProduct(2);
+  const res = await api.request("POST", "/api/sales", {
+    product_id: product.id,
+    quantity: 3,
+  });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.requested_quantity, 3);
+  assert.equal(res.body.available_quantity, 2);
+
+  const sales = await db.query(
+    "SELECT COUNT(*)::int AS n FROM order_items WHERE product_id = $1;",
+    [product.id]
+  );
+  assert.equal(sales.rows[0].n, 0);
+  const stock = await api.request("GET", `/api/products/${product.id}`);
+  assert.equal(stock.body.quantity, 2);
+});
+
+test("the backorder policy records the sale and tracks the missing units", async () => {
+  const { quantity, line, history } = await oversell("backorder");
+  assert.equal(quantity, 0);
+  assert.deepEqual(line, { quantity: 3, backorder_qty: 1 });
+  assert.deepEqual(history, {
+    change_qty: -2,
+    new_qty: 0,
+    stock_outcome: "backordered",
+    shortfall_qty: 1,
+  });
+});
+
+test("the clamp policy records the sale and stops stock at zero", async () => {
+  const { quantity, line, history } = await oversell("clamp");
+  assert.equal(quantity, 0);
+  assert.deepEqual(line, { quantity: 3, backorder_qty: 0 });
+  assert.deepEqual(history, {
+    change_qty: -2,
+    new_qty: 0,
+    stock_outcome: "clamped",
+    shortfall_qty: 1,
+  });
+});
+
+test("a sale within stock is fulfilled under every policy", async () => {
+  for (const policy of ["reject", "backorder", "clamp"]) {
+    const product = await createProduct(3);
+    await db.withTransaction((client) =>
+      createOrder(
+        client,
+        [{ product_id: product.id, quantity: 3 }],
+        new Date(),
+        {
+          stockPolicy: policy,
+        }
+      )
+    );
+    const res = await api.request("GET", `/api/products/${product.id}`);
+    assert.equal(res.body.quantity, 0, policy);
+  }
+});
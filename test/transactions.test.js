@@ -0,0 +1,132 @@
+// A write that fails partway through must leave nothing behind: each test
+// breaks one step of a request's transaction (see failOn) and checks that
+// the steps before it were rolled back.
+
+const { test, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const db = require("../src/db/db");
+const { startApp, failOn, uniqueName } = require("./helpers");
+
+let api;
+let restore = null;
+
+before(async () => {
+  api = await startApp();
+});
+
+afterEach(async () => {
+  if (restore) await restore();
+  restore = null;
+});
+
+after(() => api.close());
+
+async function createProduct(initialQuantity = 10) {
+  const category = await api.request("POST", "/api/categories", {
+    name: uniqueName("Category"),
+  });
+  const product = await api.request("POST", "/api/products", {
+    name: uniqueName("Product"),
+    price: 12.5,
+    unit_cost: 5,
+    category_id: category.body.id,
+    initial_quantity: initialQuantity,
+  });
+  assert.equal(product.status, 201);
+  return product.body;
+}
+
+async function snapshot(productId) {
+  const res = await db.query(
+    `SELECT
+       (SELECT COALESCE(SUM(quantity), 0)::int FROM inventory WHERE product_id = $1) AS stock,
+       (SELECT COUNT(*)::int FROM inventory_history WHERE product_id = $1) AS history,
+       (SELECT COUNT(*)::int FROM order_items WHERE product_id = $1) AS sales,
+       (SELECT COUNT(*)::int FROM sales_daily_rollups WHERE product_id = $1) AS rollups,
+       (SELECT unit_cost FROM products WHERE id = $1) AS unit_cost,
+       (SELECT COUNT(*)::int FROM products WHERE id = $1) AS products,
+       (SELECT COUNT(*)::int FROM audit_log WHERE entity = 'product' AND entity_id = $1) AS audits;`,
+    [productId]
+  );
+  return res.rows[0];
+}
+
+test("POST /api/sales rolls back the order and stock when a later step fails", async () => {
+  const product = await createProduct();
+  const orders = await db.query("SELECT COUNT(*)::int AS n FROM orders;");
+  const before = await snapshot(product.id);
+
+  // Fails after the order, its line, the stock and history are written
+  restore = await failOn("sales_daily_rollups", "INSERT");
+  const res = await api.request("POST", "/api/sales", {
+    product_id: product.id,
+    quantity: 3,
+  });
+
+  assert.equal(res.status, 500);
+  assert.deepEqual(await snapshot(product.id), before);
+  const ordersAfter = await db.query("SELECT COUNT(*)::int AS n FROM orders;");
+  assert.equal(ordersAfter.rows[0].n, orders.rows[0].n);
+});
+
+test("POST /api/products rolls back the product when a later step fails", async () => {
+  const category = await api.request("POST", "/api/categories", {
+    name: uniqueName("Category"),
+  });
+  const name = uniqueName("Product");
+  const counts = () =>
+    db.query(
+      `SELECT
+         (SELECT COUNT(*)::int FROM products) AS products,
+         (SELECT COUNT(*)::int FROM product_prices) AS prices,
+         (SELECT COUNT(*)::int FROM inventory) AS inventory,
+         (SELECT COUNT(*)::int FROM inventory_history) AS history;`
+    );
+  const before = await counts();
+
+  // Fails after the product, its price and its stock are written
+  restore = await failOn("inventory_history", "INSERT");
+  const res = await api.request("POST", "/api/products", {
+    name,
+    price: 9.99,
+    category_id: category.body.id,
+    initial_quantity: 20,
+  });
+
+  assert.equal(res.status, 500);
+  const found = await db.query("SELECT id FROM products WHERE name = $1;", [
+    name,
+  ]);
+  assert.equal(found.rows.length, 0);
+  assert.deepEqual((await counts()).rows[0], before.rows[0]);
+});
+
+test("DELETE /api/products/:id keeps the product and its stock when the delete fails", async () => {
+  const product = await createProduct(7);
+  const before = await snapshot(product.id);
+
+  // Fails after the product's history and inventory rows are deleted
+  restore = await failOn("products", "DELETE");
+  const res = await api.request("DELETE", `/api/products/${product.id}`);
+
+  assert.equal(res.status, 500);
+  assert.deepEqual(await snapshot(product.id), before);
+  assert.equal(before.stock, 7);
+});
+
+test("PUT /api/inventory/:product_id leaves stock and cost unchanged when a later step fails", async () => {
+  const product = await createProduct(10);
+  const before = await snapshot(product.id);
+
+  // Fails after the unit cost, stock and history are written
+  restore = await failOn("audit_log", "INSERT");
+  const res = await api.request("PUT", `/api/inventory/${product.id}`, {
+    new_quantity: 30,
+    unit_cost: 8,
+  });
+
+  assert.equal(res.status, 500);
+  assert.deepEqual(await snapshot(product.id), before);
+  assert.equal(before.stock, 10);
+  assert.equal(before.unit_cost, "5.0000");
+});
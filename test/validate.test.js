@@ -0,0 +1,78 @@
+// Validated query strings reach the handlers parsed (Express 5 only offers
+// req.query as a getter, see middleware/validate.js).
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { validate } = require("../src/middleware/validate");
+const { startApp, uniqueName } = require("./helpers");
+
+let api;
+
+before(async () => {
+  api = await startApp();
+});
+
+after(() => api.close());
+
+test("a validated query reaches the handler in its typed form", async () => {
+  const app = express();
+  app.get(
+    "/x",
+    validate({ query: { limit: { type: "integer", min: 1, max: 100 } } }),
+    (req, res) => res.json(req.query)
+  );
+  app.use((err, _req, res, _next) => res.status(err.status || 500).json({}));
+  const server = app.listen(0);
+  try {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const ok = await fetch(`${base}/x?limit=5`);
+    assert.equal(ok.status, 200);
+    assert.deepEqual(await ok.json(), { limit: 5 });
+    const bad = await fetch(`${base}/x?limit=12abc`);
+    assert.equal(bad.status, 400);
+  } finally {
+    server.close();
+  }
+});
+
+test("GET /api/products honours a valid ?limit=", async () => {
+  const category = await api.request("POST", "/api/categories", {
+    name: uniqueName("Category"),
+  });
+  for (let i = 0; i < 3; i++) {
+    await api.request("POST", "/api/products", {
+      name: uniqueName("Product"),
+      price: 5,
+      category_id: category.body.id,
+      initial_quantity: 1,
+    });
+  }
+
+  const res = await api.request(
+    "GET",
+    `/api/products?limit=2&category_id=${category.body.id}`
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.length, 2);
+  assert.ok(res.body.next_cursor);
+
+  const bad = await api.request("GET", "/api/products?limit=12abc");
+  assert.equal(bad.status, 400);
+});
+
+test("a date that does not exist is rejected", async () => {
+  for (const url of [
+    "/api/sales?startDate=2024-02-30",
+    "/api/audit?endDate=2024-02-30",
+  ]) {
+    const res = await api.request("GET", url);
+    assert.equal(res.status, 400, url);
+    assert.equal(
+      res.body.details[0].message,
+      "must be a valid date (YYYY-MM-DD)."
+    );
+  }
+  const leap = await api.request("GET", "/api/sales?startDate=2024-02-29");
+  assert.equal(leap.status, 200);
+});
@@ -0,0 +1,122 @@
+// Variants take the same prices as their products and keep their history,
+// and transfers of their stock record which variant moved.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const db = require("../src/db/db");
+const { startApp, uniqueName } = require("./helpers");
+
+let api;
+
+before(async () => {
+  api = await startApp();
+});
+
+after(() => api.close());
+
+async function createProduct(price, initialQuantity = 0) {
+  const category = await api.request("POST", "/api/categories", {
+    name: uniqueName("Category"),
+  });
+  const res = await api.request("POST", "/api/products", {
+    name: uniqueName("Product"),
+    price,
+    category_id: category.body.id,
+    initial_quantity: initialQuantity,
+  });
+  assert.equal(res.status, 201);
+  return res.body;
+}
+
+test("a variant can be priced as high as a product", async () => {
+  const price = 1234567890.12;
+  const product = await createProduct(price);
+  const res = await api.request(
+    "POST",
+    `/api/products/${product.id}/variants`,
+    { sku: uniqueName("SKU").replace(" ", "-"), price }
+  );
+  assert.equal(res.status, 201);
+  assert.equal(res.body.price, "1234567890.12");
+});
+
+test("a transfer of a variant records the variant", async () => {
+  const product = await createProduct(10);
+  const variant = await api.request(
+    "POST",
+    `/api/products/${product.id}/variants`,
+    { sku: uniqueName("SKU").replace(" ", "-"), initial_quantity: 6 }
+  );
+  assert.equal(variant.status, 201);
+  const location = await api.request("POST", "/api/locations", {
+    name: uniqueName("Warehouse"),
+  });
+  const main = await db.query("SELECT id FROM locations WHERE is_default;");
+
+  const res = await api.request("POST", "/api/inventory/transfers", {
+    product_id: product.id,
+    variant_id: variant.body.id,
+    from_location_id: main.rows[0].id,
+    to_location_id: location.body.id,
+    quantity: 4,
+  });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.variant_id, variant.body.id);
+
+  const stored = await db.query(
+    "SELECT variant_id FROM stock_transfers WHERE id = $1;",
+    [res.body.id]
+  );
+  assert.equal(stored.rows[0].variant_id, variant.body.id);
+  const history = await api.request(
+    "GET",
+    `/api/inventory/history/${product.id}?variant_id=${variant.body.id}`
+  );
+  const transferRows = history.body.data.filter(
+    (r) => r.transfer_id === res.body.id
+  );
+  assert.deepEqual(transferRows.map((r) => r.change_qty).sort(), [-4, 4]);
+});
+
+test("a backdated sale of a variant is priced at the variant's price on its day", async () => {
+  const product = await createProduct(10);
+  const created = await api.request(
+    "POST",
+    `/api/products/${product.id}/variants`,
+    { sku: uniqueName("SKU").replace(" ", "-"), price: 15, initial_quantity: 9 }
+  );
+  assert.equal(created.status, 201);
+  const variantId = created.body.id;
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  const before = new Date();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  const changed = await api.request(
+    "PUT",
+    `/api/products/${product.id}/variants/${variantId}`,
+    { price: 20 }
+  );
+  assert.equal(changed.body.price, "20.00");
+
+  const sell = async (saleDate) => {
+    const res = await api.request("POST", "/api/sales", {
+      product_id: product.id,
+      variant_id: variantId,
+      quantity: 1,
+      sale_date: saleDate,
+    });
+    assert.equal(res.status, 201);
+    return res.body.total_price;
+  };
+  assert.equal(await sell(before.toISOString()), "15.00");
+  assert.equal(await sell(undefined), "20.00");
+
+  const inherited = await api.request(
+    "PUT",
+    `/api/products/${product.id}/variants/${variantId}`,
+    { inherit_price: true }
+  );
+  assert.equal(inherited.body.price, null);
+  assert.equal(inherited.body.effective_price, "10.00");
+  assert.equal(await sell(undefined), "10.00");
+  assert.equal(await sell(before.toISOString()), "15.00");
+});